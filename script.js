@@ -8,9 +8,102 @@ const inputText = document.getElementById('input-text');
 const pseudonymizedText = document.getElementById('pseudonymized-text');
 const improvedText = document.getElementById('improved-text');
 const finalText = document.getElementById('final-text');
+const finalStatus = document.getElementById('final-status');
+const privacyStatus = document.getElementById('privacy-status');
+const pseudonymizedView = document.getElementById('pseudonymized-view');
+const entityMenu = document.getElementById('entity-menu');
+const entityStatus = document.getElementById('entity-status');
+const toggleEntityViewButton = document.getElementById('toggle-entity-view');
+const sendToLlmButton = document.getElementById('send-to-llm');
+const reviewBeforeSend = document.getElementById('review-before-send');
+const uploadDocumentButton = document.getElementById('upload-document');
+const documentInput = document.getElementById('document-input');
+const documentStatus = document.getElementById('document-status');
+const documentDownload = document.getElementById('document-download');
+const caseSelect = document.getElementById('case-select');
+const createCaseButton = document.getElementById('create-case');
+const deleteCaseButton = document.getElementById('delete-case');
+const surrogateMenu = document.getElementById('surrogate-menu');
+const exportFormat = document.getElementById('export-format');
+const exportTrackChanges = document.getElementById('export-track-changes');
+const exportStatus = document.getElementById('export-status');
+const exportButton = document.getElementById('export-final');
+const showDiffButton = document.getElementById('show-diff');
+const diffSection = document.getElementById('diff-section');
+const diffStatus = document.getElementById('diff-status');
+const diffOriginal = document.getElementById('diff-original');
+const diffFinal = document.getElementById('diff-final');
+const promptSelect = document.getElementById('prompt-select');
+const promptInstructions = document.getElementById('prompt-instructions');
+const currentPrompt = document.getElementById('current-prompt');
 
-// Global variable to store entity mappings from HOCR processing
-let storedEntityMappings = {};
+// Display labels for entity types in the review view
+const ENTITY_TYPE_LABELS = {
+    first_name: 'Vorname',
+    last_name: 'Nachname',
+    company_name: 'Firma',
+    street_name: 'Straße',
+    city: 'Ort',
+    postcode: 'Postleitzahl',
+    numeric_id: 'Nummer',
+    email: 'E-Mail',
+    phone_number: 'Telefonnummer',
+    iban: 'IBAN',
+    date_of_birth: 'Geburtsdatum',
+    tax_id: 'Steuernummer',
+    social_security_number: 'Sozialversicherungsnummer',
+    health_insurance_number: 'Krankenversichertennummer',
+    license_plate: 'Kennzeichen'
+};
+
+// Pseudonym vault session of the worker, reused so placeholders stay stable across edits
+let vaultSessionId = null;
+
+// Live de-pseudonymization of the streamed text: the text waiting for the
+// next request, whether a request runs and the stream the results belong to
+let liveRestoreText = null;
+let liveRestoreRunning = false;
+let liveRestoreGeneration = 0;
+
+// Case workspace whose vault session keeps the placeholders of a person
+// across documents (localStorage "cibPopWriteCaseId")
+const CASE_STORAGE_KEY = 'cibPopWriteCaseId';
+let activeCaseId = localStorage.getItem(CASE_STORAGE_KEY);
+
+// Entity types the worker replaces with realistic fake values instead of
+// placeholders (localStorage "cibPopWriteSurrogateTypes", comma-separated)
+const SURROGATE_STORAGE_KEY = 'cibPopWriteSurrogateTypes';
+let surrogateTypes = (localStorage.getItem(SURROGATE_STORAGE_KEY) || '').split(',').filter(type => ENTITY_TYPE_LABELS[type]);
+
+// Proof of the worker that the pseudonymized text passed through it, required
+// by /improve in the enforced privacy mode
+let pseudonymizationProof = null;
+
+// Worker error codes of texts that must not be sent to ChatGPT
+const PRIVACY_ERROR_CODES = ['pseudonymization_required', 'pii_detected', 'privacy_not_configured', 'detector_unavailable'];
+
+// Entity review state: the text that was pseudonymized, its entity spans,
+// the borderline words CIB POP reported for review and the detected spans
+// the user chose to unmask
+let reviewedText = '';
+let storedEntities = [];
+let storedReviewItems = [];
+let unmaskedSpans = [];
+
+// Detector that found the entities: "cib-pop", or "local" if the worker
+// fell back to its rule-based detector
+let entityDetector = null;
+
+// Prompt presets offered by the worker, keyed by preset ID
+let promptPresets = {};
+
+// Name of the last uploaded document, used for the export file name
+let uploadedFileName = null;
+
+// Diff view: text segments ({ text } or { change }) and the changes with
+// their deleted and inserted text and review state (pending, accepted, rejected)
+let diffSegments = [];
+let diffChanges = [];
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
@@ -24,6 +117,12 @@ document.addEventListener('DOMContentLoaded', function() {
 function initializeWorkflow() {
     // Add placeholder animations on focus/blur
     addPlaceholderAnimations();
+
+    // Offer the prompt presets configured in the worker
+    loadPromptPresets();
+
+    // Offer the case workspaces of the tenant
+    loadCases();
 }
 
 /**
@@ -35,13 +134,97 @@ function setupEventListeners() {
 
     // Input text changes trigger pseudonymization simulation
     if (inputText) {
+        inputText.addEventListener('input', clearDocumentDownload);
         inputText.addEventListener('input', debounce(handleInputChange, debounceInterval));
     }
+
+    if (exportButton) {
+        exportButton.addEventListener('click', handleExport);
+    }
+
+    // Diff view: review every change between the original and the final text
+    if (showDiffButton && diffSection) {
+        showDiffButton.addEventListener('click', showDiffView);
+        diffSection.addEventListener('click', handleDiffViewClick);
+        document.getElementById('diff-accept-all').addEventListener('click', () => setAllDiffChanges('accepted'));
+        document.getElementById('diff-reject-all').addEventListener('click', () => setAllDiffChanges('rejected'));
+        document.getElementById('diff-close').addEventListener('click', closeDiffView);
+    }
+
+    // Manual edits of the final text make the shown changes outdated
+    if (finalText) {
+        finalText.addEventListener('input', closeDiffView);
+    }
+
+    // Uploaded documents run through the same pseudonymization
+    if (uploadDocumentButton && documentInput) {
+        uploadDocumentButton.addEventListener('click', () => documentInput.click());
+        documentInput.addEventListener('change', handleDocumentUpload);
+    }
+
+    // Case workspaces: pseudonymize with the placeholders of the selected case
+    if (caseSelect) {
+        caseSelect.addEventListener('change', () => selectCase(caseSelect.value));
+    }
+    if (createCaseButton) {
+        createCaseButton.addEventListener('click', handleCreateCase);
+    }
+    if (deleteCaseButton) {
+        deleteCaseButton.addEventListener('click', handleDeleteCase);
+    }
+
+    // Surrogate values: choose the entity types replaced with fake values
+    if (surrogateMenu) {
+        renderSurrogateOptions();
+        surrogateMenu.addEventListener('change', handleSurrogateOptionChange);
+    }
     
     // Pseudonymized text changes trigger improvement simulation
     if (pseudonymizedText) {
+        pseudonymizedText.addEventListener('input', invalidateEntityView);
         pseudonymizedText.addEventListener('input', debounce(handlePseudonymizedChange, debounceInterval));
     }
+
+    // Entity review view: click an entity to change it, select text to mask it
+    if (pseudonymizedView) {
+        pseudonymizedView.addEventListener('click', handleEntityViewClick);
+        pseudonymizedView.addEventListener('mouseup', handleEntityViewSelection);
+    }
+
+    if (toggleEntityViewButton) {
+        toggleEntityViewButton.addEventListener('click', () => showEntityView(pseudonymizedView.hidden));
+    }
+
+    if (sendToLlmButton) {
+        sendToLlmButton.addEventListener('click', () => {
+            sendToLlmButton.hidden = true;
+            handlePseudonymizedChange();
+        });
+    }
+
+    // Close the entity menu on outside clicks and Escape
+    document.addEventListener('mousedown', event => {
+        if (entityMenu && !entityMenu.hidden && !entityMenu.contains(event.target)) {
+            closeEntityMenu();
+        }
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+            closeEntityMenu();
+        }
+    });
+    
+    // A different prompt re-runs the improvement of the current text
+    if (promptSelect) {
+        promptSelect.addEventListener('change', () => {
+            showActivePrompt();
+            handlePseudonymizedChange();
+        });
+    }
+
+    if (promptInstructions) {
+        promptInstructions.addEventListener('change', handlePseudonymizedChange);
+    }
     
     // Improved text changes trigger vibe texting simulation
     if (improvedText) {
@@ -50,115 +233,1017 @@ function setupEventListeners() {
 }
 
 /**
- * Handle input text changes (process text with HOCR backend)
+ * Handle input text changes (process text with HOCR backend)
+ */
+async function handleInputChange() {
+    const text = inputText.value.trim();
+    if (text && pseudonymizedText) {
+        // Show loading state
+        pseudonymizedText.value = 'Pseudonymisierung läuft...';
+        addProcessingAnimation(pseudonymizedText);
+        
+        try {
+            // Call HOCR processing endpoint
+            const hocrResult = await processTextWithHocr(text, vaultSessionId, activeCaseId);
+            applyPseudonymizationResult(text, hocrResult);
+            
+        } catch (error) {
+            console.error('HOCR processing failed:', error);
+            // Without pseudonymization the text must not reach ChatGPT
+            pseudonymizedText.value = '';
+            vaultSessionId = null;
+            pseudonymizationProof = null;
+            invalidateEntityView();
+            showPrivacyBlock(error.code ? error : { code: 'detector_unavailable', message: error.message });
+            return;
+        }
+        
+        // Trigger visual feedback
+        addProcessingAnimation(pseudonymizedText);
+        
+        // Manually trigger the next step in the cascade
+        continueToImprovement();
+    }
+}
+
+/**
+ * Keep the result of /hocr or /document: the vault session for
+ * de-pseudonymization and the spans for the interactive review view. The
+ * original values stay in the vault; spans are resolved in the text.
+ */
+function applyPseudonymizationResult(text, result) {
+    vaultSessionId = result.sessionId;
+    pseudonymizationProof = result.proof || null;
+
+    pseudonymizedText.value = result.pseudonymizedText || text;
+
+    reviewedText = text;
+    storedEntities = result.entities || [];
+    storedReviewItems = result.review || [];
+    unmaskedSpans = [];
+    entityDetector = result.detector || null;
+    renderEntityView();
+}
+
+/**
+ * Handle a document upload: the worker extracts the text, pseudonymizes it
+ * and returns the pseudonymized document for download
+ */
+async function handleDocumentUpload() {
+    const file = documentInput.files[0];
+    if (!file) {
+        return;
+    }
+
+    clearDocumentDownload();
+    setDocumentStatus(`${file.name} wird verarbeitet...`);
+    pseudonymizedText.value = 'Pseudonymisierung läuft...';
+    addProcessingAnimation(pseudonymizedText);
+
+    try {
+        const result = await processDocument(file, vaultSessionId, activeCaseId);
+
+        inputText.value = result.originalText;
+        uploadedFileName = file.name;
+        applyPseudonymizationResult(result.originalText, result);
+        showDocumentDownload(result.document);
+        setDocumentStatus(file.name);
+    } catch (error) {
+        console.error('Document processing failed:', error);
+        pseudonymizedText.value = '';
+        invalidateEntityView();
+        setDocumentStatus(`Fehler: ${error.message}`);
+        return;
+    } finally {
+        // Allow selecting the same file again
+        documentInput.value = '';
+    }
+
+    addProcessingAnimation(pseudonymizedText);
+    continueToImprovement();
+}
+
+/**
+ * Offer the pseudonymized document returned by the worker as download
+ */
+function showDocumentDownload(documentData) {
+    if (!documentDownload || !documentData) {
+        return;
+    }
+
+    const bytes = Uint8Array.from(atob(documentData.data), character => character.charCodeAt(0));
+    const blob = new Blob([bytes], { type: documentData.contentType });
+    documentDownload.href = URL.createObjectURL(blob);
+    documentDownload.download = documentData.fileName;
+    documentDownload.hidden = false;
+}
+
+/**
+ * Remove the download once the text no longer matches the uploaded document
+ */
+function clearDocumentDownload() {
+    if (!documentDownload || documentDownload.hidden) {
+        return;
+    }
+
+    URL.revokeObjectURL(documentDownload.href);
+    documentDownload.removeAttribute('href');
+    documentDownload.hidden = true;
+    setDocumentStatus('');
+}
+
+/**
+ * Export the final text in the selected format, optionally with the
+ * changes against the original text marked
+ */
+async function handleExport() {
+    const text = finalText.value.trim();
+    if (!text) {
+        setExportStatus('Kein finaler Text vorhanden');
+        return;
+    }
+
+    const format = exportFormat ? exportFormat.value : 'docx';
+    setExportStatus('Export läuft...');
+
+    try {
+        const { blob, fileName } = await exportText(text, format, {
+            originalText: inputText.value.trim(),
+            trackChanges: Boolean(exportTrackChanges && exportTrackChanges.checked),
+            fileName: uploadedFileName
+        });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        setExportStatus('');
+    } catch (error) {
+        console.error('Export failed:', error);
+        setExportStatus(`Fehler: ${error.message}`);
+    }
+}
+
+/**
+ * Show the word-level changes between the original and the final text
+ */
+async function showDiffView() {
+    const original = inputText.value.trim();
+    const text = finalText.value.trim();
+    if (!original || !text) {
+        setExportStatus('Original und finaler Text werden benötigt');
+        return;
+    }
+
+    diffSection.hidden = false;
+    setDiffStatus('Vergleich läuft...');
+
+    try {
+        const operations = await computeTextDiff(original, text);
+
+        // A deletion directly followed by an insertion is one rewording
+        diffSegments = [];
+        diffChanges = [];
+        operations.forEach(operation => {
+            if (operation.type === 'equal') {
+                diffSegments.push({ text: operation.text });
+                return;
+            }
+            const last = diffSegments[diffSegments.length - 1];
+            if (operation.type === 'insert' && last && last.change !== undefined && !diffChanges[last.change].inserted) {
+                diffChanges[last.change].inserted = operation.text;
+                return;
+            }
+            diffSegments.push({ change: diffChanges.length });
+            diffChanges.push({
+                deleted: operation.type === 'delete' ? operation.text : '',
+                inserted: operation.type === 'insert' ? operation.text : '',
+                state: 'pending'
+            });
+        });
+
+        renderDiffView();
+    } catch (error) {
+        console.error('Diff failed:', error);
+        diffOriginal.innerHTML = '';
+        diffFinal.innerHTML = '';
+        setDiffStatus(`Fehler: ${error.message}`);
+    }
+}
+
+/**
+ * Render both sides of the diff: deletions in the original, insertions
+ * with accept and reject buttons in the final text
+ */
+function renderDiffView() {
+    diffOriginal.innerHTML = '';
+    diffFinal.innerHTML = '';
+
+    diffSegments.forEach(segment => {
+        if (segment.change === undefined) {
+            diffOriginal.appendChild(document.createTextNode(segment.text));
+            diffFinal.appendChild(document.createTextNode(segment.text));
+            return;
+        }
+
+        const change = diffChanges[segment.change];
+        const originalElement = createDiffChangeElement(segment.change, change);
+        if (change.deleted) {
+            const deleted = document.createElement('del');
+            deleted.textContent = change.deleted;
+            originalElement.appendChild(deleted);
+        }
+        diffOriginal.appendChild(originalElement);
+
+        // A rejected change shows the original wording again
+        const finalElement = createDiffChangeElement(segment.change, change);
+        const shownText = change.state === 'rejected' ? change.deleted : change.inserted;
+        if (shownText) {
+            const inserted = document.createElement('ins');
+            inserted.textContent = shownText;
+            finalElement.appendChild(inserted);
+        }
+        finalElement.title = change.deleted && change.inserted
+            ? `Umformuliert: „${change.deleted.trim()}“ → „${change.inserted.trim()}“`
+            : change.deleted ? `Gelöscht: „${change.deleted.trim()}“` : `Eingefügt: „${change.inserted.trim()}“`;
+
+        const actions = document.createElement('span');
+        actions.className = 'diff-actions';
+        [['accepted', '✓', 'Änderung annehmen'], ['rejected', '✗', 'Änderung ablehnen']].forEach(([state, label, title]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = state;
+            button.textContent = label;
+            button.title = title;
+            button.setAttribute('aria-pressed', String(change.state === state));
+            actions.appendChild(button);
+        });
+        finalElement.appendChild(actions);
+        diffFinal.appendChild(finalElement);
+    });
+
+    updateDiffStatus();
+}
+
+/**
+ * Create the element of a change in one column of the diff view
+ */
+function createDiffChangeElement(index, change) {
+    const element = document.createElement('span');
+    element.className = 'diff-change';
+    element.dataset.change = index;
+    element.dataset.state = change.state;
+    return element;
+}
+
+/**
+ * Accept or reject a change, or highlight it in both columns
+ */
+function handleDiffViewClick(event) {
+    const changeElement = event.target.closest('.diff-change');
+    if (!changeElement) {
+        return;
+    }
+    const index = parseInt(changeElement.dataset.change, 10);
+
+    const button = event.target.closest('button[data-action]');
+    if (button) {
+        setDiffChangeState(index, diffChanges[index].state === button.dataset.action ? 'pending' : button.dataset.action);
+        return;
+    }
+
+    diffSection.querySelectorAll('.diff-change').forEach(element => {
+        element.classList.toggle('active', element.dataset.change === String(index));
+    });
+}
+
+/**
+ * Set the review state of a change and write the result to the final text
+ */
+function setDiffChangeState(index, state) {
+    diffChanges[index].state = state;
+    applyDiffDecisions();
+}
+
+/**
+ * Accept or reject all changes
+ */
+function setAllDiffChanges(state) {
+    diffChanges.forEach(change => {
+        change.state = state;
+    });
+    applyDiffDecisions();
+}
+
+/**
+ * Write the final text with rejected changes reverted to the original wording
+ */
+function applyDiffDecisions() {
+    finalText.value = diffSegments.map(segment => {
+        if (segment.change === undefined) {
+            return segment.text;
+        }
+        const change = diffChanges[segment.change];
+        return change.state === 'rejected' ? change.deleted : change.inserted;
+    }).join('');
+    renderDiffView();
+}
+
+/**
+ * Hide the diff view
+ */
+function closeDiffView() {
+    if (!diffSection || diffSection.hidden) {
+        return;
+    }
+    diffSection.hidden = true;
+    diffSegments = [];
+    diffChanges = [];
+    diffOriginal.innerHTML = '';
+    diffFinal.innerHTML = '';
+}
+
+/**
+ * Summarize the review state of the changes
+ */
+function updateDiffStatus() {
+    if (diffChanges.length === 0) {
+        setDiffStatus('Keine Änderungen');
+        return;
+    }
+    const count = state => diffChanges.filter(change => change.state === state).length;
+    setDiffStatus(`${diffChanges.length} Änderungen · ${count('accepted')} angenommen · `
+        + `${count('rejected')} abgelehnt · ${count('pending')} offen`);
+}
+
+/**
+ * Show a short status message for the diff view
+ */
+function setDiffStatus(message) {
+    if (diffStatus) {
+        diffStatus.textContent = message;
+    }
+}
+
+/**
+ * Show a short status message for the export
+ */
+function setExportStatus(message) {
+    if (exportStatus) {
+        exportStatus.textContent = message;
+    }
+}
+
+/**
+ * Show a short status message for the document upload
+ */
+function setDocumentStatus(message) {
+    if (documentStatus) {
+        documentStatus.textContent = message;
+    }
+}
+
+/**
+ * Continue the cascade with the ChatGPT improvement, unless the user wants
+ * to review the pseudonymized text before it is sent
+ */
+function continueToImprovement() {
+    if (reviewBeforeSend && reviewBeforeSend.checked) {
+        sendToLlmButton.hidden = false;
+        return;
+    }
+    handlePseudonymizedChange();
+}
+
+/**
+ * Handle pseudonymized text changes (ChatGPT improvement via API)
+ */
+async function handlePseudonymizedChange() {
+    const text = pseudonymizedText.value.trim();
+    if (text && improvedText) {
+        // Show loading state
+        stopLiveRestore();
+        improvedText.value = 'ChatGPT verbessert den Text...';
+        addProcessingAnimation(improvedText);
+        hidePrivacyBlock();
+        
+        try {
+            // Stream the improvement and restore placeholders live as they complete
+            let streamedText = '';
+            const chunkStarts = [];
+            const improved = await streamImprovedText(text, (delta, chunk) => {
+                if (chunkStarts[chunk] === undefined) {
+                    chunkStarts[chunk] = streamedText.length;
+                }
+                streamedText += delta;
+                improvedText.value = streamedText;
+                renderLiveFinalText(streamedText);
+            }, retry => {
+                // The worker asks the model to repair the lost placeholders of
+                // one chunk; the text of the earlier chunks stays
+                if (chunkStarts[retry.chunk] === undefined) {
+                    chunkStarts[retry.chunk] = streamedText.length;
+                }
+                streamedText = streamedText.slice(0, chunkStarts[retry.chunk]);
+                improvedText.value = streamedText + 'ChatGPT korrigiert die Platzhalter...';
+                renderLiveFinalText(streamedText);
+            }, corrected => {
+                // The corrected text of the retried chunk replaces its streamed text
+                streamedText = streamedText.slice(0, chunkStarts[corrected.chunk]) + corrected.text;
+                improvedText.value = streamedText;
+                renderLiveFinalText(streamedText);
+            });
+            improvedText.value = improved;
+        } catch (streamError) {
+            if (streamError.code === 'placeholder_integrity') {
+                // The model kept losing placeholders; restoring would leak or drop values
+                showPlaceholderIntegrityError(text, streamError);
+                return;
+            }
+            if (PRIVACY_ERROR_CODES.includes(streamError.code)) {
+                // The worker refused to send the text; never retry or simulate
+                showPrivacyBlock(streamError);
+                return;
+            }
+            console.error('Streaming text improvement failed:', streamError);
+            // Fall back to the non-streaming endpoint
+            if (!await improveWithoutStreaming(text)) {
+                return;
+            }
+        }
+        
+        // Manually trigger the next step in the cascade
+        handleImprovedChange();
+    }
+}
+
+/**
+ * Improve text with the non-streaming endpoint
+ */
+async function improveWithoutStreaming(text) {
+    try {
+        const improved = await improveTextWithChatGPT(text);
+        improvedText.value = improved;
+    } catch (error) {
+        if (error.code === 'placeholder_integrity') {
+            showPlaceholderIntegrityError(text, error);
+            return false;
+        }
+        if (PRIVACY_ERROR_CODES.includes(error.code)) {
+            showPrivacyBlock(error);
+            return false;
+        }
+        console.error('Text improvement failed:', error);
+        improvedText.value = text + '\n\n[Fehler: ChatGPT Verbesserung nicht verfügbar]';
+    }
+    return true;
+}
+
+/**
+ * Show that the LLM lost or invented placeholders. The text is not restored,
+ * so no wrong or missing value ends up in the final text.
+ */
+function showPlaceholderIntegrityError(text, error) {
+    const details = [];
+    if (error.missing && error.missing.length > 0) {
+        details.push(`fehlend: ${error.missing.join(', ')}`);
+    }
+    if (error.unexpected && error.unexpected.length > 0) {
+        details.push(`unerwartet: ${error.unexpected.join(', ')}`);
+    }
+
+    improvedText.value = text + `\n\n[Fehler: ChatGPT hat Platzhalter verändert (${details.join('; ')})]`;
+    if (finalText) {
+        finalText.value = '';
+    }
+    if (finalStatus) {
+        finalStatus.hidden = false;
+        finalStatus.className = 'restore-status incomplete';
+        finalStatus.textContent = '⚠ Text nicht wiederhergestellt – Platzhalter fehlen oder wurden hinzugefügt. Bitte erneut versuchen.';
+    }
+}
+
+/**
+ * Show that the text was not sent to ChatGPT, with the reason. The workflow
+ * stops here until the text is pseudonymized again.
+ */
+function showPrivacyBlock(error) {
+    const reasons = {
+        pseudonymization_required: 'Der Text wurde nicht vom Dienst pseudonymisiert oder danach von Hand verändert. Bitte den Originaltext erneut pseudonymisieren oder Änderungen über die Markierungen vornehmen.',
+        pii_detected: 'Der Text enthält noch personenbezogene Daten',
+        privacy_not_configured: 'Der Datenschutzmodus ist nicht vollständig konfiguriert.',
+        detector_unavailable: 'Die Pseudonymisierung ist fehlgeschlagen.'
+    };
+    let reason = reasons[error.code] || error.message;
+    if (error.code === 'pii_detected') {
+        const types = [...new Set((error.findings || []).map(finding => getEntityTypeLabel(finding.type)))];
+        reason += `${types.length > 0 ? ` (${types.join(', ')})` : ''}. Bitte die Stellen markieren.`;
+    }
+
+    improvedText.value = '';
+    if (finalText) {
+        finalText.value = '';
+    }
+    if (finalStatus) {
+        finalStatus.hidden = true;
+    }
+    if (privacyStatus) {
+        privacyStatus.hidden = false;
+        privacyStatus.textContent = `⛔ Nicht an ChatGPT gesendet: ${reason}`;
+    }
+}
+
+/**
+ * Remove the blocking state once a new improvement starts
+ */
+function hidePrivacyBlock() {
+    if (privacyStatus) {
+        privacyStatus.hidden = true;
+        privacyStatus.textContent = '';
+    }
+}
+
+/**
+ * Show the streamed text de-pseudonymized in the final panel while it arrives.
+ * A placeholder that is still incomplete is held back until it is closed.
+ * The worker vault restores the text; while a request runs, only the latest
+ * text is kept for the next one.
+ */
+function renderLiveFinalText(partialText) {
+    if (!finalText || !vaultSessionId) {
+        return;
+    }
+
+    const openIndex = partialText.lastIndexOf('«');
+    liveRestoreText = openIndex > partialText.lastIndexOf('»') ? partialText.slice(0, openIndex) : partialText;
+    if (!liveRestoreRunning) {
+        runLiveRestore(liveRestoreGeneration);
+    }
+}
+
+/**
+ * Restore the pending live text until none is left; results of an
+ * earlier stream (generation) are dropped
+ */
+async function runLiveRestore(generation) {
+    liveRestoreRunning = true;
+    try {
+        while (liveRestoreText !== null && generation === liveRestoreGeneration) {
+            const text = liveRestoreText;
+            liveRestoreText = null;
+            const result = await depseudonymizeText(text, vaultSessionId);
+            if (generation === liveRestoreGeneration) {
+                finalText.value = result.text;
+            }
+        }
+    } catch (error) {
+        // The live view is a preview; the final restoration reports failures
+        console.error('Live de-pseudonymization failed:', error);
+    } finally {
+        liveRestoreRunning = false;
+    }
+    // Text of a newer stream that arrived while this one was stopped
+    if (liveRestoreText !== null && generation !== liveRestoreGeneration) {
+        runLiveRestore(liveRestoreGeneration);
+    }
+}
+
+/**
+ * Stop the live view, so a late preview never replaces the final text
+ */
+function stopLiveRestore() {
+    liveRestoreGeneration++;
+    liveRestoreText = null;
+}
+
+/**
+ * Handle improved text changes (restore original entities via the worker vault)
+ */
+async function handleImprovedChange() {
+    const text = improvedText.value.trim();
+    if (text && finalText) {
+        stopLiveRestore();
+        let final;
+        try {
+            // Pass the pseudonymized text, so the worker can report placeholders
+            // the LLM dropped or duplicated
+            const result = await depseudonymizeText(text, vaultSessionId, pseudonymizedText.value.trim());
+            final = result.text;
+            showRestorationStatus(result.report);
+        } catch (error) {
+            console.error('De-pseudonymization via vault failed:', error);
+            // The original values are only in the vault; keep the placeholders
+            final = text;
+            showRestorationStatus(null);
+        }
+        finalText.value = final;
+        
+        // Trigger visual feedback
+        addProcessingAnimation(finalText);
+
+        if (diffSection && !diffSection.hidden) {
+            showDiffView();
+        }
+    }
+}
+
+/**
+ * Flag the final text when the restoration was incomplete or could not be checked
+ */
+function showRestorationStatus(report) {
+    if (!finalStatus) {
+        return;
+    }
+
+    const messages = [];
+    let level = 'warning';
+
+    if (!report) {
+        messages.push('Originalwerte nicht wiederhergestellt (Worker nicht erreichbar)');
+        level = 'incomplete';
+    } else {
+        const describe = items => items.map(item => `${item.token} (${getEntityTypeLabel(item.type)})`).join(', ');
+        if (report.missing.length > 0) {
+            messages.push(`Fehlende Platzhalter: ${describe(report.missing)}`);
+        }
+        if (report.unknown.length > 0) {
+            messages.push(`Unbekannte Platzhalter: ${report.unknown.join(', ')}`);
+        }
+        if (!report.complete) {
+            level = 'incomplete';
+        }
+        if (report.duplicated.length > 0) {
+            messages.push(`Mehrfach verwendet: ${describe(report.duplicated)}`);
+        }
+    }
+
+    finalStatus.hidden = messages.length === 0;
+    finalStatus.className = `restore-status ${level}`;
+    finalStatus.textContent = level === 'incomplete'
+        ? `⚠ Wiederherstellung unvollständig – ${messages.join(' · ')}`
+        : messages.join(' · ');
+}
+
+/**
+ * Render the pseudonymized text with highlighted entities and review items
+ */
+function renderEntityView() {
+    if (!pseudonymizedView) {
+        return;
+    }
+
+    pseudonymizedView.innerHTML = '';
+
+    const marks = [
+        ...storedEntities.map((entity, index) => ({ kind: 'entity', index, start: entity.start, end: entity.end })),
+        ...storedReviewItems.map((item, index) => ({ kind: 'review', index, start: item.start, end: item.end }))
+    ].sort((a, b) => a.start - b.start);
+
+    let position = 0;
+    marks.forEach(mark => {
+        if (mark.start < position) {
+            return; // Review items covered by an entity are not shown
+        }
+        appendTextSegment(position, mark.start);
+
+        const element = document.createElement('mark');
+        if (mark.kind === 'entity') {
+            const entity = storedEntities[mark.index];
+            element.className = 'entity';
+            element.dataset.type = entity.type;
+            element.dataset.index = mark.index;
+            element.textContent = entity.pseudonym;
+            element.title = `${reviewedText.slice(entity.start, entity.end)} (${getEntityTypeLabel(entity.type)})`;
+        } else {
+            const item = storedReviewItems[mark.index];
+            element.className = 'entity-review';
+            element.dataset.index = mark.index;
+            element.textContent = reviewedText.slice(item.start, item.end);
+            element.title = `Prüfen: ${getEntityTypeLabel(item.suggestedType)}?`;
+        }
+        pseudonymizedView.appendChild(element);
+        position = mark.end;
+    });
+    appendTextSegment(position, reviewedText.length);
+
+    if (toggleEntityViewButton) {
+        toggleEntityViewButton.hidden = false;
+    }
+    const messages = [];
+    if (entityDetector === 'local') {
+        messages.push('CIB POP nicht verfügbar, lokale Erkennung verwendet – bitte Markierungen prüfen');
+    }
+    if (storedReviewItems.length > 0) {
+        messages.push(`Zur Prüfung markiert: ${storedReviewItems.length}`);
+    }
+    setEntityStatus(messages.join(' · '));
+    showEntityView(true);
+}
+
+/**
+ * Append a plain text segment of the reviewed text to the view
+ */
+function appendTextSegment(start, end) {
+    if (end <= start) {
+        return;
+    }
+    const segment = document.createElement('span');
+    segment.className = 'text-segment';
+    segment.dataset.start = start;
+    segment.textContent = reviewedText.slice(start, end);
+    pseudonymizedView.appendChild(segment);
+}
+
+/**
+ * Switch between the entity view and the plain pseudonymized textarea
+ */
+function showEntityView(show) {
+    if (!pseudonymizedView || !pseudonymizedText) {
+        return;
+    }
+    const canShow = show && reviewedText !== '';
+    pseudonymizedView.hidden = !canShow;
+    pseudonymizedText.hidden = canShow;
+    if (toggleEntityViewButton) {
+        toggleEntityViewButton.textContent = canShow ? 'Text bearbeiten' : 'Markierungen anzeigen';
+    }
+}
+
+/**
+ * Drop the entity view once the pseudonymized text no longer matches the spans
+ */
+function invalidateEntityView() {
+    reviewedText = '';
+    storedEntities = [];
+    storedReviewItems = [];
+    unmaskedSpans = [];
+    entityDetector = null;
+    closeEntityMenu();
+    setEntityStatus('');
+    showEntityView(false);
+    if (toggleEntityViewButton) {
+        toggleEntityViewButton.hidden = true;
+    }
+}
+
+/**
+ * Open the menu for a clicked entity or review item
+ */
+function handleEntityViewClick(event) {
+    const entityElement = event.target.closest('mark.entity');
+    if (entityElement) {
+        const index = parseInt(entityElement.dataset.index, 10);
+        const entity = storedEntities[index];
+        openEntityMenu(event, { text: reviewedText.slice(entity.start, entity.end), type: entity.type }, [
+            { label: 'Typ ändern', withType: true, action: type => changeEntityType(index, type) },
+            { label: 'Demaskieren', action: () => unmaskEntity(index) }
+        ]);
+        return;
+    }
+
+    const reviewElement = event.target.closest('mark.entity-review');
+    if (reviewElement) {
+        const index = parseInt(reviewElement.dataset.index, 10);
+        const item = storedReviewItems[index];
+        openEntityMenu(event, { text: reviewedText.slice(item.start, item.end), type: item.suggestedType }, [
+            { label: 'Maskieren', withType: true, action: type => maskReviewItem(index, type) },
+            { label: 'Ignorieren', action: () => dismissReviewItem(index) }
+        ]);
+    }
+}
+
+/**
+ * Offer to mask a text span selected in the entity view
+ */
+function handleEntityViewSelection(event) {
+    const offsets = getSelectionOffsets();
+    if (!offsets) {
+        return;
+    }
+
+    const overlapsEntity = storedEntities.some(entity => offsets.start < entity.end && entity.start < offsets.end);
+    if (overlapsEntity) {
+        setEntityStatus('Die Auswahl überschneidet sich mit einer vorhandenen Markierung');
+        return;
+    }
+
+    const text = reviewedText.slice(offsets.start, offsets.end);
+    openEntityMenu(event, { text, type: 'last_name' }, [
+        { label: 'Maskieren', withType: true, action: type => maskSpan(offsets.start, offsets.end, type) }
+    ]);
+}
+
+/**
+ * Get the selected range of the entity view as offsets in the reviewed text
+ */
+function getSelectionOffsets() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+        return null;
+    }
+
+    const range = selection.getRangeAt(0);
+    let start = getTextOffset(range.startContainer, range.startOffset);
+    let end = getTextOffset(range.endContainer, range.endOffset);
+    if (start === null || end === null) {
+        return null;
+    }
+
+    // Ignore surrounding whitespace of the selection
+    while (start < end && /\s/.test(reviewedText[start])) {
+        start++;
+    }
+    while (end > start && /\s/.test(reviewedText[end - 1])) {
+        end--;
+    }
+
+    return end > start ? { start, end } : null;
+}
+
+/**
+ * Map a DOM position inside a text segment to an offset in the reviewed text
+ */
+function getTextOffset(node, offset) {
+    const segment = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (!segment || !segment.classList.contains('text-segment') || !pseudonymizedView.contains(segment)) {
+        return null;
+    }
+
+    const segmentStart = parseInt(segment.dataset.start, 10);
+    if (node.nodeType === Node.TEXT_NODE) {
+        return segmentStart + offset;
+    }
+    return segmentStart + (offset === 0 ? 0 : segment.textContent.length);
+}
+
+/**
+ * Show the entity menu at the pointer position
+ */
+function openEntityMenu(event, entity, actions) {
+    if (!entityMenu) {
+        return;
+    }
+
+    entityMenu.innerHTML = '';
+
+    const heading = document.createElement('div');
+    heading.className = 'entity-menu-heading';
+    heading.textContent = `"${entity.text}"`;
+    entityMenu.appendChild(heading);
+
+    const typeSelect = document.createElement('select');
+    const types = { ...ENTITY_TYPE_LABELS };
+    if (entity.type && !types[entity.type]) {
+        types[entity.type] = entity.type;
+    }
+    Object.entries(types).forEach(([type, label]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = label;
+        option.selected = type === entity.type;
+        typeSelect.appendChild(option);
+    });
+    entityMenu.appendChild(typeSelect);
+
+    actions.forEach(({ label, withType, action }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', () => action(withType ? typeSelect.value : undefined));
+        entityMenu.appendChild(button);
+    });
+
+    entityMenu.style.left = `${event.clientX}px`;
+    entityMenu.style.top = `${event.clientY + 12}px`;
+    entityMenu.hidden = false;
+}
+
+/**
+ * Hide the entity menu
+ */
+function closeEntityMenu() {
+    if (entityMenu) {
+        entityMenu.hidden = true;
+    }
+}
+
+/**
+ * Change the type of an entity, which gives it a new pseudonym
  */
-async function handleInputChange() {
-    const text = inputText.value.trim();
-    if (text && pseudonymizedText) {
-        // Show loading state
-        pseudonymizedText.value = 'Pseudonymisierung läuft...';
-        addProcessingAnimation(pseudonymizedText);
-        
-        try {
-            // Call HOCR processing endpoint
-            const hocrResult = await processTextWithHocr(text);
+function changeEntityType(index, type) {
+    const entities = storedEntities.map((entity, i) => (i === index ? { ...entity, type } : entity));
+    applyEntityChanges(entities);
+}
 
-            // Store entity mappings for later use in de-pseudonymization
-            storedEntityMappings = hocrResult.entityMappings || {};
+/**
+ * Remove an entity so its original text is sent unmasked (false positive)
+ */
+function unmaskEntity(index) {
+    const { start, end } = storedEntities[index];
+    unmaskedSpans = [...unmaskedSpans, { start, end }];
+    applyEntityChanges(storedEntities.filter((entity, i) => i !== index));
+}
 
-            pseudonymizedText.value = hocrResult.pseudonymizedText || text;
-            
-        } catch (error) {
-            console.error('HOCR processing failed:', error);
-            // Fallback to simulation if API fails
-            const pseudonymized = simulatePseudonymization(text);
-            pseudonymizedText.value = pseudonymized;
-            storedEntityMappings = {}; // Clear stored mappings on fallback
-        }
-        
-        // Trigger visual feedback
-        addProcessingAnimation(pseudonymizedText);
-        
-        // Manually trigger the next step in the cascade
-        handlePseudonymizedChange();
-    }
+/**
+ * Mask a review item with the chosen type
+ */
+function maskReviewItem(index, type) {
+    const item = storedReviewItems[index];
+    storedReviewItems = storedReviewItems.filter((reviewItem, i) => i !== index);
+    maskSpan(item.start, item.end, type);
 }
 
 /**
- * Handle pseudonymized text changes (ChatGPT improvement via API)
+ * Keep a review item unmasked
  */
-async function handlePseudonymizedChange() {
-    const text = pseudonymizedText.value.trim();
-    if (text && improvedText) {
-        // Show loading state
-        improvedText.value = 'ChatGPT verbessert den Text...';
-        addProcessingAnimation(improvedText);
-        
-        try {
-            // Call ChatGPT improvement API (no longer sending prompt from frontend)
-            const improved = await improveTextWithChatGPT(text);
-            improvedText.value = improved;
-        } catch (error) {
-            console.error('Text improvement failed:', error);
-            improvedText.value = text + '\n\n[Fehler: ChatGPT Verbesserung nicht verfügbar]';
-        }
-        
-        // Manually trigger the next step in the cascade
-        handleImprovedChange();
+function dismissReviewItem(index) {
+    closeEntityMenu();
+    storedReviewItems = storedReviewItems.filter((item, i) => i !== index);
+    renderEntityView();
+}
+
+/**
+ * Mask an additional text span (false negative)
+ */
+function maskSpan(start, end, type) {
+    storedReviewItems = storedReviewItems.filter(item => item.end <= start || end <= item.start);
+    applyEntityChanges([...storedEntities, { start, end, type, confidence: null, group: null }]);
+}
+
+/**
+ * Let the worker mint pseudonyms for the edited entities and continue the cascade
+ */
+async function applyEntityChanges(entities) {
+    closeEntityMenu();
+    window.getSelection().removeAllRanges();
+
+    try {
+        const result = await pseudonymizeWithEntities(reviewedText, entities, vaultSessionId, activeCaseId, unmaskedSpans);
+
+        vaultSessionId = result.sessionId;
+        pseudonymizationProof = result.proof || null;
+        storedEntities = result.entities;
+        pseudonymizedText.value = result.pseudonymizedText;
+
+        // The downloaded document was pseudonymized with the previous entities
+        clearDocumentDownload();
+        renderEntityView();
+        addProcessingAnimation(pseudonymizedView);
+        continueToImprovement();
+    } catch (error) {
+        console.error('Applying entity changes failed:', error);
+        setEntityStatus('Änderung konnte nicht übernommen werden');
     }
 }
 
 /**
- * Handle improved text changes (restore original entities using stored mappings)
+ * Show a short status message below the entity view
  */
-function handleImprovedChange() {
-    const text = improvedText.value.trim();
-    if (text && finalText) {
-        // Use stored entity mappings to restore original values
-        const final = restoreOriginalEntities(text, storedEntityMappings);
-        finalText.value = final;
-        
-        // Trigger visual feedback
-        addProcessingAnimation(finalText);
+function setEntityStatus(message) {
+    if (entityStatus) {
+        entityStatus.textContent = message;
     }
 }
 
 /**
- * Simulate pseudonymization process
+ * Get the display label of an entity type
  */
-function simulatePseudonymization(text) {
-    // Simple simulation - replace names with placeholders
-    return text
-        .replace(/\b[A-Z][a-z]+\s+[A-Z][a-z]+\b/g, '[PERSON]')
-        .replace(/\b\d{4,}\b/g, '[NUMMER]')
-        .replace(/@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g, '[EMAIL]');
+function getEntityTypeLabel(type) {
+    return ENTITY_TYPE_LABELS[type] || type;
 }
 
 /**
- * Process text using HOCR via Cloudflare Worker
+ * Process text using HOCR via Cloudflare Worker; with a case ID the worker
+ * uses the vault session of the case instead of sessionId
  */
-async function processTextWithHocr(text) {
+async function processTextWithHocr(text, sessionId = null, caseId = null) {
     const workerUrl = getWorkerUrl();
     
     try {
         const response = await fetch(`${workerUrl}/hocr`, {
             method: 'POST',
-            headers: {
+            headers: getWorkerHeaders({
                 'Content-Type': 'application/json',
-            },
+            }),
             body: JSON.stringify({
-                text: text
+                text: text,
+                sessionId: sessionId,
+                caseId: caseId,
+                surrogateTypes: surrogateTypes
             })
         });
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            throw createWorkerError(errorData, response.status);
         }
 
         const data = await response.json();
         
-        if (data.success && data.entityMappings) {
+        if (data.success && data.sessionId) {
             return data;
         } else {
             throw new Error('Invalid response from HOCR processing service');
@@ -171,34 +1256,174 @@ async function processTextWithHocr(text) {
 }
 
 /**
- * Escape special regex characters in a string
+ * Upload a DOCX, PDF or image to the Cloudflare Worker for text extraction
+ * and pseudonymization
  */
-function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+async function processDocument(file, sessionId = null, caseId = null) {
+    const workerUrl = getWorkerUrl();
+    const formData = new FormData();
+    formData.append('file', file, file.name);
+    if (sessionId) {
+        formData.append('sessionId', sessionId);
+    }
+    if (caseId) {
+        formData.append('caseId', caseId);
+    }
+    formData.append('surrogateTypes', surrogateTypes.join(','));
+
+    const response = await fetch(`${workerUrl}/document`, {
+        method: 'POST',
+        headers: getWorkerHeaders(),
+        body: formData
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.success || !data.sessionId) {
+        throw new Error('Invalid response from document processing service');
+    }
+    return data;
 }
 
 /**
- * Restore original entities using stored entity mappings
+ * Render text as DOCX, PDF, Markdown or HTML file via Cloudflare Worker
+ * @returns {Object} { blob, fileName }
  */
-function restoreOriginalEntities(text, entityMappings) {
-    let restored = text;
-        
-    for (const [key, value] of Object.entries(entityMappings)) {
-        restored = restored.replace(new RegExp(value, 'gi'), key);
+async function exportText(text, format, { originalText = null, trackChanges = false, fileName = null } = {}) {
+    const workerUrl = getWorkerUrl();
+    const response = await fetch(`${workerUrl}/export`, {
+        method: 'POST',
+        headers: getWorkerHeaders({
+            'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({
+            text: text,
+            format: format,
+            originalText: originalText,
+            trackChanges: trackChanges,
+            fileName: fileName
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    // The worker names the file in the Content-Disposition header
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/);
+    return {
+        blob: await response.blob(),
+        fileName: encodedName ? decodeURIComponent(encodedName[1]) : `text.${format}`
+    };
+}
+
+/**
+ * Compare the original and the final text word by word via Cloudflare Worker
+ * @returns {Array} Operations ({ type: 'equal' | 'delete' | 'insert', text })
+ */
+async function computeTextDiff(originalText, text) {
+    const workerUrl = getWorkerUrl();
+    const response = await fetch(`${workerUrl}/diff`, {
+        method: 'POST',
+        headers: getWorkerHeaders({
+            'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({
+            originalText: originalText,
+            text: text
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
     }
 
-    /*    
-    // Replace placeholders with original values
-    for (const [placeholder, originalValue] of Object.entries(placeholderMap)) {
-        const regex = new RegExp(escapeRegExp(placeholder), 'gi');
-        restored = restored.replace(regex, originalValue);
+    const data = await response.json();
+    if (!data.success || !Array.isArray(data.operations)) {
+        throw new Error('Invalid response from diff service');
+    }
+    return data.operations;
+}
+
+/**
+ * Pseudonymize text with an explicit list of entity spans via Cloudflare Worker;
+ * detected spans the user unmasked must be listed in unmask ({ start, end })
+ */
+async function pseudonymizeWithEntities(text, entities, sessionId, caseId = null, unmask = []) {
+    const workerUrl = getWorkerUrl();
+    const response = await fetch(`${workerUrl}/pseudonymize`, {
+        method: 'POST',
+        headers: getWorkerHeaders({
+            'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({
+            text: text,
+            sessionId: sessionId,
+            caseId: caseId,
+            surrogateTypes: surrogateTypes,
+            entities: entities.map(({ start, end, type, confidence, group }) => ({ start, end, type, confidence, group })),
+            unmask: unmask
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.success && Array.isArray(data.entities)) {
+        return data;
+    } else {
+        throw new Error('Invalid response from pseudonymization service');
+    }
+}
+
+/**
+ * Restore original entities using the pseudonym vault of the worker
+ */
+async function depseudonymizeText(text, sessionId, sourceText) {
+    if (!sessionId) {
+        throw new Error('No pseudonym vault session available');
+    }
+
+    const workerUrl = getWorkerUrl();
+    const response = await fetch(`${workerUrl}/depseudonymize`, {
+        method: 'POST',
+        headers: getWorkerHeaders({
+            'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({
+            text: text,
+            sessionId: sessionId,
+            sourceText: sourceText
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.success && typeof data.restoredText === 'string') {
+        return {
+            // Clean up any ChatGPT improvement annotations
+            text: data.restoredText.replace(/\[ChatGPT Verbesserung:[^\]]+\]/g, ''),
+            report: data.report
+        };
+    } else {
+        throw new Error('Invalid response from de-pseudonymization service');
     }
-        */
-    
-    // Clean up any ChatGPT improvement annotations
-    restored = restored.replace(/\[ChatGPT Verbesserung:[^\]]+\]/g, '');
-    
-    return restored;
 }
 
 /**
@@ -210,18 +1435,20 @@ async function improveTextWithChatGPT(text) {
     try {
         const response = await fetch(`${workerUrl}/improve`, {
             method: 'POST',
-            headers: {
+            headers: getWorkerHeaders({
                 'Content-Type': 'application/json',
-            },
+            }),
             body: JSON.stringify({
-                text: text
-                // Note: Prompt is no longer sent from frontend - it's configured in the backend
+                text: text,
+                proof: pseudonymizationProof,
+                sessionId: vaultSessionId,
+                ...getPromptSelection()
             })
         });
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            throw createWorkerError(errorData, response.status);
         }
 
         const data = await response.json();
@@ -233,12 +1460,367 @@ async function improveTextWithChatGPT(text) {
         }
         
     } catch (error) {
+        if (error.code === 'placeholder_integrity' || PRIVACY_ERROR_CODES.includes(error.code)) {
+            throw error;
+        }
         console.error('Error improving text:', error);
         // Fallback to simulation if API fails
         return simulateTextImprovement(text);
     }
 }
 
+/**
+ * Load the prompt presets from the worker into the prompt selector
+ */
+async function loadPromptPresets() {
+    if (!promptSelect) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${getWorkerUrl()}/prompts`, { headers: getWorkerHeaders() });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        promptPresets = {};
+        promptSelect.innerHTML = '';
+        data.prompts.forEach(preset => {
+            promptPresets[preset.id] = preset;
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.label;
+            promptSelect.appendChild(option);
+        });
+        promptSelect.value = data.defaultPromptId;
+
+        if (promptInstructions && data.maxInstructionsLength) {
+            promptInstructions.maxLength = data.maxInstructionsLength;
+        }
+        showActivePrompt();
+    } catch (error) {
+        // Keep the built-in default prompt
+        console.error('Loading prompt presets failed:', error);
+    }
+}
+
+/**
+ * List the case workspaces of the tenant via Cloudflare Worker, most
+ * recently used first
+ */
+async function listCases() {
+    const response = await fetch(`${getWorkerUrl()}/cases`, { headers: getWorkerHeaders() });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.success || !Array.isArray(data.cases)) {
+        throw new Error('Invalid response from case service');
+    }
+    return data.cases;
+}
+
+/**
+ * Create a case workspace via Cloudflare Worker
+ */
+async function createCase(name) {
+    const response = await fetch(`${getWorkerUrl()}/cases`, {
+        method: 'POST',
+        headers: getWorkerHeaders({
+            'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({ name: name })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.success || !data.case) {
+        throw new Error('Invalid response from case service');
+    }
+    return data.case;
+}
+
+/**
+ * Delete a case workspace and its pseudonyms via Cloudflare Worker
+ */
+async function deleteCase(caseId) {
+    const response = await fetch(`${getWorkerUrl()}/cases/${encodeURIComponent(caseId)}`, {
+        method: 'DELETE',
+        headers: getWorkerHeaders()
+    });
+
+    if (!response.ok && response.status !== 404) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+}
+
+/**
+ * Fill the case selection; a stored case that expired is dropped
+ */
+async function loadCases() {
+    if (!caseSelect) {
+        return;
+    }
+
+    try {
+        const cases = await listCases();
+        caseSelect.innerHTML = '';
+        const noCase = document.createElement('option');
+        noCase.value = '';
+        noCase.textContent = 'Kein Fall';
+        caseSelect.appendChild(noCase);
+        cases.forEach(caseRecord => {
+            const option = document.createElement('option');
+            option.value = caseRecord.id;
+            option.textContent = caseRecord.name;
+            caseSelect.appendChild(option);
+        });
+
+        if (activeCaseId && !cases.some(caseRecord => caseRecord.id === activeCaseId)) {
+            setActiveCase(null);
+        }
+        caseSelect.value = activeCaseId || '';
+    } catch (error) {
+        // Without case list, texts are pseudonymized in a session of their own
+        console.error('Loading cases failed:', error);
+    }
+    updateCaseButtons();
+}
+
+/**
+ * Remember the active case; its vault session replaces the current one
+ */
+function setActiveCase(caseId) {
+    activeCaseId = caseId || null;
+    vaultSessionId = null;
+    if (activeCaseId) {
+        localStorage.setItem(CASE_STORAGE_KEY, activeCaseId);
+    } else {
+        localStorage.removeItem(CASE_STORAGE_KEY);
+    }
+}
+
+/**
+ * Switch to a case and pseudonymize the current text with its placeholders
+ */
+function selectCase(caseId) {
+    setActiveCase(caseId);
+    updateCaseButtons();
+    handleInputChange();
+}
+
+/**
+ * Only an active case can be deleted
+ */
+function updateCaseButtons() {
+    if (deleteCaseButton) {
+        deleteCaseButton.disabled = !activeCaseId;
+    }
+}
+
+/**
+ * List the entity types as checkboxes; checked types get surrogate values
+ */
+function renderSurrogateOptions() {
+    surrogateMenu.innerHTML = '';
+    Object.entries(ENTITY_TYPE_LABELS).forEach(([type, label]) => {
+        const option = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = type;
+        checkbox.checked = surrogateTypes.includes(type);
+        option.append(checkbox, ` ${label}`);
+        surrogateMenu.appendChild(option);
+    });
+}
+
+/**
+ * Remember the checked types and pseudonymize the current text again
+ */
+function handleSurrogateOptionChange() {
+    surrogateTypes = [...surrogateMenu.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+    if (surrogateTypes.length > 0) {
+        localStorage.setItem(SURROGATE_STORAGE_KEY, surrogateTypes.join(','));
+    } else {
+        localStorage.removeItem(SURROGATE_STORAGE_KEY);
+    }
+    handleInputChange();
+}
+
+/**
+ * Ask for a name and create a case, e.g. per client or file number
+ */
+async function handleCreateCase() {
+    const name = window.prompt('Name des Falls (z. B. Mandant oder Aktenzeichen):');
+    if (!name || !name.trim()) {
+        return;
+    }
+
+    try {
+        const caseRecord = await createCase(name.trim());
+        setActiveCase(caseRecord.id);
+        await loadCases();
+        handleInputChange();
+    } catch (error) {
+        console.error('Creating case failed:', error);
+        setDocumentStatus(`Fehler: ${error.message}`);
+    }
+}
+
+/**
+ * Delete the active case after confirmation; its placeholders can no
+ * longer be restored afterwards
+ */
+async function handleDeleteCase() {
+    if (!activeCaseId || !window.confirm('Fall und alle zugehörigen Pseudonyme löschen? Bereits pseudonymisierte Texte lassen sich danach nicht mehr wiederherstellen.')) {
+        return;
+    }
+
+    try {
+        await deleteCase(activeCaseId);
+        setActiveCase(null);
+        await loadCases();
+    } catch (error) {
+        console.error('Deleting case failed:', error);
+        setDocumentStatus(`Fehler: ${error.message}`);
+    }
+}
+
+/**
+ * Show the prompt of the selected preset
+ */
+function showActivePrompt() {
+    const preset = promptPresets[promptSelect.value];
+    if (preset && currentPrompt) {
+        currentPrompt.textContent = preset.prompt;
+    }
+}
+
+/**
+ * Get the selected preset and instructions for an /improve request
+ */
+function getPromptSelection() {
+    const selection = {};
+    if (promptSelect && promptPresets[promptSelect.value]) {
+        selection.promptId = promptSelect.value;
+    }
+    const instructions = promptInstructions ? promptInstructions.value.trim() : '';
+    if (instructions) {
+        selection.instructions = instructions;
+    }
+    return selection;
+}
+
+/**
+ * Improve text using ChatGPT via Cloudflare Worker, streaming the result
+ * @param {Function} onToken - Called with each text delta and the index of its chunk as it arrives
+ * @param {Function} [onRetry] - Called with { chunk, missing, unexpected } when the streamed
+ *   text of a chunk failed the placeholder check
+ * @param {Function} [onChunk] - Called with { chunk, text } once a retried chunk is corrected
+ * @returns {string} The complete improved text
+ */
+async function streamImprovedText(text, onToken, onRetry, onChunk) {
+    const workerUrl = getWorkerUrl();
+    const response = await fetch(`${workerUrl}/improve/stream`, {
+        method: 'POST',
+        headers: getWorkerHeaders({
+            'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify({
+            text: text,
+            proof: pseudonymizationProof,
+            sessionId: vaultSessionId,
+            ...getPromptSelection()
+        })
+    });
+
+    if (!response.ok || !response.body) {
+        const errorData = await response.json().catch(() => ({}));
+        throw createWorkerError(errorData, response.status);
+    }
+
+    let improved = null;
+    await readServerSentEvents(response, (event, data) => {
+        if (event === 'token') {
+            onToken(data.text, data.chunk);
+        } else if (event === 'retry' && onRetry) {
+            onRetry(data);
+        } else if (event === 'chunk' && onChunk) {
+            onChunk(data);
+        } else if (event === 'done') {
+            improved = data.improvedText;
+        } else if (event === 'error') {
+            throw createWorkerError(data);
+        }
+    });
+
+    if (improved === null) {
+        throw new Error('Text improvement stream ended unexpectedly');
+    }
+    return improved;
+}
+
+/**
+ * Create an Error from a worker error body, keeping its code and details
+ */
+function createWorkerError(errorData, status) {
+    const error = new Error(errorData.message || errorData.error || `HTTP error! status: ${status}`);
+    error.code = errorData.code;
+    error.missing = errorData.missing;
+    error.unexpected = errorData.unexpected;
+    error.findings = errorData.findings;
+    return error;
+}
+
+/**
+ * Read the Server-Sent Events of a fetch response
+ * @param {Function} onEvent - Called with event name and parsed JSON data
+ */
+async function readServerSentEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = block => {
+        let event = 'message';
+        const data = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(5).trim());
+            }
+        });
+        if (data.length > 0) {
+            onEvent(event, JSON.parse(data.join('\n')));
+        }
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+        // A trailing CR stays until the next read, which may start with the LF of the pair
+        buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n|\r(?!$)/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+        }
+    }
+    dispatch(buffer.replace(/\r$/, '\n'));
+}
+
 /**
  * Simulate text improvement process (fallback)
  */
@@ -327,14 +1909,36 @@ function getWorkerUrl() {
     return 'https://cib-pop-write-text-improver-prod.olegsk.workers.dev';
 }
 
+/**
+ * Get the headers for a worker request, with the access token if one is configured
+ * (meta tag "worker-token", e.g. a signed token inserted by the page's backend,
+ * or localStorage "cibPopWriteToken")
+ */
+function getWorkerHeaders(headers = {}) {
+    const metaTag = document.querySelector('meta[name="worker-token"]');
+    const token = metaTag ? metaTag.getAttribute('content') : localStorage.getItem('cibPopWriteToken');
+    if (!token) {
+        return headers;
+    }
+    return { ...headers, 'Authorization': `Bearer ${token}` };
+}
+
 // Export functions for potential use in other scripts
 window.CIBPopWrite = {
-    simulatePseudonymization,
     processTextWithHocr,
-    createPseudonymizedText,
-    restoreOriginalEntities,
+    pseudonymizeWithEntities,
+    depseudonymizeText,
+    processDocument,
+    exportText,
+    computeTextDiff,
     improveTextWithChatGPT,
+    streamImprovedText,
+    loadPromptPresets,
+    listCases,
+    createCase,
+    deleteCase,
     simulateTextImprovement,
     simulateVibeTexting,
-    getWorkerUrl
+    getWorkerUrl,
+    getWorkerHeaders
 };
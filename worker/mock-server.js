@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Serve the CIB POP and LLM mocks over HTTP for local development
+ *
+ * Point the worker at it, e.g. in .dev.vars:
+ *   CIB_POP_URL=http://localhost:8788/cib-pop
+ *   OPENAI_BASE_URL=http://localhost:8788/v1
+ */
+
+import { createServer } from 'http';
+import { MOCK_HANDLERS } from './src/mocks/index.js';
+
+const PORT = parseInt(process.env.MOCK_PORT, 10) || 8788;
+
+// Paths of the mocked endpoints
+const ROUTES = {
+  '/cib-pop': 'cib-pop',
+  '/v1/chat/completions': 'llm',
+  '/chat/completions': 'llm'
+};
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const service = ROUTES[url.pathname];
+
+  if (!service) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+
+  try {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+
+    const request = new Request(url, {
+      method: req.method,
+      headers: Object.entries(req.headers).filter(([, value]) => typeof value === 'string'),
+      body: req.method === 'GET' || req.method === 'HEAD' ? undefined : Buffer.concat(chunks)
+    });
+    const response = await MOCK_HANDLERS[service](request);
+
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    if (response.body) {
+      for await (const chunk of response.body) {
+        res.write(chunk);
+      }
+    }
+    res.end();
+    console.log(`${req.method} ${url.pathname} → ${response.status}`);
+  } catch (error) {
+    console.error(`Error handling ${req.method} ${url.pathname}:`, error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock services listening on http://localhost:${PORT}`);
+  console.log(`  CIB POP: POST http://localhost:${PORT}/cib-pop`);
+  console.log(`  LLM:     POST http://localhost:${PORT}/v1/chat/completions`);
+});
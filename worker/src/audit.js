@@ -0,0 +1,152 @@
+/**
+ * CIB Pop Write - Audit log
+ * Records which texts the worker sent to which external processor (CIB POP,
+ * the local detector or an LLM provider) and with which outcome, as
+ * accountability record under the GDPR
+ *
+ * Configuration:
+ * - AUDIT_RETENTION_DAYS: how long audit events are kept
+ *
+ * Events never contain texts or entity values: texts are reduced to their
+ * length, entities to counts per type and the text sent to the LLM to its
+ * SHA-256 hash. Every event is kept under a key of its own in the store,
+ * <UTC date>:<timestamp>:<event ID>, so concurrent requests never
+ * overwrite each other's events and a day is read by listing its prefix.
+ */
+
+import { getStore } from './storage.js';
+import { sha256Hex } from './auth.js';
+import { mapWithConcurrency } from './chunking.js';
+
+const DEFAULT_AUDIT_RETENTION_DAYS = 365;
+const MAX_AUDIT_EXPORT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ENTITY_TYPE_PATTERN = /^[a-z_]+$/;
+
+// Events read from the store at the same time by an export
+const AUDIT_READ_CONCURRENCY = 20;
+
+/**
+ * How long audit events are kept (AUDIT_RETENTION_DAYS)
+ */
+function getAuditRetentionDays(env) {
+  const days = parseInt(env.AUDIT_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_AUDIT_RETENTION_DAYS;
+}
+
+/**
+ * Record an audit event
+ *
+ * @param {Object} operation - { endpoint, status, outcome, text, detector, entities, unmasked, llm }
+ *   text is the submitted text, entities the masked entity spans, unmasked
+ *   the detected spans a client chose to leave unmasked and llm
+ *   { provider, model, text } the processor and text of an LLM request
+ * @returns {Object} The stored event
+ */
+async function recordAuditEvent(env, { endpoint, status, outcome, text = '', detector = null, entities = [], unmasked = [], llm = null }) {
+  const event = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    tenant: env.TENANT_ID || null,
+    endpoint,
+    status,
+    outcome,
+    characters: text.length,
+    detector,
+    entityCounts: countEntitiesByType(entities),
+    unmaskedCounts: countEntitiesByType(unmasked),
+    llm: llm
+      ? { provider: llm.provider, model: llm.model, characters: llm.text.length, textHash: `sha256:${await sha256Hex(llm.text)}` }
+      : null
+  };
+
+  await getStore(env, 'audit').put(getAuditEventKey(event), event, { ttl: getAuditRetentionDays(env) * 24 * 60 * 60 });
+
+  return event;
+}
+
+/**
+ * Store key of an event; keys sort by time
+ */
+function getAuditEventKey(event) {
+  return `${event.timestamp.slice(0, 10)}:${event.timestamp}:${event.id}`;
+}
+
+/**
+ * Count entity spans per type; the values are left out
+ */
+function countEntitiesByType(entities) {
+  const counts = {};
+  entities.forEach(({ type }) => {
+    if (ENTITY_TYPE_PATTERN.test(type)) {
+      counts[type] = (counts[type] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Parse the time range of an audit export
+ *
+ * from and to are dates (YYYY-MM-DD, whole UTC days) or ISO timestamps.
+ * Without to the range ends now, without from it starts 7 days before to.
+ *
+ * @returns {Object} { from, to } as Dates, or { error }
+ */
+function parseAuditRange(fromValue, toValue) {
+  const to = toValue ? parseAuditTime(toValue, { endOfDay: true }) : new Date();
+  const from = fromValue ? parseAuditTime(fromValue) : new Date(to.getTime() - 7 * DAY_MS);
+
+  if (!from || !to) {
+    return { error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' };
+  }
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (to - from > MAX_AUDIT_EXPORT_DAYS * DAY_MS) {
+    return { error: `The range must not exceed ${MAX_AUDIT_EXPORT_DAYS} days` };
+  }
+  return { from, to };
+}
+
+/**
+ * Parse a date or timestamp; dates as end of the day with { endOfDay: true }
+ */
+function parseAuditTime(value, { endOfDay = false } = {}) {
+  const time = new Date(DATE_PATTERN.test(value) ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(time.getTime())) {
+    return null;
+  }
+  return endOfDay && DATE_PATTERN.test(value) ? new Date(time.getTime() + DAY_MS - 1) : time;
+}
+
+/**
+ * Load the audit events of a time range, oldest first
+ * @param {Object} range - { from, to } from parseAuditRange
+ */
+async function loadAuditEvents(env, { from, to }) {
+  const store = getStore(env, 'audit');
+  const fromTime = from.toISOString();
+  const toTime = to.toISOString();
+
+  const keys = [];
+  for (let day = Date.parse(fromTime.slice(0, 10)); day <= to.getTime(); day += DAY_MS) {
+    const dayKeys = await store.list(`${new Date(day).toISOString().slice(0, 10)}:`);
+    keys.push(...dayKeys.filter(key => {
+      const timestamp = key.slice(11, key.lastIndexOf(':'));
+      return timestamp >= fromTime && timestamp <= toTime;
+    }));
+  }
+
+  // Events that expired between listing and reading are left out
+  const events = await mapWithConcurrency(keys, AUDIT_READ_CONCURRENCY, key => store.get(key));
+  return events.filter(Boolean);
+}
+
+export {
+  recordAuditEvent,
+  countEntitiesByType,
+  parseAuditRange,
+  loadAuditEvents
+};
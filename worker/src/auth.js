@@ -0,0 +1,253 @@
+/**
+ * CIB Pop Write - Authentication and tenants
+ * Authenticates requests with per-tenant API keys or signed tokens, checks
+ * the request origin against the allow-lists and applies the CIB POP
+ * credentials of the tenant
+ *
+ * Configuration:
+ * - TENANTS: JSON object of tenant ID → { apiKeys, tokenSecret, origins, cibPop, limits, auditor }
+ *   (set as secret); apiKeys are SHA-256 hex digests of the keys, auditor
+ *   tenants may export the audit log of every tenant
+ * - ALLOWED_ORIGINS: comma-separated browser origins allowed to call the
+ *   worker, "*" for any
+ * - AUTH_DISABLED: "true" accepts unauthenticated requests (local development)
+ */
+
+import { parseJsonObject } from './policy.js';
+
+const SIGNED_TOKEN_PREFIX = 'v1';
+
+// Tenant limits and the settings they override
+const TENANT_LIMIT_SETTINGS = {
+  requestsPerKey: 'RATE_LIMIT_PER_KEY',
+  dailyCharacters: 'DAILY_CHARACTER_QUOTA',
+  dailyTokens: 'DAILY_TOKEN_QUOTA'
+};
+
+/**
+ * Raised when a request cannot be authenticated or is not allowed
+ */
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Authenticate a request
+ *
+ * The credential is read from "Authorization: Bearer <key or token>" or
+ * "X-API-Key: <key>". Signed tokens have the form
+ * v1.<base64url payload>.<base64url HMAC-SHA256>, with the payload
+ * { tenant, exp } signed with the tenant's tokenSecret.
+ *
+ * @returns {Object|null} The tenant ({ id, keyId, origins, cibPop, limits, auditor }), null if authentication is disabled
+ * @throws {AuthError} If the request is not authenticated or not allowed
+ */
+async function authenticateRequest(request, env) {
+  const origin = request.headers.get('Origin');
+  if (origin && !isOriginAllowed(origin, env)) {
+    throw new AuthError('Origin not allowed', 403);
+  }
+
+  if (env.AUTH_DISABLED === 'true' || env.AUTH_DISABLED === true) {
+    return null;
+  }
+
+  const credential = getCredential(request);
+  if (!credential) {
+    throw new AuthError('Authentication required', 401);
+  }
+
+  const tenants = getTenants(env);
+  const tenant = credential.startsWith(`${SIGNED_TOKEN_PREFIX}.`)
+    ? await verifySignedToken(credential, tenants)
+    : await findTenantByApiKey(credential, tenants);
+
+  // A tenant can restrict its credentials to its own browser origins
+  if (origin && tenant.origins.length > 0 && !tenant.origins.includes(origin)) {
+    throw new AuthError('Origin not allowed for this tenant', 403);
+  }
+
+  // The key ID identifies the credential for rate limiting without revealing it
+  const keyId = (await sha256Hex(credential)).slice(0, 16);
+  return { ...tenant, keyId };
+}
+
+/**
+ * Read the API key or token of a request
+ */
+function getCredential(request) {
+  const authorization = request.headers.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) {
+    return bearer[1];
+  }
+  return request.headers.get('X-API-Key') || null;
+}
+
+/**
+ * Parse the configured tenants
+ * @returns {Array} Tenants ({ id, apiKeys, tokenSecret, origins, cibPop, limits, auditor })
+ */
+function getTenants(env) {
+  return Object.entries(parseJsonObject(env.TENANTS)).map(([id, config]) => ({
+    id,
+    apiKeys: Array.isArray(config.apiKeys) ? config.apiKeys.map(key => String(key).toLowerCase()) : [],
+    tokenSecret: typeof config.tokenSecret === 'string' && config.tokenSecret ? config.tokenSecret : null,
+    origins: Array.isArray(config.origins) ? config.origins : [],
+    cibPop: config.cibPop && typeof config.cibPop === 'object' ? config.cibPop : null,
+    limits: config.limits && typeof config.limits === 'object' ? config.limits : {},
+    auditor: config.auditor === true
+  }));
+}
+
+/**
+ * Find a configured tenant by its ID, e.g. for work queued by one of its requests
+ * @returns {Object|null} The tenant, or null if it is not configured (anymore)
+ */
+function findTenant(env, tenantId) {
+  return getTenants(env).find(tenant => tenant.id === tenantId) || null;
+}
+
+/**
+ * Find the tenant an API key belongs to
+ */
+async function findTenantByApiKey(apiKey, tenants) {
+  const digest = await sha256Hex(apiKey);
+  const tenant = tenants.find(candidate => candidate.apiKeys.includes(digest));
+  if (!tenant) {
+    throw new AuthError('Invalid API key', 401);
+  }
+  return tenant;
+}
+
+/**
+ * Verify a signed token and return its tenant
+ */
+async function verifySignedToken(token, tenants) {
+  const [, payloadPart, signaturePart] = token.split('.');
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(decodeBase64Url(payloadPart)));
+  } catch (error) {
+    throw new AuthError('Invalid or expired token', 401);
+  }
+
+  const tenant = tenants.find(candidate => candidate.id === (payload && payload.tenant));
+  if (!tenant || !tenant.tokenSecret || !signaturePart) {
+    throw new AuthError('Invalid or expired token', 401);
+  }
+
+  const key = await importHmacKey(tenant.tokenSecret);
+  let signature;
+  try {
+    signature = decodeBase64Url(signaturePart);
+  } catch (error) {
+    throw new AuthError('Invalid or expired token', 401);
+  }
+  const valid = await crypto.subtle.verify('HMAC', key, signature, new TextEncoder().encode(`${SIGNED_TOKEN_PREFIX}.${payloadPart}`));
+  if (!valid || !Number.isFinite(payload.exp) || payload.exp * 1000 <= Date.now()) {
+    throw new AuthError('Invalid or expired token', 401);
+  }
+
+  return tenant;
+}
+
+/**
+ * Create a signed token for a tenant, e.g. in the backend that serves the web app
+ * @param {number} expiresIn - Lifetime in seconds
+ */
+async function createSignedToken(tenantId, tokenSecret, expiresIn = 3600) {
+  const payload = { tenant: tenantId, exp: Math.floor(Date.now() / 1000) + expiresIn };
+  const payloadPart = encodeBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  const key = await importHmacKey(tokenSecret);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${SIGNED_TOKEN_PREFIX}.${payloadPart}`));
+  return `${SIGNED_TOKEN_PREFIX}.${payloadPart}.${encodeBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Check a browser origin against ALLOWED_ORIGINS
+ */
+function isOriginAllowed(origin, env) {
+  const allowed = getAllowedOrigins(env);
+  return allowed.includes('*') || allowed.includes(origin);
+}
+
+/**
+ * Origins allowed to call the worker (ALLOWED_ORIGINS)
+ */
+function getAllowedOrigins(env) {
+  return (env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+/**
+ * Get the configuration a request of the tenant runs with
+ *
+ * The tenant's CIB POP credentials and limits replace the deployment's,
+ * and TENANT_ID separates its vault sessions, batch jobs, usage and audit
+ * events in the store. TENANT_AUDITOR marks auditor tenants.
+ */
+function getTenantEnv(env, tenant) {
+  if (!tenant) {
+    return env;
+  }
+
+  const tenantEnv = { ...env, TENANT_ID: tenant.id, TENANT_AUDITOR: tenant.auditor ? 'true' : 'false' };
+  if (tenant.cibPop) {
+    tenantEnv.CIB_POP_URL = tenant.cibPop.url;
+    tenantEnv.CIB_POP_USERNAME = tenant.cibPop.username;
+    tenantEnv.CIB_POP_PASSWORD = tenant.cibPop.password;
+  }
+  Object.entries(TENANT_LIMIT_SETTINGS).forEach(([limit, setting]) => {
+    if (tenant.limits[limit] !== undefined) {
+      tenantEnv[setting] = String(tenant.limits[limit]);
+    }
+  });
+  return tenantEnv;
+}
+
+/**
+ * Import an HMAC-SHA256 key
+ */
+function importHmacKey(secret) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * SHA-256 digest of a string as lowercase hex
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Encode bytes as base64url without padding
+ */
+function encodeBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url, with or without padding
+ */
+function decodeBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+export {
+  AuthError,
+  authenticateRequest,
+  createSignedToken,
+  isOriginAllowed,
+  findTenant,
+  getTenantEnv,
+  importHmacKey,
+  sha256Hex,
+  encodeBase64Url,
+  decodeBase64Url
+};
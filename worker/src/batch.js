@@ -0,0 +1,289 @@
+/**
+ * CIB Pop Write - Batch jobs
+ * Accepts many texts in one request and processes every text as a message
+ * of the BATCH_QUEUE queue, so a job of hundreds of letters does not depend
+ * on the lifetime of the request. The job and the result of every item are
+ * kept under keys of their own in the store for polling.
+ *
+ * Configuration:
+ * - BATCH_QUEUE: queue producer binding whose consumer is the queue handler
+ *   of this worker; without it the items are processed in the background
+ *   of the request, which only suits local development
+ * - BATCH_MAX_ITEMS: most items accepted per job
+ * - BATCH_CONCURRENCY: items processed at the same time by one invocation
+ * - BATCH_TTL_SECONDS: how long jobs and their results can be polled
+ *
+ * The text of an item is kept until the item is processed, its result for
+ * BATCH_TTL_SECONDS.
+ */
+
+import { getStore } from './storage.js';
+import { mapWithConcurrency } from './chunking.js';
+
+const DEFAULT_BATCH_MAX_ITEMS = 500;
+const DEFAULT_BATCH_CONCURRENCY = 2;
+const DEFAULT_BATCH_TTL_SECONDS = 24 * 60 * 60;
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Most messages per sendBatch call of a queue
+const QUEUE_SEND_BATCH_SIZE = 100;
+
+/**
+ * Most items accepted per job (BATCH_MAX_ITEMS)
+ */
+function getBatchMaxItems(env) {
+  const maxItems = parseInt(env.BATCH_MAX_ITEMS, 10);
+  return Number.isFinite(maxItems) && maxItems > 0 ? maxItems : DEFAULT_BATCH_MAX_ITEMS;
+}
+
+/**
+ * Items processed at the same time (BATCH_CONCURRENCY)
+ */
+function getBatchConcurrency(env) {
+  const concurrency = parseInt(env.BATCH_CONCURRENCY, 10);
+  return Number.isFinite(concurrency) && concurrency > 0 ? concurrency : DEFAULT_BATCH_CONCURRENCY;
+}
+
+/**
+ * How long jobs and results are kept (BATCH_TTL_SECONDS)
+ */
+function getBatchTtlSeconds(env) {
+  return parseInt(env.BATCH_TTL_SECONDS, 10) || DEFAULT_BATCH_TTL_SECONDS;
+}
+
+/**
+ * Parse the body of a batch request
+ *
+ * JSON bodies are an array of items or an object with an "items" array; the
+ * other fields of the object are the job options. NDJSON bodies have one
+ * item per line. An item is a string or an object { id, text }.
+ *
+ * @returns {Object} { items, options } or { error } - items are { id, text }
+ */
+function parseBatchBody(body, contentType) {
+  if (/ndjson|jsonl/i.test(contentType || '')) {
+    const items = [];
+    body.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        items.push(normalizeBatchItem(JSON.parse(line)));
+      } catch (error) {
+        items.push({ id: null, text: null, error: `Invalid JSON on line ${index + 1}` });
+      }
+    });
+    return { items, options: {} };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    return { error: 'Body must be JSON or NDJSON' };
+  }
+
+  if (Array.isArray(data)) {
+    return { items: data.map(normalizeBatchItem), options: {} };
+  }
+  if (data && Array.isArray(data.items)) {
+    const { items, ...options } = data;
+    return { items: items.map(normalizeBatchItem), options };
+  }
+  return { error: 'Body must be an array of items or an object with an "items" array' };
+}
+
+/**
+ * Bring an item into the form { id, text }
+ */
+function normalizeBatchItem(item) {
+  if (typeof item === 'string') {
+    return { id: null, text: item };
+  }
+  const id = item && (typeof item.id === 'string' || typeof item.id === 'number') ? String(item.id) : null;
+  return { id, text: item && typeof item.text === 'string' ? item.text : null };
+}
+
+/**
+ * Create and store a job for the items
+ *
+ * Items with an error (e.g. invalid text) fail right away; the texts of the
+ * other items are stored until they are processed.
+ *
+ * @param {Object} options - Job options reported with the status
+ * @param {Object} request - Options the items are processed with, passed to processItem
+ * @returns {Object} The job status, see loadBatchJob
+ */
+async function createBatchJob(env, items, options, request) {
+  const store = getStore(env, 'batch');
+  const ttl = getBatchTtlSeconds(env);
+  const job = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    options,
+    request,
+    items: items.map((item, index) => ({ index, id: item.id }))
+  };
+  await store.put(job.id, job, { ttl });
+
+  const results = await Promise.all(items.map(async (item, index) => {
+    if (item.error) {
+      const result = { index, id: item.id, status: 'failed', result: null, error: { error: item.error }, processedAt: null };
+      await store.put(getItemKey(job.id, index), result, { ttl });
+      return result;
+    }
+    await store.put(getInputKey(job.id, index), { text: item.text }, { ttl });
+    return null;
+  }));
+
+  return describeBatchJob(job, results);
+}
+
+/**
+ * Send a message per pending item of a job to BATCH_QUEUE
+ * @param {Object} job - The job status from createBatchJob
+ */
+async function enqueueBatchJob(env, job) {
+  const messages = job.items
+    .filter(item => item.status === 'pending')
+    .map(item => ({ body: { tenantId: env.TENANT_ID || null, jobId: job.id, index: item.index } }));
+
+  for (let i = 0; i < messages.length; i += QUEUE_SEND_BATCH_SIZE) {
+    await env.BATCH_QUEUE.sendBatch(messages.slice(i, i + QUEUE_SEND_BATCH_SIZE));
+  }
+}
+
+/**
+ * Process the pending items of a job in the background of the request,
+ * with at most BATCH_CONCURRENCY at a time (without BATCH_QUEUE)
+ * @param {Function} processItem - See runBatchItem
+ */
+async function runBatchJob(env, job, processItem) {
+  const pending = job.items.filter(item => item.status === 'pending');
+  await mapWithConcurrency(pending, getBatchConcurrency(env), item =>
+    runBatchItem(env, { jobId: job.id, index: item.index }, processItem));
+}
+
+/**
+ * Process one item of a job and store its result
+ *
+ * Items of expired jobs and items that already have a result, e.g. of a
+ * message the queue delivered again, are skipped.
+ *
+ * @param {Object} message - { jobId, index }
+ * @param {Function} processItem - Called with the text and the request options of
+ *   the job; resolves to { result } or { error }
+ */
+async function runBatchItem(env, { jobId, index }, processItem) {
+  const store = getStore(env, 'batch');
+  const job = await loadBatchJobRecord(env, jobId);
+  if (!job || !job.items[index] || await store.get(getItemKey(jobId, index))) {
+    return;
+  }
+
+  const input = await store.get(getInputKey(jobId, index));
+  let outcome;
+  if (!input) {
+    outcome = { error: { error: 'Text of the item expired' } };
+  } else {
+    try {
+      outcome = await processItem(input.text, job.request);
+    } catch (error) {
+      outcome = { error: { error: 'Internal server error', message: error.message } };
+    }
+  }
+
+  await store.put(getItemKey(jobId, index), {
+    index,
+    id: job.items[index].id,
+    status: outcome.error ? 'failed' : 'succeeded',
+    result: outcome.error ? null : outcome.result,
+    error: outcome.error || null,
+    processedAt: new Date().toISOString()
+  }, { ttl: getBatchTtlSeconds(env) });
+  await store.delete(getInputKey(jobId, index));
+}
+
+/**
+ * Load the status of a job with the result or error of every item, or null
+ * if the job does not exist (anymore)
+ * @returns {Object|null} { id, status, createdAt, updatedAt, completedAt, options, counts, items }
+ */
+async function loadBatchJob(env, jobId) {
+  const job = await loadBatchJobRecord(env, jobId);
+  if (!job) {
+    return null;
+  }
+
+  const store = getStore(env, 'batch');
+  const results = await Promise.all(job.items.map(item => store.get(getItemKey(job.id, item.index))));
+  return describeBatchJob(job, results);
+}
+
+/**
+ * Load the stored job, or null if it does not exist (anymore)
+ */
+async function loadBatchJobRecord(env, jobId) {
+  if (typeof jobId !== 'string' || !JOB_ID_PATTERN.test(jobId)) {
+    return null;
+  }
+  return getStore(env, 'batch').get(jobId);
+}
+
+/**
+ * Build the status of a job from its item results; items without a result are pending
+ *
+ * The job is "queued" until the first item was processed and "completed"
+ * once no item is pending.
+ */
+function describeBatchJob(job, results) {
+  const items = job.items.map(({ index, id }) => results[index] || { index, id, status: 'pending', result: null, error: null, processedAt: null });
+
+  const counts = { total: items.length, pending: 0, succeeded: 0, failed: 0 };
+  items.forEach(item => {
+    counts[item.status]++;
+  });
+
+  const processed = items.map(item => item.processedAt).filter(Boolean).sort();
+  const updatedAt = processed.length > 0 ? processed[processed.length - 1] : job.createdAt;
+  let status = processed.length > 0 ? 'running' : 'queued';
+  if (counts.pending === 0) {
+    status = 'completed';
+  }
+
+  return {
+    id: job.id,
+    status,
+    createdAt: job.createdAt,
+    updatedAt,
+    completedAt: status === 'completed' ? updatedAt : null,
+    options: job.options,
+    counts,
+    items: items.map(({ index, id, status: itemStatus, result, error }) => ({ index, id, status: itemStatus, result, error }))
+  };
+}
+
+/**
+ * Store key of the result of an item
+ */
+function getItemKey(jobId, index) {
+  return `${jobId}:item:${index}`;
+}
+
+/**
+ * Store key of the text of an item, kept until it is processed
+ */
+function getInputKey(jobId, index) {
+  return `${jobId}:input:${index}`;
+}
+
+export {
+  getBatchMaxItems,
+  getBatchConcurrency,
+  parseBatchBody,
+  createBatchJob,
+  enqueueBatchJob,
+  runBatchJob,
+  runBatchItem,
+  loadBatchJob
+};
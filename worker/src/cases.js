@@ -0,0 +1,196 @@
+/**
+ * CIB Pop Write - Case workspaces
+ * A case groups the documents and letters about one client. It owns a vault
+ * session that every pseudonymization of the case reuses, so a person keeps
+ * its placeholders across edits and documents.
+ *
+ * Configuration:
+ * - CASE_TTL_SECONDS: how long a case is kept after its last use
+ * - MAX_CASES: most cases per tenant
+ */
+
+import { getStore } from './storage.js';
+import {
+  openVaultSession,
+  loadVaultSession,
+  saveVaultSession,
+  deleteVaultSession,
+  getCaseTtlSeconds
+} from './vault.js';
+
+const DEFAULT_MAX_CASES = 200;
+const MAX_CASE_NAME_LENGTH = 200;
+const CASE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Updates of the case list of this isolate run one after another, so
+// concurrent requests do not overwrite each other's changes
+let pendingIndexUpdate = Promise.resolve();
+
+/**
+ * Raised when a case does not exist (anymore)
+ */
+class CaseNotFoundError extends Error {
+  constructor(caseId) {
+    super('Case not found or expired');
+    this.name = 'CaseNotFoundError';
+    this.caseId = caseId;
+  }
+}
+
+/**
+ * Most cases per tenant (MAX_CASES)
+ */
+function getMaxCases(env) {
+  const maxCases = parseInt(env.MAX_CASES, 10);
+  return Number.isFinite(maxCases) && maxCases > 0 ? maxCases : DEFAULT_MAX_CASES;
+}
+
+/**
+ * Validate the name of a new case
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+function getCaseNameError(name) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return 'Name is required and must be a string';
+  }
+  if (name.length > MAX_CASE_NAME_LENGTH) {
+    return `Name too long. Maximum ${MAX_CASE_NAME_LENGTH} characters allowed.`;
+  }
+  return null;
+}
+
+/**
+ * Create a case with an empty vault session
+ * @returns {Object|null} The case, or null if the tenant has MAX_CASES cases
+ */
+async function createCase(env, name) {
+  const session = await openVaultSession(env);
+  const caseRecord = {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    sessionId: session.id
+  };
+  session.caseId = caseRecord.id;
+  await saveVaultSession(env, session);
+  await saveCase(env, caseRecord);
+
+  const added = await updateCaseIndex(env, ids => (ids.length >= getMaxCases(env) ? null : [...ids, caseRecord.id]));
+  if (!added) {
+    await deleteCase(env, caseRecord.id);
+    return null;
+  }
+  return caseRecord;
+}
+
+/**
+ * Load a case, or null if it does not exist (anymore)
+ */
+async function loadCase(env, caseId) {
+  if (typeof caseId !== 'string' || !CASE_ID_PATTERN.test(caseId)) {
+    return null;
+  }
+  return getStore(env, 'case').get(caseId);
+}
+
+/**
+ * List the cases of the tenant, most recently used first; expired cases
+ * are left out
+ */
+async function listCases(env) {
+  const ids = (await getStore(env, 'case').get('index')) || [];
+  const cases = (await Promise.all(ids.map(id => loadCase(env, id)))).filter(Boolean);
+  return cases.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get the vault session ID of a case and mark the case as used
+ * @throws {CaseNotFoundError} If the case or its session expired
+ */
+async function openCaseSession(env, caseId) {
+  const caseRecord = await loadCase(env, caseId);
+  if (!caseRecord || !await loadVaultSession(env, caseRecord.sessionId)) {
+    throw new CaseNotFoundError(caseId);
+  }
+
+  caseRecord.updatedAt = new Date().toISOString();
+  await saveCase(env, caseRecord);
+  return caseRecord.sessionId;
+}
+
+/**
+ * Summarize the pseudonyms (tokens and surrogates) of a case without their
+ * original values
+ * @returns {Object} { persons, pseudonyms } - pseudonyms are { pseudonym, type }
+ */
+async function describeCaseSession(env, caseRecord) {
+  const session = await loadVaultSession(env, caseRecord.sessionId);
+  if (!session) {
+    return { persons: 0, pseudonyms: [] };
+  }
+  return {
+    persons: (session.persons || []).length,
+    pseudonyms: Object.entries({ ...session.entries, ...session.surrogates }).map(([pseudonym, { type }]) => ({ pseudonym, type }))
+  };
+}
+
+/**
+ * Delete a case and its vault session
+ * @returns {boolean} false if the case does not exist
+ */
+async function deleteCase(env, caseId) {
+  const caseRecord = await loadCase(env, caseId);
+  if (!caseRecord) {
+    return false;
+  }
+
+  await deleteVaultSession(env, caseRecord.sessionId);
+  await getStore(env, 'case').delete(caseId);
+  await updateCaseIndex(env, ids => ids.filter(id => id !== caseId));
+  return true;
+}
+
+/**
+ * Persist a case; it expires CASE_TTL_SECONDS after its last use
+ */
+async function saveCase(env, caseRecord) {
+  await getStore(env, 'case').put(caseRecord.id, caseRecord, { ttl: getCaseTtlSeconds(env) });
+}
+
+/**
+ * Change the list of case IDs of the tenant; IDs of expired cases are dropped
+ * @param {Function} update - Returns the new list, or null to leave it unchanged
+ * @returns {Array|null} The new list, or null if it was left unchanged
+ */
+function updateCaseIndex(env, update) {
+  const result = pendingIndexUpdate.then(async () => {
+    const store = getStore(env, 'case');
+    const ids = (await store.get('index')) || [];
+    const existing = [];
+    for (const id of ids) {
+      if (await store.get(id)) {
+        existing.push(id);
+      }
+    }
+
+    const updated = update(existing);
+    if (updated) {
+      await store.put('index', updated);
+    }
+    return updated;
+  });
+  pendingIndexUpdate = result.catch(() => {});
+  return result;
+}
+
+export {
+  CaseNotFoundError,
+  getCaseNameError,
+  createCase,
+  loadCase,
+  listCases,
+  openCaseSession,
+  describeCaseSession,
+  deleteCase
+};
@@ -0,0 +1,182 @@
+/**
+ * CIB Pop Write - Long-document chunking
+ * Splits long texts at paragraph, sentence or word boundaries into chunks
+ * that CIB POP and the LLM can process, runs the chunks with bounded
+ * concurrency and reassembles the results in order
+ *
+ * Configuration:
+ * - MAX_TEXT_LENGTH: longest text accepted by the endpoints
+ * - CHUNK_SIZE: longest chunk sent to CIB POP or the LLM
+ * - CHUNK_CONCURRENCY: chunks processed at the same time
+ */
+
+const DEFAULT_MAX_TEXT_LENGTH = 100000;
+const DEFAULT_CHUNK_SIZE = 4000;
+const DEFAULT_CHUNK_CONCURRENCY = 4;
+
+// Preferred split points, tried in this order for pieces that are too long
+const BOUNDARY_PATTERNS = [
+  /\n[^\S\n]*\n\s*/g, // Paragraph breaks, like tokenizeText and convertTextToHocr
+  /[.!?…]["'“”)\]]*\s+|\n\s*/g, // Sentence ends and line breaks
+  /\s+/g // Any whitespace
+];
+
+/**
+ * Longest text accepted by the endpoints (MAX_TEXT_LENGTH)
+ */
+function getMaxTextLength(env) {
+  const maxLength = parseInt(env.MAX_TEXT_LENGTH, 10);
+  return Number.isFinite(maxLength) && maxLength > 0 ? maxLength : DEFAULT_MAX_TEXT_LENGTH;
+}
+
+/**
+ * Longest chunk sent to CIB POP or the LLM (CHUNK_SIZE)
+ */
+function getChunkSize(env) {
+  const chunkSize = parseInt(env.CHUNK_SIZE, 10);
+  return Number.isFinite(chunkSize) && chunkSize > 0 ? chunkSize : DEFAULT_CHUNK_SIZE;
+}
+
+/**
+ * Number of chunks processed at the same time (CHUNK_CONCURRENCY)
+ */
+function getChunkConcurrency(env) {
+  const concurrency = parseInt(env.CHUNK_CONCURRENCY, 10);
+  return Number.isFinite(concurrency) && concurrency > 0 ? concurrency : DEFAULT_CHUNK_CONCURRENCY;
+}
+
+/**
+ * Split a text into chunks of at most maxLength characters
+ *
+ * Whole paragraphs are packed into a chunk as long as they fit; longer
+ * paragraphs are split at sentence ends, then at whitespace. Placeholders
+ * are never cut. The whitespace between two chunks is kept as separator,
+ * so joinChunks restores the paragraph structure.
+ *
+ * @returns {Array} Chunks ({ start, text, separator }) in text order
+ */
+function splitIntoChunks(text, maxLength) {
+  const chunks = [];
+  let start = 0;
+  let end = 0;
+
+  findBoundaries(text, 0, text.length, maxLength).forEach(boundary => {
+    if (boundary - start > maxLength && text.slice(start, end).trim()) {
+      chunks.push(createChunk(text, start, end));
+      start = end;
+    }
+    end = boundary;
+  });
+
+  if (end > start || chunks.length === 0) {
+    chunks.push(createChunk(text, start, end));
+  }
+  return chunks;
+}
+
+/**
+ * Find the end offsets of pieces of at most maxLength characters, using the
+ * coarsest boundary pattern that makes the pieces short enough
+ */
+function findBoundaries(text, from, to, maxLength, level = 0) {
+  if (to - from <= maxLength) {
+    return [to];
+  }
+  if (level === BOUNDARY_PATTERNS.length) {
+    return findHardBoundaries(text, from, to, maxLength);
+  }
+
+  const ends = [];
+  for (const match of text.slice(from, to).matchAll(BOUNDARY_PATTERNS[level])) {
+    const end = from + match.index + match[0].length;
+    if (end < to) {
+      ends.push(end);
+    }
+  }
+  ends.push(to);
+
+  let pieceStart = from;
+  return ends.flatMap(end => {
+    const boundaries = findBoundaries(text, pieceStart, end, maxLength, level + 1);
+    pieceStart = end;
+    return boundaries;
+  });
+}
+
+/**
+ * Cut a piece without whitespace, moving cuts out of placeholders and
+ * surrogate pairs
+ */
+function findHardBoundaries(text, from, to, maxLength) {
+  const ends = [];
+  let position = from;
+
+  while (to - position > maxLength) {
+    let cut = position + maxLength;
+    const open = text.lastIndexOf('«', cut - 1);
+    if (open > position && text.indexOf('»', open) >= cut) {
+      cut = open;
+    }
+    if (/[\uD800-\uDBFF]/.test(text[cut - 1]) && cut - 1 > position) {
+      cut--;
+    }
+    ends.push(cut);
+    position = cut;
+  }
+  ends.push(to);
+
+  return ends;
+}
+
+/**
+ * Create a chunk, moving its trailing whitespace into the separator
+ */
+function createChunk(text, start, end) {
+  const content = text.slice(start, end);
+  const trimmed = content.replace(/\s+$/, '');
+  return { start, text: trimmed, separator: content.slice(trimmed.length) };
+}
+
+/**
+ * Reassemble the processed texts of the chunks in order
+ */
+function joinChunks(chunks, texts) {
+  return chunks.map((chunk, index) => texts[index] + chunk.separator).join('');
+}
+
+/**
+ * Map items with an async function, running at most limit calls at a time
+ *
+ * After a failure no further items are started; the first error is thrown.
+ *
+ * @returns {Array} The results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const run = async () => {
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+export {
+  getMaxTextLength,
+  getChunkSize,
+  getChunkConcurrency,
+  splitIntoChunks,
+  joinChunks,
+  mapWithConcurrency
+};
@@ -0,0 +1,369 @@
+/**
+ * CIB Pop Write - Local entity detector
+ * Rule-based fallback for CIB POP: finds e-mail addresses, IBANs, German
+ * phone numbers, postcodes with city, dates of birth, tax and social
+ * insurance numbers, license plates, names and the values of dictionary
+ * lists in plain text. Tax and insurance numbers are only reported if their
+ * check digit is valid; IBANs with a wrong one are likely typos and are
+ * reported with a lower confidence. The spans have the structure of the CIB POP path
+ * (parseHocrContentForEntities), so the policy and the vault treat them alike.
+ */
+
+import { parseJsonObject } from './policy.js';
+
+/**
+ * - auto: CIB POP, the local detector if CIB POP is not configured or fails
+ * - cib-pop: CIB POP only
+ * - local: the local detector only
+ */
+const DETECTOR_MODES = ['auto', 'cib-pop', 'local'];
+
+// Confidence of IBANs with a wrong check digit, above the default threshold
+const INVALID_IBAN_CONFIDENCE = 0.6;
+
+const FIRST_NAMES = [
+  'Alexander', 'Andrea', 'Andreas', 'Angelika', 'Anna', 'Barbara', 'Bernd', 'Birgit', 'Brigitte', 'Christian',
+  'Christina', 'Christine', 'Claudia', 'Daniel', 'Daniela', 'David', 'Dieter', 'Elena', 'Elisabeth', 'Emma',
+  'Felix', 'Finn', 'Frank', 'Gabriele', 'Hannah', 'Hans', 'Heike', 'Heinz', 'Helga', 'Holger',
+  'Ingrid', 'Jan', 'Jana', 'Jens', 'Johanna', 'Johannes', 'Jonas', 'Jörg', 'Julia', 'Jürgen',
+  'Karin', 'Katharina', 'Klaus', 'Korben', 'Laura', 'Lea', 'Leon', 'Lena', 'Lisa', 'Lukas',
+  'Manfred', 'Maria', 'Marie', 'Markus', 'Martin', 'Martina', 'Matthias', 'Max', 'Maximilian', 'Melanie',
+  'Mia', 'Michael', 'Monika', 'Nicole', 'Niklas', 'Paul', 'Peter', 'Petra', 'Ralf', 'Renate',
+  'Sabine', 'Sandra', 'Sarah', 'Sebastian', 'Sophie', 'Stefan', 'Stefanie', 'Susanne', 'Thomas', 'Tim',
+  'Tobias', 'Torsten', 'Ursula', 'Uwe', 'Werner', 'Wolfgang'
+];
+
+// Capitalized words that start sentences or are nouns rather than names
+const STOPWORDS = new Set([
+  'Sehr', 'Liebe', 'Lieber', 'Hallo', 'Ich', 'Wir', 'Sie', 'Er', 'Es', 'Ihr', 'Ihre', 'Ihren', 'Ihrem', 'Mein',
+  'Meine', 'Der', 'Die', 'Das', 'Den', 'Dem', 'Des', 'Ein', 'Eine', 'Einen', 'Mit', 'Bei', 'Von', 'Vom', 'Und',
+  'Oder', 'Aber', 'Am', 'Im', 'In', 'An', 'Auf', 'Für', 'Zu', 'Zur', 'Zum', 'Nach', 'Wie', 'Was', 'Wenn',
+  'Name', 'Herr', 'Herrn', 'Frau', 'Firma', 'Grüßen', 'Dank', 'Euro', 'Jahre', 'Tage', 'Stück'
+]);
+
+const SALUTATION_PATTERN = /(?<![\p{L}\p{N}])(?:Herrn?|Frau)(?:[ \t]+(?:Dr|Prof)\.)*[ \t]+(\p{Lu}[\p{L}'’-]+)/gdu;
+const NAME_PATTERN = /(?<![\p{L}\p{N}'’-])\p{Lu}[\p{L}'’-]*\p{L}/gu;
+const EMAIL_PATTERN = /(?<![\p{L}\p{N}._%+-])[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu;
+const IBAN_PATTERN = /(?<![\p{L}\p{N}])[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?(?![\p{L}\p{N}])/gu;
+const PHONE_PATTERN = /(?<![\p{L}\p{N}+])(?:(?:\+|00)49[ ]?(?:\(0\)[ ]?)?|\(?0)[1-9]\d{1,4}\)?(?:[ /-]?\d{2,}){1,4}(?!\p{N})/gu;
+const POSTCODE_CITY_PATTERN = /(?<![\p{L}\p{N}])(\d{5})[ \t]+(\p{Lu}[\p{L}-]+(?:[ \t]+(?:am|an der|bei|im|in der|ob der|vor der)[ \t]+\p{Lu}[\p{L}-]+)?)/gdu;
+const DATE_OF_BIRTH_PATTERN = /(?:(?<![\p{L}])(?:[Gg]eb(?:oren)?\.?(?:[ \t]+am)?|Geburtsdatum|Geburtstag|Geb\.-Datum)|\*)[ \t]*:?[ \t]*(\d{1,2}\.[ ]?(?:\d{1,2}\.|(?:Januar|Februar|März|April|Mai|Juni|Juli|August|September|Oktober|November|Dezember)[ ])[ ]?\d{2,4})(?!\p{N})/gdu;
+const TAX_ID_PATTERN = /(?<![\p{L}\p{N}])[1-9]\d(?:[ ]?\d{3}){3}(?![\p{L}\p{N}])/gu;
+const TAX_NUMBER_PATTERN = /(?:Steuernummer|Steuer-Nr\.?|St\.-?Nr\.?)[ \t]*:?[ \t]*(\d{2,3}\/\d{3,4}\/\d{4,5}|\d{13})(?!\p{N})/gdu;
+const SOCIAL_SECURITY_PATTERN = /(?<![\p{L}\p{N}])\d{2}[ ]?\d{6}[ ]?[A-Z][ ]?\d{3}(?![\p{L}\p{N}])/gu;
+const HEALTH_INSURANCE_PATTERN = /(?<![\p{L}\p{N}])[A-Z]\d{9}(?![\p{L}\p{N}])/gu;
+const LICENSE_PLATE_PATTERN = /(?<![\p{L}\p{N}-])[A-ZÄÖÜ]{1,3}[- ][A-Z]{1,2}[ ]?[1-9]\d{0,3}[EH]?(?![\p{L}\p{N}])/gu;
+const COMPANY_PATTERN = /(?<![\p{L}\p{N}])(?:\p{Lu}[\p{L}\p{N}&.-]*[ \t]+)(?:(?:\p{Lu}[\p{L}\p{N}&.-]*|&)[ \t]+){0,3}(?:GmbH(?:[ \t]+&[ \t]+Co\.[ \t]+KG)?|AG|KG|KGaA|OHG|UG|SE|eG|e\.V\.)(?![\p{L}\p{N}])/gu;
+
+/**
+ * Entity detector mode (ENTITY_DETECTOR), "auto" by default
+ */
+function getDetectorMode(env) {
+  return DETECTOR_MODES.includes(env.ENTITY_DETECTOR) ? env.ENTITY_DETECTOR : 'auto';
+}
+
+/**
+ * Dictionary of the local detector: the built-in first names and the
+ * configured lists (DETECTOR_DICTIONARY, JSON object of entity type →
+ * array of values)
+ * @returns {Object} Entity type → array of values
+ */
+function getDetectorDictionary(env) {
+  const configured = parseJsonObject(env.DETECTOR_DICTIONARY);
+  const dictionary = {};
+  Object.entries(configured).forEach(([type, values]) => {
+    if (/^[a-z][a-z0-9_]{0,39}$/.test(type) && Array.isArray(values)) {
+      dictionary[type] = values.filter(value => typeof value === 'string' && value.trim().length > 1).map(value => value.trim());
+    }
+  });
+  return dictionary;
+}
+
+/**
+ * Find entities in a text
+ *
+ * Where matches overlap, the longer one wins, then the one with the higher
+ * confidence. Words of one entity (first and last name, postcode and city)
+ * share a group.
+ *
+ * @param {Object} [dictionary] - Entity type → array of values, see getDetectorDictionary
+ * @returns {Array} Entity spans ({ start, end, text, type, confidence, group, alternatives }) in text order
+ */
+function detectEntities(text, dictionary = {}) {
+  const matches = [];
+  let nextKey = 0;
+  const add = (parts, confidence) => {
+    const key = nextKey++;
+    parts.forEach(({ start, end, type }) => matches.push({ start, end, type, confidence, key }));
+  };
+
+  findDictionaryValues(text, dictionary, add);
+  findNames(text, dictionary.first_name || [], add);
+
+  forEachMatch(text, EMAIL_PATTERN, match => add([spanOf(match, 0, 'email')], 0.99));
+  forEachMatch(text, IBAN_PATTERN, match => {
+    const span = spanOf(match, 0, 'iban');
+    const valid = trimToValidIban(text, span);
+    add([valid || span], valid ? 0.99 : INVALID_IBAN_CONFIDENCE);
+  });
+  forEachMatch(text, PHONE_PATTERN, match => {
+    const digits = match[0].replace(/\D/g, '').length;
+    if (digits >= 7 && digits <= 15) {
+      add([spanOf(match, 0, 'phone_number')], 0.9);
+    }
+  });
+  forEachMatch(text, POSTCODE_CITY_PATTERN, match => {
+    // "12345 Euro" is an amount, not an address
+    if (match[1].startsWith('00') || STOPWORDS.has(match[2].split(/[ \t]/)[0])) {
+      return;
+    }
+    add([spanOf(match, 1, 'postcode'), spanOf(match, 2, 'city')], 0.9);
+  });
+  forEachMatch(text, DATE_OF_BIRTH_PATTERN, match => add([spanOf(match, 1, 'date_of_birth')], 0.95));
+  forEachMatch(text, TAX_ID_PATTERN, match => {
+    if (isValidTaxId(match[0].replace(/ /g, ''))) {
+      add([spanOf(match, 0, 'tax_id')], 0.9);
+    }
+  });
+  forEachMatch(text, TAX_NUMBER_PATTERN, match => add([spanOf(match, 1, 'tax_id')], 0.9));
+  forEachMatch(text, SOCIAL_SECURITY_PATTERN, match => {
+    if (isValidSocialSecurityNumber(match[0].replace(/ /g, ''))) {
+      add([spanOf(match, 0, 'social_security_number')], 0.95);
+    }
+  });
+  forEachMatch(text, HEALTH_INSURANCE_PATTERN, match => {
+    if (isValidHealthInsuranceNumber(match[0])) {
+      add([spanOf(match, 0, 'health_insurance_number')], 0.9);
+    }
+  });
+  forEachMatch(text, LICENSE_PLATE_PATTERN, match => add([spanOf(match, 0, 'license_plate')], 0.8));
+  forEachMatch(text, COMPANY_PATTERN, match => {
+    // Sentence starts like "Bei" do not belong to the company name
+    let start = match.index;
+    let word;
+    while ((word = text.slice(start, match.index + match[0].length).match(/^(\p{Lu}[\p{L}\p{N}&.-]*)[ \t]+(?=\p{Lu})/u)) && STOPWORDS.has(word[1])) {
+      start += word[0].length;
+    }
+    if (/[ \t]/.test(text.slice(start, match.index + match[0].length))) {
+      add([{ start, end: match.index + match[0].length, type: 'company_name' }], 0.9);
+    }
+  });
+
+  return selectMatches(matches).map(match => ({
+    start: match.start,
+    end: match.end,
+    text: text.slice(match.start, match.end),
+    type: match.type,
+    confidence: match.confidence,
+    group: match.group,
+    alternatives: []
+  }));
+}
+
+/**
+ * Keep the best of overlapping matches and number the groups in text order
+ */
+function selectMatches(matches) {
+  const ranked = [...matches].sort((a, b) => (b.end - b.start) - (a.end - a.start) || b.confidence - a.confidence || a.start - b.start);
+  const selected = [];
+  ranked.forEach(match => {
+    if (!selected.some(other => match.start < other.end && other.start < match.end)) {
+      selected.push(match);
+    }
+  });
+  selected.sort((a, b) => a.start - b.start);
+
+  const groups = new Map();
+  return selected.map(match => {
+    if (!groups.has(match.key)) {
+      groups.set(match.key, groups.size);
+    }
+    return { ...match, group: groups.get(match.key) };
+  });
+}
+
+/**
+ * Find the values of the dictionary lists as whole words
+ */
+function findDictionaryValues(text, dictionary, add) {
+  Object.entries(dictionary).forEach(([type, values]) => {
+    values.forEach(value => {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'gu');
+      forEachMatch(text, pattern, match => add([spanOf(match, 0, type)], 1));
+    });
+  });
+}
+
+/**
+ * Find first names, with the following capitalized word as last name, and
+ * last names after a salutation ("Herr Dallas", "Frau Dr. Schmidt")
+ */
+function findNames(text, dictionaryNames, add) {
+  const firstNames = new Set([...FIRST_NAMES, ...dictionaryNames]);
+  const isLastName = word => !STOPWORDS.has(word) && !firstNames.has(word);
+
+  forEachMatch(text, NAME_PATTERN, match => {
+    if (!firstNames.has(match[0])) {
+      return;
+    }
+    const parts = [spanOf(match, 0, 'first_name')];
+    const next = text.slice(match.index + match[0].length).match(/^[ \t]+(\p{Lu}[\p{L}'’-]*\p{L})(?![\p{L}\p{N}])/u);
+    if (next && isLastName(next[1])) {
+      const start = match.index + match[0].length + next[0].length - next[1].length;
+      parts.push({ start, end: start + next[1].length, type: 'last_name' });
+    }
+    add(parts, 0.9);
+  });
+
+  forEachMatch(text, SALUTATION_PATTERN, match => {
+    if (isLastName(match[1])) {
+      add([spanOf(match, 1, 'last_name')], 0.8);
+    }
+  });
+}
+
+/**
+ * Shorten an IBAN match by trailing groups until its check digits are
+ * valid; the pattern can take up a following number
+ * @returns {Object|null} The valid span, or null
+ */
+function trimToValidIban(text, span) {
+  let end = span.end;
+  while (end - span.start >= 15) {
+    if (isValidIban(text.slice(span.start, end))) {
+      return { ...span, end };
+    }
+    const lastSpace = text.lastIndexOf(' ', end - 1);
+    if (lastSpace <= span.start) {
+      return null;
+    }
+    end = lastSpace;
+  }
+  return null;
+}
+
+/**
+ * Check the ISO 13616 check digits of an IBAN (mod 97)
+ */
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const character of rearranged) {
+    const digits = /\d/.test(character) ? character : String(character.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Check the tax identification number (Steuer-ID): ISO 7064 MOD 11,10
+ * check digit, and one digit repeated in the first ten digits
+ */
+function isValidTaxId(value) {
+  if (!/^[1-9]\d{10}$/.test(value)) {
+    return false;
+  }
+  const counts = {};
+  for (const digit of value.slice(0, 10)) {
+    counts[digit] = (counts[digit] || 0) + 1;
+  }
+  const repeated = Object.values(counts).filter(count => count > 1);
+  if (repeated.length !== 1 || repeated[0] > 3) {
+    return false;
+  }
+
+  let product = 10;
+  for (const digit of value.slice(0, 10)) {
+    let sum = (Number(digit) + product) % 10;
+    if (sum === 0) {
+      sum = 10;
+    }
+    product = (sum * 2) % 11;
+  }
+  const check = (11 - product) % 10;
+  return check === Number(value[10]);
+}
+
+/**
+ * Check the social insurance number (Rentenversicherungsnummer): area,
+ * date of birth, initial, serial number and check digit
+ */
+function isValidSocialSecurityNumber(value) {
+  const day = Number(value.slice(2, 4));
+  const month = Number(value.slice(4, 6));
+  if (day < 1 || day > 31 || month < 1 || month > 12) {
+    return false;
+  }
+  const letter = String(value.charCodeAt(8) - 64).padStart(2, '0');
+  const digits = value.slice(0, 8) + letter + value.slice(9, 11);
+  const weights = [2, 1, 2, 5, 7, 1, 2, 1, 2, 1, 2, 1];
+  const sum = weights.reduce((total, weight, index) => total + sumOfDigits(Number(digits[index]) * weight), 0);
+  return sum % 10 === Number(value[11]);
+}
+
+/**
+ * Check the health insurance number (Krankenversichertennummer): letter,
+ * eight digits and a check digit
+ */
+function isValidHealthInsuranceNumber(value) {
+  const digits = String(value.charCodeAt(0) - 64).padStart(2, '0') + value.slice(1, 9);
+  const sum = [...digits].reduce((total, digit, index) => total + sumOfDigits(Number(digit) * (index % 2 === 0 ? 1 : 2)), 0);
+  return sum % 10 === Number(value[9]);
+}
+
+/**
+ * Sum of the decimal digits of a number
+ */
+function sumOfDigits(number) {
+  return String(number).split('').reduce((total, digit) => total + Number(digit), 0);
+}
+
+/**
+ * Span of a match or of one of its groups (patterns with the d flag)
+ */
+function spanOf(match, group, type) {
+  const [start, end] = group === 0 ? [match.index, match.index + match[0].length] : match.indices[group];
+  return { start, end, type };
+}
+
+/**
+ * Call a function for every match of a global pattern
+ */
+function forEachMatch(text, pattern, callback) {
+  for (const match of text.matchAll(pattern)) {
+    callback(match);
+  }
+}
+
+/**
+ * Escape special regex characters in a string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Raised when no entity detector can process a text; the text must not be
+ * sent to the LLM unpseudonymized
+ */
+class DetectorUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DetectorUnavailableError';
+  }
+}
+
+export {
+  DETECTOR_MODES,
+  DetectorUnavailableError,
+  getDetectorMode,
+  getDetectorDictionary,
+  detectEntities,
+  isValidIban
+};
@@ -0,0 +1,152 @@
+/**
+ * CIB Pop Write - Word-level text diff
+ * Compares two texts word by word for the diff view and change-tracked exports
+ */
+
+// Paragraph breaks, line breaks, other whitespace, words and single other characters
+const DIFF_TOKEN_PATTERN = /\n[^\S\n]*\n\s*|\n|[^\S\n]+|[\p{L}\p{M}\p{N}]+(?:['’\-.@/][\p{L}\p{M}\p{N}]+)*|[^\s\p{L}\p{M}\p{N}]/gu;
+
+// Above this many table cells the changed middle part is reported as one replacement
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into the tokens the diff compares
+ */
+function tokenizeForDiff(text) {
+  return text.match(DIFF_TOKEN_PATTERN) || [];
+}
+
+/**
+ * Compute a word-level diff between two texts
+ *
+ * Common leading and trailing tokens are stripped first; the remaining
+ * middle part is compared with a longest common subsequence table.
+ *
+ * @returns {Array} Operations ({ type: 'equal' | 'delete' | 'insert', text }),
+ *   adjacent operations of the same type merged and rewordings grouped
+ */
+function diffWords(oldText, newText) {
+  const oldTokens = tokenizeForDiff(oldText);
+  const newTokens = tokenizeForDiff(newText);
+
+  let prefix = 0;
+  while (prefix < oldTokens.length && prefix < newTokens.length && oldTokens[prefix] === newTokens[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldTokens.length - prefix && suffix < newTokens.length - prefix
+    && oldTokens[oldTokens.length - 1 - suffix] === newTokens[newTokens.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const operations = [];
+  const push = (type, text) => {
+    const last = operations[operations.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else if (text) {
+      operations.push({ type, text });
+    }
+  };
+
+  oldTokens.slice(0, prefix).forEach(token => push('equal', token));
+  diffMiddle(oldTokens.slice(prefix, oldTokens.length - suffix), newTokens.slice(prefix, newTokens.length - suffix), push);
+  oldTokens.slice(oldTokens.length - suffix).forEach(token => push('equal', token));
+
+  return groupRewordings(operations);
+}
+
+/**
+ * Merge changes separated only by spaces into one deletion and one insertion,
+ * so a reworded phrase reads as a single replacement
+ */
+function groupRewordings(operations) {
+  const result = [];
+  let index = 0;
+
+  while (index < operations.length) {
+    if (operations[index].type === 'equal') {
+      result.push(operations[index]);
+      index++;
+      continue;
+    }
+
+    // Extend the group over spaces that are followed by another change
+    let end = index;
+    for (;;) {
+      while (end < operations.length && operations[end].type !== 'equal') {
+        end++;
+      }
+      if (end + 1 < operations.length && /^[^\S\n]+$/.test(operations[end].text) && operations[end + 1].type !== 'equal') {
+        end++;
+        continue;
+      }
+      break;
+    }
+
+    let deleted = '';
+    let inserted = '';
+    operations.slice(index, end).forEach(operation => {
+      if (operation.type !== 'insert') {
+        deleted += operation.text;
+      }
+      if (operation.type !== 'delete') {
+        inserted += operation.text;
+      }
+    });
+    if (deleted) {
+      result.push({ type: 'delete', text: deleted });
+    }
+    if (inserted) {
+      result.push({ type: 'insert', text: inserted });
+    }
+    index = end;
+  }
+
+  return result;
+}
+
+/**
+ * Diff the changed middle part of two token lists
+ */
+function diffMiddle(oldTokens, newTokens, push) {
+  const rows = oldTokens.length;
+  const columns = newTokens.length;
+
+  if (rows === 0 || columns === 0 || (rows + 1) * (columns + 1) > MAX_DIFF_CELLS) {
+    oldTokens.forEach(token => push('delete', token));
+    newTokens.forEach(token => push('insert', token));
+    return;
+  }
+
+  // lengths[i][j] = length of the LCS of oldTokens[i..] and newTokens[j..]
+  const width = columns + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i * width + j] = oldTokens[i] === newTokens[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('equal', oldTokens[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push('delete', oldTokens[i]);
+      i++;
+    } else {
+      push('insert', newTokens[j]);
+      j++;
+    }
+  }
+  oldTokens.slice(i).forEach(token => push('delete', token));
+  newTokens.slice(j).forEach(token => push('insert', token));
+}
+
+export { diffWords };
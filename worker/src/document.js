@@ -0,0 +1,57 @@
+/**
+ * CIB Pop Write - Uploaded documents
+ * Detects the format of an uploaded file and encodes the pseudonymized
+ * document for download
+ */
+
+const DEFAULT_MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+// Formats are detected by their leading bytes, not by the file name
+const DOCUMENT_FORMATS = [
+  { format: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', signature: [0x50, 0x4b, 0x03, 0x04] },
+  { format: 'pdf', contentType: 'application/pdf', signature: [0x25, 0x50, 0x44, 0x46] },
+  { format: 'png', contentType: 'image/png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  { format: 'jpeg', contentType: 'image/jpeg', signature: [0xff, 0xd8, 0xff] },
+  { format: 'tiff', contentType: 'image/tiff', signature: [0x49, 0x49, 0x2a, 0x00] },
+  { format: 'tiff', contentType: 'image/tiff', signature: [0x4d, 0x4d, 0x00, 0x2a] }
+];
+
+/**
+ * Detect the format of an uploaded document
+ * @returns {Object|null} { format, contentType } or null if unsupported
+ */
+function detectDocumentFormat(bytes) {
+  const match = DOCUMENT_FORMATS.find(({ signature }) =>
+    signature.every((byte, index) => bytes[index] === byte));
+  return match ? { format: match.format, contentType: match.contentType } : null;
+}
+
+/**
+ * Maximum upload size in bytes (MAX_DOCUMENT_BYTES)
+ */
+function getMaxDocumentBytes(env) {
+  const maxBytes = parseInt(env.MAX_DOCUMENT_BYTES, 10);
+  return Number.isFinite(maxBytes) && maxBytes > 0 ? maxBytes : DEFAULT_MAX_DOCUMENT_BYTES;
+}
+
+/**
+ * Name of the pseudonymized download for an uploaded file
+ */
+function getPseudonymizedFileName(fileName, extension) {
+  const baseName = (fileName || 'dokument').replace(/\.[^./\\]+$/, '').replace(/[^\p{L}\p{N}._ -]+/gu, '_');
+  return `${baseName || 'dokument'}_pseudonymisiert.${extension}`;
+}
+
+/**
+ * Encode bytes as base64 for a JSON response
+ */
+function encodeBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+export { detectDocumentFormat, getMaxDocumentBytes, getPseudonymizedFileName, encodeBase64 };
@@ -0,0 +1,226 @@
+/**
+ * CIB Pop Write - DOCX documents
+ * Extracts the text of a Word document with the position of every text run,
+ * writes pseudonyms back into the runs so formatting is kept, and creates
+ * simple documents from plain paragraphs
+ */
+
+import { readZip, writeZip } from './zip.js';
+import { escapeXml } from './hocr.js';
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Parts whose text is extracted and pseudonymized, in this order
+const TEXT_PART_PATTERN = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+
+// Paragraph boundaries, text runs, tabs and line breaks of WordprocessingML
+const DOCX_MARKUP_PATTERN = /<w:p(?=[\s>/])[^>]*>|<\/w:p>|<w:t(?=[\s>])[^>]*>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?=[\s/])[^>]*\/>/g;
+
+const PARAGRAPH_SEPARATOR = '\n\n';
+
+/**
+ * Extract the text of a DOCX file
+ *
+ * Paragraphs are separated by a blank line, so the tokenizer keeps the
+ * paragraph structure. Every <w:t> run records where its text ended up.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - The DOCX file
+ * @returns {Object} { text, document } - document is passed to writeDocxText
+ */
+async function readDocxText(data) {
+  const entries = await readZip(data);
+  if (!entries.has('word/document.xml')) {
+    throw new Error('Invalid DOCX file: word/document.xml not found');
+  }
+
+  const decoder = new TextDecoder();
+  const partNames = [...entries.keys()]
+    .filter(name => TEXT_PART_PATTERN.test(name))
+    .sort((a, b) => (a === 'word/document.xml' ? -1 : b === 'word/document.xml' ? 1 : a.localeCompare(b)));
+
+  let text = '';
+  let paragraph = '';
+  const runs = [];
+
+  // Append the current paragraph to the text and shift its runs to their final offsets
+  const endParagraph = pendingRuns => {
+    if (paragraph.trim()) {
+      const offset = text ? text.length + PARAGRAPH_SEPARATOR.length : 0;
+      text += (text ? PARAGRAPH_SEPARATOR : '') + paragraph;
+      pendingRuns.forEach(run => runs.push({ ...run, start: run.start + offset, end: run.end + offset }));
+    }
+    paragraph = '';
+    pendingRuns.length = 0;
+  };
+
+  const parts = {};
+  partNames.forEach(name => {
+    const xml = decoder.decode(entries.get(name));
+    parts[name] = xml;
+    const pendingRuns = [];
+
+    DOCX_MARKUP_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = DOCX_MARKUP_PATTERN.exec(xml)) !== null) {
+      if (match[0].startsWith('<w:p') || match[0] === '</w:p>') {
+        endParagraph(pendingRuns);
+      } else if (match[1] !== undefined) {
+        const runText = unescapeXml(match[1]);
+        pendingRuns.push({
+          part: name,
+          xmlStart: match.index,
+          xmlEnd: match.index + match[0].length,
+          text: runText,
+          start: paragraph.length,
+          end: paragraph.length + runText.length
+        });
+        paragraph += runText;
+      } else if (match[0] === '<w:tab/>') {
+        paragraph += '\t';
+      } else {
+        paragraph += '\n';
+      }
+    }
+    endParagraph(pendingRuns);
+  });
+
+  return { text, document: { entries, parts, runs } };
+}
+
+/**
+ * Write pseudonyms into the text runs of a document read by readDocxText
+ *
+ * A pseudonym replaces its entity in the run where the entity starts;
+ * the rest of an entity that spans several runs is removed. Author names
+ * in the document properties and revision marks are removed as well.
+ *
+ * @param {Array} entities - Spans ({ start, end, pseudonym }) in the extracted text
+ * @returns {Uint8Array} The pseudonymized DOCX file
+ */
+async function writeDocxText(document, entities) {
+  const sorted = [...entities].sort((a, b) => a.start - b.start);
+  const files = new Map(document.entries);
+  const edits = {};
+
+  document.runs.forEach(run => {
+    const replaced = replaceInRun(run, sorted);
+    if (replaced !== null) {
+      (edits[run.part] = edits[run.part] || []).push({ run, replaced });
+    }
+  });
+
+  Object.entries(document.parts).forEach(([name, xml]) => {
+    let result = '';
+    let position = 0;
+    (edits[name] || []).forEach(({ run, replaced }) => {
+      result += xml.slice(position, run.xmlStart) + `<w:t xml:space="preserve">${escapeXml(replaced)}</w:t>`;
+      position = run.xmlEnd;
+    });
+    result += xml.slice(position);
+    files.set(name, removeAuthors(result));
+  });
+
+  if (files.has('docProps/core.xml')) {
+    const core = new TextDecoder().decode(files.get('docProps/core.xml'));
+    files.set('docProps/core.xml', core
+      .replace(/(<dc:creator[^>]*>)[\s\S]*?(<\/dc:creator>)/, '$1$2')
+      .replace(/(<cp:lastModifiedBy[^>]*>)[\s\S]*?(<\/cp:lastModifiedBy>)/, '$1$2'));
+  }
+
+  return writeZip(files);
+}
+
+/**
+ * Get the new text of a run, or null if no entity overlaps it
+ */
+function replaceInRun(run, entities) {
+  const overlapping = entities.filter(entity => entity.start < run.end && entity.end > run.start);
+  if (overlapping.length === 0) {
+    return null;
+  }
+
+  let result = '';
+  let position = run.start;
+  overlapping.forEach(entity => {
+    if (entity.start >= position) {
+      result += run.text.slice(position - run.start, entity.start - run.start) + entity.pseudonym;
+    }
+    position = Math.max(position, Math.min(entity.end, run.end));
+  });
+  return result + run.text.slice(position - run.start);
+}
+
+/**
+ * Remove the author names of comments and tracked changes
+ */
+function removeAuthors(xml) {
+  return xml.replace(/\sw:author="[^"]*"/g, ' w:author=""').replace(/\sw:initials="[^"]*"/g, ' w:initials=""');
+}
+
+/**
+ * Create a DOCX file with one Word paragraph per text paragraph
+ *
+ * Runs marked as change become tracked insertions (<w:ins>) and deletions
+ * (<w:del>), which Word shows for review.
+ *
+ * @param {Array} paragraphs - Paragraph strings, or arrays of runs
+ *   ({ text, change } or { lineBreak: true, change }; change is null, 'insert' or 'delete');
+ *   line breaks become <w:br/>
+ * @param {Object} [options] - { author } of the tracked changes
+ * @returns {Uint8Array} The DOCX file
+ */
+async function createDocx(paragraphs, { author = 'CIB POP write' } = {}) {
+  const date = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  let revision = 0;
+
+  const body = paragraphs.map(paragraph => {
+    const runs = typeof paragraph === 'string'
+      ? paragraph.split('\n').flatMap((line, index) => [...(index > 0 ? [{ lineBreak: true }] : []), { text: line }])
+      : paragraph;
+
+    return `<w:p>${runs.map(run => {
+      const content = run.lineBreak
+        ? '<w:br/>'
+        : `<w:${run.change === 'delete' ? 'delText' : 't'} xml:space="preserve">${escapeXml(run.text)}</w:${run.change === 'delete' ? 'delText' : 't'}>`;
+      const xml = `<w:r>${content}</w:r>`;
+      if (run.change === 'insert' || run.change === 'delete') {
+        const element = run.change === 'insert' ? 'w:ins' : 'w:del';
+        return `<${element} w:id="${++revision}" w:author="${escapeXml(author)}" w:date="${date}">${xml}</${element}>`;
+      }
+      return xml;
+    }).join('')}</w:p>`;
+  }).join('');
+
+  return writeZip([
+    ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+      + '</Types>'],
+    ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+      + '</Relationships>'],
+    ['word/document.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+      + `<w:body>${body}<w:sectPr/></w:body>`
+      + '</w:document>']
+  ]);
+}
+
+/**
+ * Decode the XML entities of a text node
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-fA-F]+);/g, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+export { DOCX_CONTENT_TYPE, readDocxText, writeDocxText, createDocx };
@@ -0,0 +1,143 @@
+/**
+ * CIB Pop Write - Export
+ * Renders the final text as DOCX, PDF, Markdown or HTML, keeping its
+ * paragraphs and optionally marking the changes against the original text
+ */
+
+import { diffWords } from './diff.js';
+import { DOCX_CONTENT_TYPE, createDocx } from './docx.js';
+import { createPdf } from './pdf.js';
+import { escapeXml } from './hocr.js';
+
+const EXPORT_FORMATS = {
+  docx: { contentType: DOCX_CONTENT_TYPE, extension: 'docx', render: paragraphs => createDocx(paragraphs) },
+  pdf: { contentType: 'application/pdf', extension: 'pdf', render: paragraphs => createPdf(paragraphs) },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: paragraphs => renderMarkdown(paragraphs) },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: (paragraphs, title) => renderHtml(paragraphs, title) }
+};
+
+// A blank line separates paragraphs, like tokenizeText and convertTextToHocr
+const PARAGRAPH_BREAK_PATTERN = /(\n[^\S\n]*\n\s*|\n)/;
+
+/**
+ * Split the text into paragraphs of runs
+ *
+ * With an original text, the runs carry the word-level changes against it:
+ * change is 'insert' or 'delete', null for unchanged text. Paragraph and
+ * line breaks follow the new text; deleted breaks are dropped.
+ *
+ * @returns {Array} Paragraphs as arrays of runs ({ text, change } or { lineBreak: true, change })
+ */
+function buildExportParagraphs(text, originalText = null) {
+  const normalize = value => value.replace(/\r\n?/g, '\n').trim();
+  const operations = typeof originalText === 'string'
+    ? diffWords(normalize(originalText), normalize(text))
+    : [{ type: 'equal', text: normalize(text) }];
+
+  const paragraphs = [[]];
+  operations.forEach(({ type, text: operationText }) => {
+    const change = type === 'equal' ? null : type;
+
+    operationText.split(PARAGRAPH_BREAK_PATTERN).forEach((part, index) => {
+      if (index % 2 === 0) {
+        if (part) {
+          paragraphs[paragraphs.length - 1].push({ text: part, change });
+        }
+      } else if (change === 'delete') {
+        paragraphs[paragraphs.length - 1].push({ text: ' ', change });
+      } else if (part.includes('\n', 1)) {
+        paragraphs.push([]);
+      } else {
+        paragraphs[paragraphs.length - 1].push({ lineBreak: true, change });
+      }
+    });
+  });
+
+  return paragraphs.filter(runs => runs.some(run => !run.lineBreak));
+}
+
+/**
+ * Render the final text in an export format
+ *
+ * @param {string} format - docx, pdf, md or html
+ * @param {Object} options - { text, originalText, trackChanges, title }
+ * @returns {Object} { body, contentType, extension } - body is a Uint8Array or string
+ */
+async function createExport(format, { text, originalText, trackChanges, title }) {
+  const exportFormat = EXPORT_FORMATS[format];
+  const paragraphs = buildExportParagraphs(text, trackChanges ? originalText : null);
+
+  return {
+    body: await exportFormat.render(paragraphs, title),
+    contentType: exportFormat.contentType,
+    extension: exportFormat.extension
+  };
+}
+
+/**
+ * Name of the exported file
+ */
+function getExportFileName(fileName, extension) {
+  const baseName = (fileName || 'text').replace(/\.[^./\\]+$/, '').replace(/[^\p{L}\p{N}._ -]+/gu, '_');
+  return `${baseName || 'text'}.${extension}`;
+}
+
+/**
+ * Render paragraphs as Markdown; changes use CriticMarkup ({++ ++} and {-- --})
+ */
+function renderMarkdown(paragraphs) {
+  return paragraphs.map(runs => runs.map(run => {
+    const content = run.lineBreak ? '  \n' : escapeMarkdown(run.text);
+    if (run.change === 'insert') {
+      return `{++${content}++}`;
+    }
+    if (run.change === 'delete') {
+      return `{--${content}--}`;
+    }
+    return content;
+  }).join('')).join('\n\n') + '\n';
+}
+
+/**
+ * Escape characters Markdown would interpret as formatting
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*_[\]<>{}|])/g, '\\$1')
+    .replace(/^(\s*)([#>+-]|\d+\.)(?=\s)/gm, '$1\\$2');
+}
+
+/**
+ * Render paragraphs as a standalone HTML document; changes use <ins> and <del>
+ */
+function renderHtml(paragraphs, title = 'Export') {
+  const body = paragraphs.map(runs => `<p>${runs.map(run => {
+    const content = run.lineBreak ? '<br>' : escapeXml(run.text);
+    if (run.change === 'insert') {
+      return `<ins>${content}</ins>`;
+    }
+    if (run.change === 'delete') {
+      return `<del>${content}</del>`;
+    }
+    return content;
+  }).join('')}</p>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(title)}</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; line-height: 1.5; max-width: 48rem; margin: 2rem auto; }
+ins { color: #1a7f37; }
+del { color: #cf222e; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+export { EXPORT_FORMATS, buildExportParagraphs, createExport, getExportFileName };
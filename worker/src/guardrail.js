@@ -0,0 +1,168 @@
+/**
+ * CIB Pop Write - Placeholder guardrail
+ * Instructs the LLM to keep pseudonym placeholders verbatim and verifies that
+ * the improved text contains exactly the placeholders of the input, each as
+ * often as the input. A lost, repeated or altered placeholder would restore
+ * the wrong value, drop one or repeat it.
+ * Surrogate values are checked like placeholders.
+ */
+
+import { countTokens, countSurrogates } from './restore.js';
+import { generateCompletion } from './providers.js';
+
+const DEFAULT_GUARDRAIL_RETRIES = 1;
+
+const PRESERVATION_INSTRUCTIONS = 'Der Text enthält Platzhalter in der Form «TYP_NUMMER» (zum Beispiel «FIRST_NAME_1»), '
+  + 'die personenbezogene Daten ersetzen. Übernimm jeden Platzhalter exakt und unverändert, '
+  + 'einschließlich der Zeichen « und ». Übersetze, kürze, entferne oder erfinde keine Platzhalter '
+  + 'und schreibe sie nicht aus. Gib nur den bearbeiteten Text zurück.';
+
+const SURROGATE_INSTRUCTIONS = 'Übernimm außerdem diese Namen und Angaben unverändert; '
+  + 'nur ein Genitiv-s darf angehängt werden: ';
+
+/**
+ * Raised when the LLM output does not contain exactly the placeholders of the input
+ */
+class PlaceholderIntegrityError extends Error {
+  constructor(missing, unexpected, attempts) {
+    super(`Placeholder integrity check failed after ${attempts} attempt(s)`);
+    this.name = 'PlaceholderIntegrityError';
+    this.missing = missing;
+    this.unexpected = unexpected;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Number of corrective retries after a failed check (LLM_GUARDRAIL_RETRIES)
+ */
+function getGuardrailRetries(env) {
+  const retries = parseInt(env.LLM_GUARDRAIL_RETRIES, 10);
+  return Number.isFinite(retries) && retries >= 0 ? retries : DEFAULT_GUARDRAIL_RETRIES;
+}
+
+/**
+ * Append the placeholder-preservation instructions to a system prompt
+ * @param {Array} [surrogates] - Surrogate values of the text, which must be kept as well
+ */
+function addPreservationInstructions(prompt, surrogates = []) {
+  const instructions = surrogates.length > 0
+    ? `${PRESERVATION_INSTRUCTIONS} ${SURROGATE_INSTRUCTIONS}${surrogates.join(', ')}.`
+    : PRESERVATION_INSTRUCTIONS;
+  return `${prompt}\n\n${instructions}`;
+}
+
+/**
+ * Compare the placeholders of the input and the LLM output
+ *
+ * A placeholder is listed once for every occurrence the output lacks
+ * (missing) or has in excess (unexpected), so a dropped or duplicated
+ * repetition fails the check like a lost placeholder.
+ *
+ * @param {Array} [surrogates] - Surrogate values of the vault session, checked like placeholders
+ * @returns {Object} { valid, missing, unexpected } - occurrences lost and occurrences invented
+ */
+function checkPlaceholders(inputText, outputText, surrogates = []) {
+  const count = text => ({ ...countTokens(text), ...countSurrogates(text, surrogates) });
+  const expected = count(inputText);
+  const found = count(outputText);
+
+  const missing = [];
+  const unexpected = [];
+  new Set([...Object.keys(expected), ...Object.keys(found)]).forEach(token => {
+    const difference = (found[token] || 0) - (expected[token] || 0);
+    const list = difference < 0 ? missing : unexpected;
+    for (let i = 0; i < Math.abs(difference); i++) {
+      list.push(token);
+    }
+  });
+
+  return { valid: missing.length === 0 && unexpected.length === 0, missing, unexpected };
+}
+
+/**
+ * Build the follow-up messages that ask the LLM to repair its last answer
+ */
+function buildCorrectionMessages(messages, output, check) {
+  const problems = [];
+  if (check.missing.length > 0) {
+    problems.push(`Diese Platzhalter fehlen, einmal je fehlendem Vorkommen aufgeführt: ${check.missing.join(', ')}.`);
+  }
+  if (check.unexpected.length > 0) {
+    problems.push(`Diese Platzhalter kommen im Original nicht oder seltener vor, einmal je überzähligem Vorkommen aufgeführt: ${check.unexpected.join(', ')}.`);
+  }
+
+  return [
+    ...messages,
+    { role: 'assistant', content: output },
+    {
+      role: 'user',
+      content: `${problems.join(' ')} Gib den Text erneut vollständig zurück und übernimm dabei genau die Platzhalter des Originals unverändert und so oft wie im Original.`
+    }
+  ];
+}
+
+/**
+ * Add the token usage of a retry to the usage so far
+ */
+function addUsage(total, usage) {
+  const sum = (a, b) => (a === null || b === null ? null : a + b);
+  return {
+    inputTokens: sum(total.inputTokens, usage.inputTokens),
+    outputTokens: sum(total.outputTokens, usage.outputTokens)
+  };
+}
+
+/**
+ * Verify an LLM output and, while retries are left, ask the LLM to correct it
+ *
+ * @param {Object} completion - { text, usage } of the first attempt
+ * @param {Function} [onRetry] - Called with the failed check before each retry
+ * @param {Array} [surrogates] - Surrogate values of the vault session
+ * @returns {Object} { text, usage, attempts } - usage summed over all attempts
+ * @throws {PlaceholderIntegrityError} If the placeholders are still wrong after all retries
+ */
+async function enforcePlaceholders(llmConfig, messages, inputText, completion, env, onRetry, surrogates = []) {
+  const retries = getGuardrailRetries(env);
+  let conversation = messages;
+  let { text, usage } = completion;
+  let attempts = 1;
+  let check = checkPlaceholders(inputText, text, surrogates);
+
+  while (!check.valid && attempts <= retries) {
+    if (onRetry) {
+      await onRetry(check);
+    }
+    conversation = buildCorrectionMessages(conversation, text, check);
+    const retry = await generateCompletion(llmConfig, conversation, env);
+    text = retry.text;
+    usage = addUsage(usage, retry.usage);
+    attempts++;
+    check = checkPlaceholders(inputText, text, surrogates);
+  }
+
+  if (!check.valid) {
+    throw new PlaceholderIntegrityError(check.missing, check.unexpected, attempts);
+  }
+
+  return { text, usage, attempts };
+}
+
+/**
+ * Generate a completion and enforce that it keeps the placeholders of the input
+ * @param {Array} [surrogates] - Surrogate values of the vault session
+ * @returns {Object} { text, usage, attempts }
+ */
+async function generateWithPlaceholderGuardrail(llmConfig, messages, inputText, env, surrogates = []) {
+  const completion = await generateCompletion(llmConfig, messages, env);
+  return enforcePlaceholders(llmConfig, messages, inputText, completion, env, null, surrogates);
+}
+
+export {
+  PlaceholderIntegrityError,
+  addPreservationInstructions,
+  addUsage,
+  checkPlaceholders,
+  enforcePlaceholders,
+  generateWithPlaceholderGuardrail
+};
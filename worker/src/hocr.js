@@ -0,0 +1,399 @@
+/**
+ * CIB Pop Write - HOCR conversion and entity extraction
+ * Converts plain text to HOCR for CIB POP and maps the returned entities
+ * back to character offsets in the original text
+ */
+
+// Letters (including umlauts and other diacritics), combining marks and digits.
+// Apostrophes, hyphens, dots, @ and slashes only join word characters, so
+// "Hans-Peter", "O'Neil", "12.03.1980" or "max@example.de" stay one word.
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’\-.@/][\p{L}\p{M}\p{N}]+)*/uy;
+
+/**
+ * Split text into the words and punctuation marks that are sent to CIB POP,
+ * keeping the character offsets of every token in the original text
+ * @returns {Array} Tokens ({ text, start, end, paragraph, line, punctuation })
+ */
+function tokenizeText(text) {
+  const tokens = [];
+  const linePattern = /[^\n]+/g;
+  let paragraph = 0;
+  let line = 0;
+  let previousLineEnd = null;
+  let lineMatch;
+
+  while ((lineMatch = linePattern.exec(text)) !== null) {
+    if (!lineMatch[0].trim()) {
+      continue;
+    }
+
+    // A blank line between two lines starts a new paragraph
+    if (previousLineEnd !== null) {
+      if (/\n\s*\n/.test(text.slice(previousLineEnd, lineMatch.index))) {
+        paragraph++;
+        line = 0;
+      } else {
+        line++;
+      }
+    }
+    previousLineEnd = lineMatch.index + lineMatch[0].length;
+
+    const lineEnd = previousLineEnd;
+    let position = lineMatch.index;
+    while (position < lineEnd) {
+      if (/\s/.test(text[position])) {
+        position++;
+        continue;
+      }
+
+      WORD_PATTERN.lastIndex = position;
+      const wordMatch = WORD_PATTERN.exec(text);
+      if (wordMatch) {
+        tokens.push({ text: wordMatch[0], start: position, end: position + wordMatch[0].length, paragraph, line, punctuation: false });
+        position += wordMatch[0].length;
+      } else {
+        // Every other character (including surrogate pairs) is its own punctuation token
+        const character = String.fromCodePoint(text.codePointAt(position));
+        tokens.push({ text: character, start: position, end: position + character.length, paragraph, line, punctuation: true });
+        position += character.length;
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Convert plain text to HOCR format, preserving linebreaks and paragraphs.
+ * Every word records its source offsets as "x_offset <start> <end>".
+ */
+function convertTextToHocr(text, tokens = tokenizeText(text)) {
+  let hocrContent = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml">
+	<head>
+		<title></title>
+		<meta http-equiv="Content-Type" content="text/html;charset=utf-8" />
+		<meta name="ocr-system" content="CIB ocr:3.1.1.0;CIB deepER:2.8.0" />
+		<meta name="ocr-capabilities" content="" />
+	</head>
+	<body>
+  <div class="ocr_page" title="image input.png; bbox 0 0 2456 3516; ppageno 1; x_useddeskewangle -0.5625" id="page_1">\n`;
+
+  let lineY = 100; // Starting Y position
+  let wordId = 1;
+  let wordX = 100;
+
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const isNewParagraph = previous && previous.paragraph !== token.paragraph;
+    const isNewLine = !previous || isNewParagraph || previous.line !== token.line;
+
+    if (isNewLine) {
+      if (previous) {
+        hocrContent += `\t\t</span>\n`;
+        lineY += 30;
+      }
+      if (isNewParagraph) {
+        lineY += 20; // Extra space between paragraphs
+      }
+      hocrContent += `\t\t<span class="ocr_line" title="bbox 0 ${lineY} 1000 ${lineY + 50}" id="line_${token.line + 1}">\n`;
+      wordX = 100; // Starting X position
+    } else if (!token.punctuation || previous.end < token.start) {
+      wordX += 10; // Word spacing; punctuation attached to a word follows it directly
+    }
+
+    const wordWidth = [...token.text].length * 10; // Approximate width
+    const punctuation = token.punctuation ? '; x_punct 1' : '';
+    hocrContent += `\t\t\t<span class="ocrx_word" title="bbox ${wordX} ${lineY} ${wordX + wordWidth} ${lineY + 50}; x_offset ${token.start} ${token.end}${punctuation}" id="word_${wordId}">${escapeXml(token.text)}</span>\n`;
+    wordX += wordWidth;
+    wordId++;
+  });
+
+  if (tokens.length > 0) {
+    hocrContent += `\t\t</span>\n`;
+  }
+
+  hocrContent += `\t</div>\n</body>\n</html>\n`;
+
+  return hocrContent;
+}
+
+/**
+ * Build plain text from the layout CIB POP returns for an OCR'd document
+ *
+ * Words of a line are joined by a space, lines by a line break and pages or
+ * text blocks by a blank line, so tokenizeText would find the same
+ * paragraphs and lines. The returned tokens are the layout words.
+ *
+ * @returns {Object} { text, tokens }
+ */
+function convertLayoutToText(jsonContent) {
+  const data = typeof jsonContent === 'string' ? JSON.parse(jsonContent) : jsonContent;
+  const blockTypes = ['page', 'paragraph', 'par', 'block', 'area', 'carea'];
+  const tokens = [];
+  let text = '';
+  let paragraph = 0;
+  let line = 0;
+  let separator = '';
+
+  function traverse(node) {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (node.type === 'word') {
+      const wordText = typeof node.text === 'string' ? node.text.trim() : '';
+      if (wordText) {
+        text += separator;
+        tokens.push({ text: wordText, start: text.length, end: text.length + wordText.length, paragraph, line, punctuation: false });
+        text += wordText;
+        separator = ' ';
+      }
+      return;
+    }
+
+    // A new block or line only separates words once there is text before it
+    if (tokens.length > 0 && blockTypes.includes(node.type) && separator !== '\n\n') {
+      separator = '\n\n';
+      paragraph++;
+      line = 0;
+    } else if (tokens.length > 0 && node.type === 'line' && separator === ' ') {
+      separator = '\n';
+      line++;
+    }
+
+    (Array.isArray(node.children) ? node.children : []).forEach(traverse);
+  }
+
+  traverse(data && data.layout ? data.layout.root : data);
+
+  return { text, tokens };
+}
+
+/**
+ * Escape text for use in XML content
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse JSON content for entity spans in the original text
+ *
+ * Every word returned by CIB POP is aligned with the token it was created
+ * from, so each entity is reported with the exact character offsets of the
+ * occurrence that was tagged. Adjacent words belonging to the same entity
+ * (the numeric suffix of x_entity counts the parts of an entity) are merged
+ * into a single span.
+ *
+ * @returns {Array} Entity spans ({ start, end, text, type, confidence, group, alternatives })
+ */
+function parseHocrContentForEntities(jsonContent, text, tokens = tokenizeText(text)) {
+  const spans = [];
+  let previousEntityWord = null;
+  let group = -1;
+
+  alignHocrWords(jsonContent, tokens).forEach(({ word, token }) => {
+    const entity = token && parseXEntity(word.attributes && word.attributes.x_entity);
+    if (!entity) {
+      previousEntityWord = null;
+      return;
+    }
+
+    const confidence = parseConfidence(word.attributes.x_entity_confidence);
+    const continuesEntity = previousEntityWord !== null && entity.part > 0;
+    if (!continuesEntity) {
+      group++;
+    }
+
+    const lastSpan = spans[spans.length - 1];
+    if (continuesEntity && lastSpan.type === entity.type) {
+      lastSpan.end = token.end;
+      lastSpan.text = text.slice(lastSpan.start, lastSpan.end);
+      if (confidence !== null) {
+        lastSpan.confidence = lastSpan.confidence === null ? confidence : Math.min(lastSpan.confidence, confidence);
+      }
+    } else {
+      spans.push({
+        start: token.start,
+        end: token.end,
+        text: text.slice(token.start, token.end),
+        type: entity.type,
+        confidence,
+        group,
+        alternatives: parseAlternatives(word.attributes.x_entity_alternatives)
+      });
+    }
+
+    previousEntityWord = word;
+  });
+
+  return spans;
+}
+
+/**
+ * Parse JSON content for words CIB POP did not tag as entity but which
+ * carry x_entity_alternatives
+ * @returns {Array} Candidate words ({ start, end, text, alternatives })
+ */
+function parseHocrContentForCandidates(jsonContent, text, tokens = tokenizeText(text)) {
+  const candidates = [];
+
+  alignHocrWords(jsonContent, tokens).forEach(({ word, token }) => {
+    if (!token || token.punctuation || !word.attributes || word.attributes.x_entity) {
+      return;
+    }
+
+    const alternatives = parseAlternatives(word.attributes.x_entity_alternatives);
+    if (alternatives.length > 0) {
+      candidates.push({
+        start: token.start,
+        end: token.end,
+        text: text.slice(token.start, token.end),
+        alternatives
+      });
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * Collect the words of a CIB POP JSON response in document order and align
+ * each with its token in the original text (token is null if not alignable)
+ * @throws {Error} If the response is a string that is not valid JSON, or a
+ *   word tagged as entity cannot be aligned
+ */
+function alignHocrWords(jsonContent, tokens) {
+  // Check if the input is already a parsed JSON object or a string
+  let data;
+  if (typeof jsonContent === 'string') {
+    try {
+      data = JSON.parse(jsonContent);
+    } catch (error) {
+      // Without the words no entity could be found; an empty result would pass the text unmasked
+      throw new Error(`CIB POP response is not valid JSON: ${error.message}`);
+    }
+  } else {
+    data = jsonContent;
+  }
+  
+  const words = [];
+  
+  // Recursive function to collect the words of the JSON tree in document order
+  function traverseJson(obj) {
+    if (!obj || typeof obj !== 'object') {
+      return;
+    }
+    
+    if (obj.type === 'word' && obj.id && obj.text) {
+      words.push(obj);
+    }
+    
+    // Traverse children and any other nested structures
+    for (const key in obj) {
+      if (obj.hasOwnProperty(key) && typeof obj[key] === 'object' && obj[key] !== null) {
+        traverseJson(obj[key]);
+      }
+    }
+  }
+  
+  // Start traversal from the root
+  traverseJson(data);
+
+  let tokenIndex = 0;
+
+  return words.map(word => {
+    const token = findMatchingToken(tokens, tokenIndex, word);
+    if (!token || token.text !== word.text) {
+      // An entity that cannot be located in the text could not be masked
+      if (word.attributes && word.attributes.x_entity) {
+        throw new Error(`CIB POP entity word "${word.id}" could not be aligned with the original text`);
+      }
+      return { word, token: null };
+    }
+    tokenIndex = tokens.indexOf(token) + 1;
+    return { word, token };
+  });
+}
+
+/**
+ * Find the token for a returned word. The x_offset written into the HOCR is
+ * used when CIB POP passes it through, otherwise the word text is matched
+ * starting at the current alignment position.
+ */
+function findMatchingToken(tokens, fromIndex, word) {
+  const offset = word.attributes && parseOffset(word.attributes.x_offset);
+  if (offset) {
+    return tokens.find(token => token.start === offset.start && token.end === offset.end) || null;
+  }
+
+  const lookahead = 5;
+  for (let i = fromIndex; i < Math.min(tokens.length, fromIndex + lookahead); i++) {
+    if (tokens[i].text === word.text) {
+      return tokens[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an x_offset attribute value like "15 21"
+ */
+function parseOffset(value) {
+  const match = /^\s*(\d+)\s+(\d+)\s*$/.exec(value || '');
+  return match ? { start: parseInt(match[1], 10), end: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Parse an x_entity attribute value like "first_name 0" into type and part index
+ */
+function parseXEntity(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value.trim().split(/\s+/);
+  const last = parts[parts.length - 1];
+  if (parts.length > 1 && /^\d+$/.test(last)) {
+    return { type: parts.slice(0, -1).join('_'), part: parseInt(last, 10) };
+  }
+
+  return { type: parts.join('_'), part: 0 };
+}
+
+/**
+ * Parse an x_entity_alternatives attribute value like "['last_name', 'city']"
+ */
+function parseAlternatives(value) {
+  if (Array.isArray(value)) {
+    return value.filter(type => typeof type === 'string');
+  }
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return [...value.matchAll(/['"]([^'"]+)['"]/g)].map(match => match[1]);
+}
+
+/**
+ * Parse an x_entity_confidence attribute value
+ */
+function parseConfidence(value) {
+  const confidence = parseFloat(value);
+  return Number.isFinite(confidence) ? confidence : null;
+}
+
+export {
+  tokenizeText,
+  convertTextToHocr,
+  convertLayoutToText,
+  escapeXml,
+  parseHocrContentForEntities,
+  parseHocrContentForCandidates,
+  parseXEntity
+};
@@ -4,70 +4,1646 @@
  * and HOCR entity extraction functionality
  */
 
+import {
+  tokenizeText,
+  convertTextToHocr,
+  convertLayoutToText,
+  parseHocrContentForEntities,
+  parseHocrContentForCandidates
+} from './hocr.js';
+import { POLICY_MODES, getEntityPolicy, applyEntityPolicy } from './policy.js';
+import {
+  DetectorUnavailableError,
+  getDetectorMode,
+  getDetectorDictionary,
+  detectEntities
+} from './detector.js';
+import {
+  openVaultSession,
+  loadVaultSession,
+  saveVaultSession,
+  mintToken,
+  mintNameTokens,
+  mintSurrogate,
+  recordDetection,
+  findDetection,
+  listSurrogates,
+  PERSON_NAME_TYPES
+} from './vault.js';
+import { resolveSurrogateTypes, findSurrogates } from './surrogates.js';
+import {
+  CaseNotFoundError,
+  getCaseNameError,
+  createCase,
+  loadCase,
+  listCases,
+  openCaseSession,
+  describeCaseSession,
+  deleteCase
+} from './cases.js';
+import { restorePseudonyms } from './restore.js';
+import { PrivacyError, createPseudonymizationProof, enforcePrivacy } from './privacy.js';
+import {
+  getLlmSelectionError,
+  resolveLlmConfig,
+  isLlmConfigured,
+  streamCompletion
+} from './providers.js';
+import { formatServerSentEvent } from './sse.js';
+import { resolvePrompt, listPromptPresets } from './prompts.js';
+import {
+  PlaceholderIntegrityError,
+  addPreservationInstructions,
+  addUsage,
+  enforcePlaceholders,
+  generateWithPlaceholderGuardrail
+} from './guardrail.js';
+import {
+  detectDocumentFormat,
+  getMaxDocumentBytes,
+  getPseudonymizedFileName,
+  encodeBase64
+} from './document.js';
+import { DOCX_CONTENT_TYPE, readDocxText, writeDocxText, createDocx } from './docx.js';
+import { EXPORT_FORMATS, createExport, getExportFileName } from './export.js';
+import { diffWords } from './diff.js';
+import { fetchService } from './mocks/index.js';
+import { AuthError, authenticateRequest, isOriginAllowed, findTenant, getTenantEnv, sha256Hex } from './auth.js';
+import {
+  getMaxTextLength,
+  getChunkSize,
+  getChunkConcurrency,
+  splitIntoChunks,
+  joinChunks,
+  mapWithConcurrency
+} from './chunking.js';
+import {
+  getBatchMaxItems,
+  getBatchConcurrency,
+  parseBatchBody,
+  createBatchJob,
+  enqueueBatchJob,
+  runBatchJob,
+  runBatchItem,
+  loadBatchJob
+} from './batch.js';
+import {
+  checkRateLimit,
+  chargeCharacters,
+  getTokenQuotaError,
+  recordTokenUsage,
+  getUsageReport
+} from './quota.js';
+import { recordAuditEvent, parseAuditRange, loadAuditEvents } from './audit.js';
+
+// Stages of the /pipeline endpoint, in order
+const PIPELINE_STAGES = ['pseudonymize', 'improve', 'restore'];
+
+// Formats of the audit log export
+const AUDIT_EXPORT_FORMATS = ['json', 'ndjson'];
+
 export default {
   async fetch(request, env, ctx) {
-    // Handle CORS preflight requests
-    if (request.method === 'OPTIONS') {
-      return handleCORSPreflight();
+    let response;
+    try {
+      response = await routeRequest(request, env, ctx);
+    } catch (error) {
+      // Failures outside the handlers, e.g. of the store during rate limiting
+      // or authentication, still get a JSON error the browser can read
+      console.error('Error processing request:', error);
+      response = createErrorResponse('Internal server error', 500, { message: error.message });
+    }
+    return applyCORSHeaders(response, request, env);
+  },
+
+  async queue(batch, env) {
+    await handleBatchQueue(batch, env);
+  }
+};
+
+/**
+ * Authenticate the request and dispatch it to the endpoint handler
+ */
+async function routeRequest(request, env, ctx) {
+  // Handle CORS preflight requests
+  if (request.method === 'OPTIONS') {
+    return handleCORSPreflight();
+  }
+
+  // Throttle clients by IP before authenticating, so failed attempts count too
+  const ipLimit = await checkRateLimit(env, 'ip', request.headers.get('CF-Connecting-IP') || 'unknown');
+  if (ipLimit) {
+    return createLimitResponse(ipLimit);
+  }
+
+  let tenant;
+  try {
+    tenant = await authenticateRequest(request, env);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      const response = createErrorResponse(error.message, error.status);
+      if (error.status === 401) {
+        response.headers.set('WWW-Authenticate', 'Bearer');
+      }
+      return response;
+    }
+    throw error;
+  }
+
+  // Handlers run with the configuration of the tenant
+  env = getTenantEnv(env, tenant);
+
+  if (tenant) {
+    const keyLimit = await checkRateLimit(env, 'key', tenant.keyId);
+    if (keyLimit) {
+      return createLimitResponse(keyLimit);
+    }
+  }
+
+  const url = new URL(request.url);
+
+  // Read-only endpoints: prompt presets, batch job status, usage and audit log
+  if (request.method === 'GET' && url.pathname === '/prompts') {
+    return handlePromptsEndpoint(env);
+  }
+  if (request.method === 'GET' && url.pathname === '/usage') {
+    return handleUsageEndpoint(url, env);
+  }
+  if (request.method === 'GET' && url.pathname === '/audit') {
+    return handleAuditEndpoint(url, env);
+  }
+  if (request.method === 'GET' && url.pathname.startsWith('/batch/')) {
+    return handleBatchStatusEndpoint(url.pathname.slice('/batch/'.length), env);
+  }
+
+  // Case workspaces: list, create, read and delete
+  if (url.pathname === '/cases' || url.pathname.startsWith('/cases/')) {
+    return handleCasesEndpoint(request, url.pathname.slice('/cases/'.length) || null, env);
+  }
+
+  // Only allow POST requests to all other endpoints
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+  
+  if (url.pathname === '/improve') {
+    return handleImproveEndpoint(request, env);
+  } else if (url.pathname === '/improve/stream') {
+    return handleImproveStreamEndpoint(request, env, ctx);
+  } else if (url.pathname === '/pipeline') {
+    return handlePipelineEndpoint(request, env);
+  } else if (url.pathname === '/batch') {
+    return handleBatchEndpoint(request, env, ctx);
+  } else if (url.pathname === '/hocr') {
+    return handleHocrEndpoint(request, env);
+  } else if (url.pathname === '/document') {
+    return handleDocumentEndpoint(request, env);
+  } else if (url.pathname === '/diff') {
+    return handleDiffEndpoint(request, env);
+  } else if (url.pathname === '/export') {
+    return handleExportEndpoint(request, env);
+  } else if (url.pathname === '/pseudonymize') {
+    return handlePseudonymizeEndpoint(request, env);
+  } else if (url.pathname === '/depseudonymize') {
+    return handleDepseudonymizeEndpoint(request, env);
+  } else {
+    return createErrorResponse('Endpoint not found', 404);
+  }
+}
+
+/**
+ * Handle requests to the /improve endpoint
+ */
+async function handleImproveEndpoint(request, env) {
+  let audit = null;
+  try {
+    // Parse and validate request body
+    const requestData = await request.json();
+    const { text, llmConfig, promptId, prompt, error, status } = parseImproveRequest(requestData, env);
+    if (error) {
+      return createErrorResponse(error, status);
+    }
+    audit = { endpoint: '/improve', text };
+
+    // In the enforced privacy mode only proven pseudonymized text without
+    // visible personal data is sent
+    const surrogates = await loadSessionSurrogates(env, requestData.sessionId);
+    await enforcePrivacy(text, requestData.proof, env, { surrogates });
+
+    const quotaError = await chargeCharacters(env, text.length, { llm: true });
+    if (quotaError) {
+      return createLimitResponse(quotaError);
+    }
+
+    // Call the LLM provider for text improvement
+    audit.llm = { provider: llmConfig.provider, model: llmConfig.model, text };
+    const { text: improvedText } = await improveText(text, prompt, llmConfig, env, surrogates);
+    await auditOperation(env, { ...audit, status: 200, outcome: 'success' });
+
+    // Return successful response
+    return createSuccessResponse({
+      success: true,
+      originalText: text,
+      improvedText: improvedText,
+      promptId: promptId,
+      provider: llmConfig.provider,
+      model: llmConfig.model,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (audit) {
+      await auditOperation(env, { ...audit, ...describeAuditError(error) });
+    }
+
+    if (error instanceof PlaceholderIntegrityError) {
+      return createPlaceholderIntegrityResponse(error);
+    }
+
+    if (error instanceof PrivacyError) {
+      return createPrivacyErrorResponse(error);
+    }
+
+    console.error('Error processing improve request:', error);
+    
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Handle requests to the /improve/stream endpoint
+ * Relays the token stream of the LLM to the browser as Server-Sent Events:
+ * "meta" (provider, model and number of chunks), "token" (text delta), then
+ * "done" with the complete text or "error". Long texts are streamed chunk
+ * by chunk, in order; a chunk that failed the placeholder check gets
+ * "retry" and, once corrected, "chunk" with its corrected text.
+ */
+async function handleImproveStreamEndpoint(request, env, ctx) {
+  let requestData;
+  try {
+    // Parse and validate request body
+    requestData = await request.json();
+  } catch (error) {
+    return createErrorResponse('Invalid JSON body', 400);
+  }
+
+  const { text, llmConfig, promptId, prompt, error, status } = parseImproveRequest(requestData, env);
+  if (error) {
+    return createErrorResponse(error, status);
+  }
+
+  // Errors before the stream starts are answered as JSON like /improve
+  const audit = { endpoint: '/improve/stream', text };
+  let surrogates;
+  try {
+    surrogates = await loadSessionSurrogates(env, requestData.sessionId);
+    await enforcePrivacy(text, requestData.proof, env, { surrogates });
+
+    const quotaError = await chargeCharacters(env, text.length, { llm: true });
+    if (quotaError) {
+      return createLimitResponse(quotaError);
+    }
+  } catch (error) {
+    await auditOperation(env, { ...audit, ...describeAuditError(error) });
+
+    if (error instanceof PrivacyError) {
+      return createPrivacyErrorResponse(error);
+    }
+
+    console.error('Error processing improve stream request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const sendEvent = (event, data) => writer.write(encoder.encode(formatServerSentEvent(event, data)));
+
+  const relay = (async () => {
+    audit.llm = { provider: llmConfig.provider, model: llmConfig.model, text };
+    try {
+      const chunks = splitIntoChunks(text, getChunkSize(env));
+      await sendEvent('meta', { promptId, provider: llmConfig.provider, model: llmConfig.model, chunks: chunks.length });
+
+      const improvedChunks = [];
+      const allMessages = [];
+      let usage = { inputTokens: 0, outputTokens: 0 };
+      for (const [index, chunk] of chunks.entries()) {
+        const messages = buildImproveMessages(chunk.text, prompt, { index, count: chunks.length }, surrogates);
+        allMessages.push(...messages);
+        let streamedText = '';
+        for await (const delta of streamCompletion(llmConfig, messages, env)) {
+          streamedText += delta;
+          await sendEvent('token', { chunk: index, text: delta });
+        }
+
+        // Verify the placeholders once the chunk is complete; corrective
+        // retries are not streamed, "chunk" carries the corrected text
+        const { text: improvedChunk, usage: chunkUsage, attempts } = await enforcePlaceholders(
+          llmConfig,
+          messages,
+          chunk.text,
+          { text: streamedText.trim(), usage: { inputTokens: null, outputTokens: null } },
+          env,
+          check => sendEvent('retry', { chunk: index, missing: check.missing, unexpected: check.unexpected }),
+          surrogates
+        );
+        improvedChunks.push(improvedChunk);
+        usage = addUsage(usage, chunkUsage);
+
+        // The corrected text replaces the streamed text of a retried chunk
+        if (attempts > 1) {
+          await sendEvent('chunk', { chunk: index, text: improvedChunk });
+        }
+
+        if (chunk.separator) {
+          await sendEvent('token', { chunk: index, text: chunk.separator });
+        }
+      }
+
+      const improvedText = joinChunks(chunks, improvedChunks).trim();
+      await recordTokenUsage(env, usage, { input: getMessagesText(allMessages), output: improvedText });
+      await auditOperation(env, { ...audit, status: 200, outcome: 'success' });
+
+      await sendEvent('done', {
+        success: true,
+        improvedText,
+        promptId,
+        provider: llmConfig.provider,
+        model: llmConfig.model,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      await auditOperation(env, { ...audit, ...describeAuditError(error) });
+      if (error instanceof PlaceholderIntegrityError) {
+        await sendEvent('error', getPlaceholderIntegrityDetails(error)).catch(() => {});
+        return;
+      }
+      console.error('Error streaming improve request:', error);
+      await sendEvent('error', { error: 'Internal server error', message: error.message }).catch(() => {});
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })();
+
+  // Keep the worker alive until the stream is complete
+  if (ctx && ctx.waitUntil) {
+    ctx.waitUntil(relay);
+  }
+
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * Handle requests to the /pipeline endpoint
+ * Runs pseudonymization, improvement and restoration server-side in one
+ * request and returns the result of every stage that ran. stopAfter ends
+ * the pipeline after the given stage.
+ */
+async function handlePipelineEndpoint(request, env) {
+  try {
+    // Parse and validate request body
+    const requestData = await request.json();
+    const options = parsePipelineOptions(requestData || {}, env);
+    if (options.error) {
+      return createErrorResponse(options.error, options.status);
+    }
+
+    const { text } = requestData;
+    const textError = getPipelineTextError(text, env);
+    if (textError) {
+      return createErrorResponse(textError, 400);
+    }
+
+    const vaultSessionId = await resolveSessionId(env, options);
+
+    const quotaError = await chargeCharacters(env, text.length, { llm: options.stopAfter !== 'pseudonymize' });
+    if (quotaError) {
+      return createLimitResponse(quotaError);
+    }
+
+    const { sessionId, ...stages } = await runAuditedPipeline('/pipeline', text, { ...options, sessionId: vaultSessionId }, env);
+
+    return createSuccessResponse({
+      success: true,
+      sessionId: sessionId,
+      caseId: options.caseId || null,
+      stopAfter: options.stopAfter,
+      originalText: text,
+      ...stages,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof PlaceholderIntegrityError) {
+      // Keep the session and the completed stage, so the caller can continue
+      const { error: message, ...details } = getPlaceholderIntegrityDetails(error);
+      return createErrorResponse(message, 422, {
+        ...details,
+        sessionId: error.pipelineResult.sessionId,
+        pseudonymize: error.pipelineResult.pseudonymize
+      });
+    }
+
+    if (error instanceof PrivacyError) {
+      // Keep the session and the pseudonymization, so the caller can review it
+      const { error: message, ...details } = getPrivacyErrorDetails(error);
+      return createErrorResponse(message, error.status, {
+        ...details,
+        sessionId: error.pipelineResult.sessionId,
+        pseudonymize: error.pipelineResult.pseudonymize
+      });
+    }
+
+    if (error instanceof DetectorUnavailableError) {
+      return createDetectorUnavailableResponse(error);
+    }
+
+    if (error instanceof CaseNotFoundError) {
+      return createErrorResponse(error.message, 404);
+    }
+
+    console.error('Error processing pipeline request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Handle requests to the /batch endpoint
+ * Accepts many texts as JSON array, JSON object with "items" or NDJSON and
+ * queues each for a run through the pipeline. Job options come from the
+ * JSON object or the query string. Returns 202 with the job ID to poll.
+ */
+async function handleBatchEndpoint(request, env, ctx) {
+  try {
+    const url = new URL(request.url);
+    const parsed = parseBatchBody(await request.text(), request.headers.get('Content-Type'));
+    if (parsed.error) {
+      return createErrorResponse(parsed.error, 400);
+    }
+
+    const maxItems = getBatchMaxItems(env);
+    if (parsed.items.length === 0) {
+      return createErrorResponse('Batch must contain at least one item', 400);
+    }
+    if (parsed.items.length > maxItems) {
+      return createErrorResponse(`Too many items. Maximum ${maxItems} items allowed.`, 400);
+    }
+
+    // Every item gets its own vault session
+    const requestOptions = { ...Object.fromEntries(url.searchParams), ...parsed.options, sessionId: undefined, caseId: undefined };
+    const options = parsePipelineOptions(requestOptions, env);
+    if (options.error) {
+      return createErrorResponse(options.error, options.status);
+    }
+
+    const items = parsed.items.map(item => ({ ...item, error: item.error || getPipelineTextError(item.text, env) }));
+
+    // The characters of the whole batch are charged up front
+    const characters = items.reduce((sum, item) => sum + (item.error ? 0 : item.text.length), 0);
+    const quotaError = await chargeCharacters(env, characters, { llm: Boolean(options.improveOptions) });
+    if (quotaError) {
+      return createLimitResponse(quotaError);
+    }
+
+    // The options are parsed again for every item, so the job stores the request
+    const job = await createBatchJob(env, items, {
+      stopAfter: options.stopAfter,
+      mode: getEntityPolicy(env, options.mode).mode,
+      surrogateTypes: options.surrogateTypes,
+      promptId: options.improveOptions ? options.improveOptions.promptId : null,
+      provider: options.improveOptions ? options.improveOptions.llmConfig.provider : null,
+      model: options.improveOptions ? options.improveOptions.llmConfig.model : null
+    }, requestOptions);
+
+    if (env.BATCH_QUEUE) {
+      await enqueueBatchJob(env, job);
+    } else if (ctx && ctx.waitUntil) {
+      // Without a queue the items only get as long as the request may run in the background
+      ctx.waitUntil(runBatchJob(env, job, (text, request) => processBatchItem(text, request, env))
+        .catch(error => console.error('Error processing batch job:', error)));
+    }
+
+    return createSuccessResponse({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      counts: job.counts,
+      statusUrl: `/batch/${job.id}`,
+      timestamp: new Date().toISOString()
+    }, 202);
+
+  } catch (error) {
+    console.error('Error processing batch request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Handle a batch of BATCH_QUEUE messages, one per item of a batch job
+ *
+ * Items run with the configuration of the tenant that created the job.
+ * Messages are retried if the result could not be stored; items that
+ * already have a result are not processed again.
+ */
+async function handleBatchQueue(batch, env) {
+  await mapWithConcurrency(batch.messages, getBatchConcurrency(env), async message => {
+    const { tenantId, jobId, index } = message.body;
+    const tenant = tenantId ? findTenant(env, tenantId) : null;
+    if (tenantId && !tenant) {
+      console.error('Dropping batch item of removed tenant:', tenantId);
+      message.ack();
+      return;
+    }
+
+    const tenantEnv = getTenantEnv(env, tenant);
+    try {
+      await runBatchItem(tenantEnv, { jobId, index }, (text, request) => processBatchItem(text, request, tenantEnv));
+      message.ack();
+    } catch (error) {
+      console.error('Error processing batch item:', error);
+      message.retry();
+    }
+  });
+}
+
+/**
+ * Run the pipeline on the text of a batch item
+ * @param {Object} request - The options of the /batch request
+ * @returns {Object} { result } or { error }
+ */
+async function processBatchItem(text, request, env) {
+  const options = parsePipelineOptions(request, env);
+  if (options.error) {
+    return { error: { error: options.error } };
+  }
+
+  // Items left when the token quota runs out fail without calling the LLM
+  const tokenQuotaError = options.improveOptions ? await getTokenQuotaError(env) : null;
+  if (tokenQuotaError) {
+    const { error, code, limit } = tokenQuotaError;
+    return { error: { error, code, limit } };
+  }
+
+  try {
+    return { result: await runAuditedPipeline('/batch', text, options, env) };
+  } catch (error) {
+    return { error: describePipelineError(error) };
+  }
+}
+
+/**
+ * Handle requests to GET /batch/<jobId>
+ * Returns the job status with the result or error of every item
+ */
+async function handleBatchStatusEndpoint(jobId, env) {
+  try {
+    const job = await loadBatchJob(env, jobId);
+    if (!job) {
+      return createErrorResponse('Batch job not found or expired', 404);
     }
 
-    // Only allow POST requests to /improve endpoint
-    if (request.method !== 'POST') {
-      return createErrorResponse('Method not allowed', 405);
-    }
+    return createSuccessResponse({
+      success: true,
+      ...job
+    });
+
+  } catch (error) {
+    console.error('Error processing batch status request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Describe a failed pipeline run like the error response of /pipeline
+ */
+function describePipelineError(error) {
+  if (error instanceof PlaceholderIntegrityError) {
+    return { ...getPlaceholderIntegrityDetails(error), sessionId: error.pipelineResult.sessionId };
+  }
+
+  if (error instanceof PrivacyError) {
+    return { ...getPrivacyErrorDetails(error), sessionId: error.pipelineResult.sessionId };
+  }
+
+  if (error instanceof DetectorUnavailableError) {
+    return getDetectorUnavailableDetails(error);
+  }
+
+  console.error('Error processing pipeline item:', error);
+  return { error: 'Internal server error', message: error.message };
+}
+
+/**
+ * Validate the options of a /pipeline or /batch request
+ *
+ * Prompt and LLM selection are only validated if the improve stage runs,
+ * and always before the entity detector is called.
+ *
+ * @returns {Object} { sessionId, caseId, mode, surrogateTypes, stopAfter, improveOptions } or { error, status }
+ */
+function parsePipelineOptions(requestData, env) {
+  const { sessionId, caseId, mode, stopAfter = 'restore' } = requestData;
+
+  if (!PIPELINE_STAGES.includes(stopAfter)) {
+    return { error: `stopAfter must be one of: ${PIPELINE_STAGES.join(', ')}`, status: 400 };
+  }
+
+  if (mode !== undefined && !POLICY_MODES.includes(mode)) {
+    return { error: `Mode must be one of: ${POLICY_MODES.join(', ')}`, status: 400 };
+  }
+
+  const surrogates = resolveSurrogateTypes(env, requestData.surrogateTypes);
+  if (surrogates.error) {
+    return { error: surrogates.error, status: 400 };
+  }
+
+  const detectorError = getDetectorConfigurationError(env);
+  if (detectorError) {
+    return { error: detectorError, status: 500 };
+  }
+
+  let improveOptions = null;
+  if (stopAfter !== 'pseudonymize') {
+    improveOptions = parseImproveOptions(requestData, env);
+    if (improveOptions.error) {
+      return improveOptions;
+    }
+  }
+
+  return { sessionId, caseId, mode, surrogateTypes: surrogates.types, stopAfter, improveOptions };
+}
+
+/**
+ * Validate the text of a pipeline run
+ * @returns {string|null} Error message, or null if the text is valid
+ */
+function getPipelineTextError(text, env) {
+  if (!text || typeof text !== 'string') {
+    return 'Text is required and must be a string';
+  }
+  return getTextLengthError(env, text);
+}
+
+/**
+ * Run the pipeline stages on a text
+ *
+ * @param {Object} options - Result of parsePipelineOptions
+ * @returns {Object} { sessionId, pseudonymize, improve, restore } - stages after stopAfter are left out
+ * @throws {Error} Errors of the improve stage carry the completed stages as pipelineResult
+ */
+async function runPipeline(text, { sessionId, mode, surrogateTypes, stopAfter, improveOptions }, env) {
+  // Stage 1: detect and pseudonymize the entities
+  const policy = getEntityPolicy(env, mode);
+  const selection = await detectEntitiesInChunks(text, policy, env);
+  const pseudonymized = await pseudonymizeDetectedEntities(selection, text, { sessionId, policy, surrogateTypes }, env);
+
+  const result = {
+    sessionId: pseudonymized.sessionId,
+    pseudonymize: {
+      entities: pseudonymized.entities,
+      review: pseudonymized.review,
+      mode: pseudonymized.mode,
+      surrogateTypes: pseudonymized.surrogateTypes,
+      detector: pseudonymized.detector,
+      pseudonymizedText: pseudonymized.pseudonymizedText,
+      proof: pseudonymized.proof
+    }
+  };
+
+  if (stopAfter === 'pseudonymize') {
+    return result;
+  }
+
+  // Stage 2: improve the pseudonymized text
+  const { llmConfig, promptId, prompt } = improveOptions;
+  let improved;
+  try {
+    // The text was pseudonymized above, so only the personal data scan applies
+    const surrogates = listSurrogates(pseudonymized.session);
+    await enforcePrivacy(pseudonymized.pseudonymizedText, null, env, { requireProof: false, surrogates });
+    improved = await improveText(pseudonymized.pseudonymizedText, prompt, llmConfig, env, surrogates);
+  } catch (error) {
+    error.pipelineResult = result;
+    throw error;
+  }
+
+  result.improve = {
+    improvedText: improved.text,
+    promptId: promptId,
+    provider: llmConfig.provider,
+    model: llmConfig.model
+  };
+
+  if (stopAfter === 'improve') {
+    return result;
+  }
+
+  // Stage 3: restore the original values from the vault
+  const { text: restoredText, report } = restorePseudonyms(improved.text, pseudonymized.session, pseudonymized.pseudonymizedText);
+
+  result.restore = {
+    restoredText: restoredText,
+    report: report
+  };
+
+  return result;
+}
+
+/**
+ * Run the pipeline stages on a text and record the run in the audit log
+ * @param {string} endpoint - '/pipeline' or '/batch'
+ */
+async function runAuditedPipeline(endpoint, text, options, env) {
+  try {
+    const result = await runPipeline(text, options, env);
+    await auditOperation(env, { ...getPipelineAudit(endpoint, text, options, result), status: 200, outcome: 'success' });
+    return result;
+  } catch (error) {
+    await auditOperation(env, { ...getPipelineAudit(endpoint, text, options, error.pipelineResult, error), ...describeAuditError(error) });
+    throw error;
+  }
+}
+
+/**
+ * Audit operation of a pipeline run; the LLM counts as called once the
+ * improve stage started, unless the privacy mode refused the text
+ */
+function getPipelineAudit(endpoint, text, { improveOptions }, result, error = null) {
+  const audit = { endpoint, text };
+  if (!result) {
+    return audit;
+  }
+
+  audit.detector = result.pseudonymize.detector;
+  audit.entities = result.pseudonymize.entities;
+  if (improveOptions && (result.improve || error) && !(error instanceof PrivacyError)) {
+    const { llmConfig } = improveOptions;
+    audit.llm = { provider: llmConfig.provider, model: llmConfig.model, text: result.pseudonymize.pseudonymizedText };
+  }
+  return audit;
+}
+
+/**
+ * Handle requests to the /prompts endpoint
+ * Lists the prompt presets that /improve accepts as promptId
+ */
+function handlePromptsEndpoint(env) {
+  try {
+    return createSuccessResponse({
+      success: true,
+      ...listPromptPresets(env)
+    });
+  } catch (error) {
+    console.error('Error processing prompts request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Handle requests to GET /usage
+ * Reports the characters and LLM tokens the tenant used today and on the
+ * previous days (?days=, default 7), with its limits
+ */
+async function handleUsageEndpoint(url, env) {
+  try {
+    const days = parseInt(url.searchParams.get('days') || '7', 10);
+    if (!Number.isFinite(days) || days < 1) {
+      return createErrorResponse('days must be a positive number', 400);
+    }
+
+    return createSuccessResponse({
+      success: true,
+      tenant: env.TENANT_ID || null,
+      ...await getUsageReport(env, days),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error processing usage request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Handle requests to GET /audit
+ * Exports the audit events of a tenant in a time range (?from=, ?to=) as
+ * JSON or NDJSON (?format=). Tenants read their own events; auditor tenants
+ * select any tenant with ?tenant=.
+ */
+async function handleAuditEndpoint(url, env) {
+  try {
+    const tenant = url.searchParams.get('tenant') || env.TENANT_ID || null;
+    if (env.TENANT_ID && tenant !== env.TENANT_ID && env.TENANT_AUDITOR !== 'true') {
+      return createErrorResponse('Not allowed to read the audit log of other tenants', 403);
+    }
+
+    const format = url.searchParams.get('format') || 'json';
+    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+      return createErrorResponse(`Format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const range = parseAuditRange(url.searchParams.get('from'), url.searchParams.get('to'));
+    if (range.error) {
+      return createErrorResponse(range.error, 400);
+    }
+
+    const events = await loadAuditEvents({ ...env, TENANT_ID: tenant || undefined }, range);
+
+    if (format === 'ndjson') {
+      const fileName = `audit_${tenant || 'default'}_${range.from.toISOString().slice(0, 10)}_${range.to.toISOString().slice(0, 10)}.ndjson`;
+      return new Response(events.map(event => JSON.stringify(event) + '\n').join(''), {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/x-ndjson',
+          'Content-Disposition': `attachment; filename="${fileName.replace(/[^\w.-]/g, '_')}"`
+        }
+      });
+    }
+
+    return createSuccessResponse({
+      success: true,
+      tenant: tenant,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      count: events.length,
+      events: events,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error processing audit request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Handle requests to /cases and /cases/<caseId>
+ * GET /cases lists the cases of the tenant, POST /cases creates one,
+ * GET /cases/<caseId> describes a case with its pseudonyms (without the
+ * original values) and DELETE /cases/<caseId> deletes it with its vault.
+ */
+async function handleCasesEndpoint(request, caseId, env) {
+  try {
+    if (!caseId && request.method === 'GET') {
+      return createSuccessResponse({
+        success: true,
+        cases: await listCases(env),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!caseId && request.method === 'POST') {
+      const { name } = await request.json();
+      const nameError = getCaseNameError(name);
+      if (nameError) {
+        return createErrorResponse(nameError, 400);
+      }
+
+      const caseRecord = await createCase(env, name);
+      if (!caseRecord) {
+        return createErrorResponse('Too many cases. Delete a case first.', 409);
+      }
+      return createSuccessResponse({
+        success: true,
+        case: caseRecord,
+        timestamp: new Date().toISOString()
+      }, 201);
+    }
+
+    if (caseId && request.method === 'GET') {
+      const caseRecord = await loadCase(env, caseId);
+      if (!caseRecord) {
+        return createErrorResponse('Case not found or expired', 404);
+      }
+      return createSuccessResponse({
+        success: true,
+        case: caseRecord,
+        ...await describeCaseSession(env, caseRecord),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (caseId && request.method === 'DELETE') {
+      if (!await deleteCase(env, caseId)) {
+        return createErrorResponse('Case not found or expired', 404);
+      }
+      return createSuccessResponse({
+        success: true,
+        deleted: caseId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return createErrorResponse('Method not allowed', 405);
+
+  } catch (error) {
+    console.error('Error processing cases request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Validate an /improve request and resolve prompt and LLM configuration
+ * @returns {Object} { text, promptId, prompt, llmConfig } or { error, status }
+ */
+function parseImproveRequest(requestData, env) {
+  const { text } = requestData || {};
+
+  if (!text || typeof text !== 'string') {
+    return { error: 'Text is required and must be a string', status: 400 };
+  }
+
+  // Validate text length to prevent abuse
+  const lengthError = getTextLengthError(env, text);
+  if (lengthError) {
+    return { error: lengthError, status: 400 };
+  }
+
+  const options = parseImproveOptions(requestData, env);
+  return options.error ? options : { text, ...options };
+}
+
+/**
+ * Validate the prompt and LLM selection of an improvement
+ * @returns {Object} { promptId, prompt, llmConfig } or { error, status }
+ */
+function parseImproveOptions(requestData, env) {
+  const { provider, model, promptId, instructions } = requestData;
+
+  // Validate the requested provider and model against the allow-lists
+  const selectionError = getLlmSelectionError(env, { provider, model });
+  if (selectionError) {
+    return { error: selectionError, status: 400 };
+  }
+
+  // Check for LLM provider configuration
+  const llmConfig = resolveLlmConfig(env, { provider, model });
+  if (!isLlmConfigured(llmConfig, env)) {
+    return { error: `LLM provider "${llmConfig.provider}" not configured`, status: 500 };
+  }
+
+  // Resolve the selected preset and the optional user instructions
+  const resolved = resolvePrompt(env, { promptId, instructions });
+  if (resolved.error) {
+    return { error: resolved.error, status: 400 };
+  }
+
+  return { promptId: resolved.promptId, prompt: resolved.prompt, llmConfig };
+}
+
+// Run main function if this file is executed directly
+if (typeof process !== 'undefined' && import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
+
+/**
+ * Main function for local testing
+ */
+async function main() {
+  
+  const text = "Meine Name ist Korben Dallas. Ich arbeite bei Microsoft als Softwareentwickler.";
+  const tokens = tokenizeText(text);
+  const initialHocrContent = convertTextToHocr(text, tokens);
+
+  console.log();
+  console.log('Initial Text:', text);
+
+  console.log();
+  console.log('Initial HOCR Content:', initialHocrContent);
+  //return;
+
+  const env = {
+    USE_MOCKS: 'true',
+    CIB_POP_USERNAME: 'mock',
+    CIB_POP_PASSWORD: 'mock',
+    CIB_POP_URL: 'mock'
+  };
+
+  // Send HOCR to remote server and resolve the entity spans in the original text
+  const responseData = await processHocrWithRemoteServer(initialHocrContent, env);
+  const { entities: maskedSpans } = selectEntities(responseData, text, tokens, getEntityPolicy(env));
+  const session = await openVaultSession(env);
+  const entities = pseudonymizeEntities(maskedSpans, session);
+
+  // Generate pseudonymized text from the entity spans
+  const pseudonymizedText = createPseudonymizedText(text, entities);
+
+  console.log();
+  console.log('Entities:', entities);
+
+  console.log();
+  console.log('Pseudonymized Text:', pseudonymizedText);
+
+}
+
+/**
+ * Handle requests to the /hocr endpoint
+ */
+async function handleHocrEndpoint(request, env) {
+  let audit = null;
+  try {
+    // Parse and validate request body
+    const requestData = await request.json();
+    const { text, caseId, mode } = requestData;
+    
+    if (!text || typeof text !== 'string') {
+      return createErrorResponse('Text is required and must be a string', 400);
+    }
+
+    // Validate text length to prevent abuse
+    const lengthError = getTextLengthError(env, text);
+    if (lengthError) {
+      return createErrorResponse(lengthError, 400);
+    }
+
+    if (mode !== undefined && !POLICY_MODES.includes(mode)) {
+      return createErrorResponse(`Mode must be one of: ${POLICY_MODES.join(', ')}`, 400);
+    }
+
+    const surrogates = resolveSurrogateTypes(env, requestData.surrogateTypes);
+    if (surrogates.error) {
+      return createErrorResponse(surrogates.error, 400);
+    }
+
+    const detectorError = getDetectorConfigurationError(env);
+    if (detectorError) {
+      return createErrorResponse(detectorError, 500);
+    }
+
+    const sessionId = await resolveSessionId(env, requestData);
+
+    const quotaError = await chargeCharacters(env, text.length);
+    if (quotaError) {
+      return createLimitResponse(quotaError);
+    }
+    audit = { endpoint: '/hocr', text };
+
+    // Send the text to CIB POP as HOCR, chunk by chunk, and resolve the
+    // entity spans in the original text; the local detector steps in for
+    // chunks CIB POP cannot process
+    const policy = getEntityPolicy(env, mode);
+    const selection = await detectEntitiesInChunks(text, policy, env);
+    const result = await pseudonymizeDetectedEntities(selection, text, { sessionId, policy, surrogateTypes: surrogates.types }, env);
+    await auditOperation(env, { ...audit, status: 200, outcome: 'success', detector: result.detector, entities: result.entities });
+
+    // Return successful response
+    return createSuccessResponse({
+      success: true,
+      sessionId: result.sessionId,
+      caseId: caseId || null,
+      originalText: text,
+      entities: withoutOriginalValues(result.entities),
+      review: withoutOriginalValues(result.review),
+      mode: result.mode,
+      surrogateTypes: result.surrogateTypes,
+      detector: result.detector,
+      pseudonymizedText: result.pseudonymizedText,
+      proof: result.proof,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (audit) {
+      await auditOperation(env, { ...audit, ...describeAuditError(error) });
+    }
+
+    if (error instanceof DetectorUnavailableError) {
+      return createDetectorUnavailableResponse(error);
+    }
+
+    if (error instanceof CaseNotFoundError) {
+      return createErrorResponse(error.message, 404);
+    }
+
+    console.error('Error processing HOCR request:', error);
+    
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Handle requests to the /document endpoint
+ * Accepts a DOCX, PDF or image upload (multipart/form-data field "file").
+ * DOCX text is extracted from the document structure; PDFs and images are
+ * sent to CIB POP, whose OCR layout provides the text. The result contains
+ * the pseudonymized document as base64 download.
+ */
+async function handleDocumentEndpoint(request, env) {
+  let audit = null;
+  try {
+    let formData;
+    try {
+      formData = await request.formData();
+    } catch (error) {
+      return createErrorResponse('Request must be multipart/form-data with a "file" field', 400);
+    }
+
+    const file = formData.get('file');
+    const caseId = formData.get('caseId') || undefined;
+    const mode = formData.get('mode') || undefined;
+    const surrogates = resolveSurrogateTypes(env, formData.get('surrogateTypes'));
+
+    if (!file || typeof file === 'string') {
+      return createErrorResponse('File is required', 400);
+    }
+
+    const maxBytes = getMaxDocumentBytes(env);
+    if (file.size > maxBytes) {
+      return createErrorResponse(`File too large. Maximum ${maxBytes} bytes allowed.`, 413);
+    }
+
+    if (mode !== undefined && !POLICY_MODES.includes(mode)) {
+      return createErrorResponse(`Mode must be one of: ${POLICY_MODES.join(', ')}`, 400);
+    }
+
+    if (surrogates.error) {
+      return createErrorResponse(surrogates.error, 400);
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const detected = detectDocumentFormat(bytes);
+    if (!detected) {
+      return createErrorResponse('Unsupported document format. Supported formats: DOCX, PDF, PNG, JPEG, TIFF', 415);
+    }
+
+    // PDFs and images need the OCR of CIB POP, DOCX text any entity detector
+    const detectorError = detected.format === 'docx'
+      ? getDetectorConfigurationError(env)
+      : (isCibPopConfigured(env) ? null : 'CIB Pop credentials not configured');
+    if (detectorError) {
+      return createErrorResponse(detectorError, 500);
+    }
+
+    const sessionId = await resolveSessionId(env, { sessionId: formData.get('sessionId') || undefined, caseId });
+
+    let text;
+    let tokens;
+    let responseData;
+    let docx = null;
+
+    if (detected.format === 'docx') {
+      try {
+        ({ text, document: docx } = await readDocxText(bytes));
+      } catch (error) {
+        return createErrorResponse('Invalid DOCX file', 400, { message: error.message });
+      }
+    } else {
+      // CIB POP runs its OCR on the original file and returns the word layout
+      responseData = await sendFileToCibPop(new Blob([bytes], { type: detected.contentType }), file.name || `input.${detected.format}`, env);
+      ({ text, tokens } = convertLayoutToText(responseData));
+    }
+
+    if (!text.trim()) {
+      return createErrorResponse('No text found in document', 422);
+    }
+
+    // Validate text length to prevent abuse
+    const lengthError = getTextLengthError(env, text);
+    if (lengthError) {
+      return createErrorResponse(lengthError, 400);
+    }
+
+    const quotaError = await chargeCharacters(env, text.length);
+    if (quotaError) {
+      return createLimitResponse(quotaError);
+    }
+    audit = { endpoint: '/document', text };
+
+    const policy = getEntityPolicy(env, mode);
+    const selection = docx
+      ? await detectEntitiesInChunks(text, policy, env)
+      : { ...selectEntities(responseData, text, tokens, policy), detector: 'cib-pop' };
+    const result = await pseudonymizeDetectedEntities(selection, text, { sessionId, policy, surrogateTypes: surrogates.types }, env);
+    await auditOperation(env, { ...audit, status: 200, outcome: 'success', detector: result.detector, entities: result.entities });
+
+    // DOCX keeps its formatting; OCR'd documents become a DOCX of the recognized paragraphs
+    const output = docx
+      ? await writeDocxText(docx, result.entities)
+      : await createDocx(result.pseudonymizedText.split(/\n{2,}/));
+
+    return createSuccessResponse({
+      success: true,
+      sessionId: result.sessionId,
+      caseId: caseId || null,
+      format: detected.format,
+      fileName: file.name || null,
+      originalText: text,
+      entities: withoutOriginalValues(result.entities),
+      review: withoutOriginalValues(result.review),
+      mode: result.mode,
+      surrogateTypes: result.surrogateTypes,
+      detector: result.detector,
+      pseudonymizedText: result.pseudonymizedText,
+      proof: result.proof,
+      document: {
+        fileName: getPseudonymizedFileName(file.name, 'docx'),
+        contentType: DOCX_CONTENT_TYPE,
+        data: encodeBase64(output)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (audit) {
+      await auditOperation(env, { ...audit, ...describeAuditError(error) });
+    }
+
+    if (error instanceof DetectorUnavailableError) {
+      return createDetectorUnavailableResponse(error);
+    }
+
+    if (error instanceof CaseNotFoundError) {
+      return createErrorResponse(error.message, 404);
+    }
+
+    console.error('Error processing document request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Handle requests to the /diff endpoint
+ * Compares the original and the final text word by word
+ */
+async function handleDiffEndpoint(request, env) {
+  try {
+    // Parse and validate request body
+    const requestData = await request.json();
+    const { originalText, text } = requestData;
+
+    if (typeof originalText !== 'string' || typeof text !== 'string') {
+      return createErrorResponse('originalText and text are required and must be strings', 400);
+    }
+
+    // Validate text length to prevent abuse
+    const lengthError = getTextLengthError(env, originalText, text);
+    if (lengthError) {
+      return createErrorResponse(lengthError, 400);
+    }
+
+    const operations = diffWords(originalText, text);
+
+    return createSuccessResponse({
+      success: true,
+      operations: operations,
+      changes: operations.filter(operation => operation.type !== 'equal').length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error processing diff request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Handle requests to the /export endpoint
+ * Renders the final text as DOCX, PDF, Markdown or HTML file download,
+ * optionally with the changes against the original text marked
+ */
+async function handleExportEndpoint(request, env) {
+  try {
+    // Parse and validate request body
+    const requestData = await request.json();
+    const { text, format, originalText, trackChanges, fileName } = requestData;
+
+    if (!text || typeof text !== 'string') {
+      return createErrorResponse('Text is required and must be a string', 400);
+    }
+
+    if (!EXPORT_FORMATS[format]) {
+      return createErrorResponse(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400);
+    }
+
+    if (trackChanges && (!originalText || typeof originalText !== 'string')) {
+      return createErrorResponse('originalText is required for trackChanges', 400);
+    }
+
+    // Validate text length to prevent abuse
+    const lengthError = getTextLengthError(env, text, ...(trackChanges ? [originalText] : []));
+    if (lengthError) {
+      return createErrorResponse(lengthError, 400);
+    }
+
+    if (fileName !== undefined && fileName !== null && typeof fileName !== 'string') {
+      return createErrorResponse('fileName must be a string', 400);
+    }
+
+    const exportFileName = getExportFileName(fileName, EXPORT_FORMATS[format].extension);
+    const { body, contentType } = await createExport(format, {
+      text,
+      originalText,
+      trackChanges: Boolean(trackChanges),
+      title: exportFileName
+    });
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${exportFileName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(exportFileName)}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error processing export request:', error);
+
+    return createErrorResponse(
+      'Internal server error',
+      500,
+      { message: error.message }
+    );
+  }
+}
+
+/**
+ * Detect the entities of a text with CIB POP and apply the policy
+ *
+ * Long texts are sent as chunks of at most CHUNK_SIZE characters, with at
+ * most CHUNK_CONCURRENCY requests at a time. The spans of all chunks are
+ * shifted to offsets in the whole text.
+ *
+ * @returns {Object} { entities, review } in text order
+ */
+async function detectEntitiesInChunks(text, policy, env) {
+  const chunks = splitIntoChunks(text, getChunkSize(env));
+  const selections = await mapWithConcurrency(chunks, getChunkConcurrency(env), chunk => detectChunkEntities(chunk.text, policy, env));
+
+  const entities = [];
+  const review = [];
+  let groupOffset = 0;
+  selections.forEach((selection, index) => {
+    const offset = chunks[index].start;
+    let lastGroup = -1;
+    selection.entities.forEach(entity => {
+      entities.push({
+        ...entity,
+        start: entity.start + offset,
+        end: entity.end + offset,
+        // Entity groups are numbered per CIB POP response
+        group: entity.group === null ? null : entity.group + groupOffset
+      });
+      lastGroup = entity.group === null ? lastGroup : Math.max(lastGroup, entity.group);
+    });
+    selection.review.forEach(item => {
+      review.push({ ...item, start: item.start + offset, end: item.end + offset });
+    });
+    groupOffset += lastGroup + 1;
+  });
+
+  // The result is only as reliable as the weakest detector involved
+  const detector = selections.some(selection => selection.detector === 'local') ? 'local' : 'cib-pop';
 
-    const url = new URL(request.url);
-    
-    if (url.pathname === '/improve') {
-      return handleImproveEndpoint(request, env);
-    } else if (url.pathname === '/hocr') {
-      return handleHocrEndpoint(request, env);
-    } else {
-      return createErrorResponse('Endpoint not found', 404);
+  return { entities, review, detector };
+}
+
+/**
+ * Detect the entities of one chunk with CIB POP, or with the local detector
+ * if CIB POP is not configured or fails and ENTITY_DETECTOR allows it
+ *
+ * @returns {Object} { entities, review, detector } - detector is "cib-pop" or "local"
+ * @throws {DetectorUnavailableError} If no detector could process the chunk
+ */
+async function detectChunkEntities(text, policy, env) {
+  const mode = getDetectorMode(env);
+
+  if (mode !== 'local' && isCibPopConfigured(env)) {
+    try {
+      const tokens = tokenizeText(text);
+      const responseData = await processHocrWithRemoteServer(convertTextToHocr(text, tokens), env);
+      return { ...selectEntities(responseData, text, tokens, policy), detector: 'cib-pop' };
+    } catch (error) {
+      if (mode === 'cib-pop') {
+        throw new DetectorUnavailableError(`CIB POP failed and the local entity detector is disabled: ${error.message}`);
+      }
+      console.error('CIB POP failed, using the local entity detector:', error);
     }
   }
-};
+
+  if (mode === 'cib-pop') {
+    throw new DetectorUnavailableError('CIB Pop credentials not configured and the local entity detector is disabled');
+  }
+
+  const spans = detectEntities(text, getDetectorDictionary(env));
+  return { ...applyEntityPolicy(spans, [], policy), detector: 'local' };
+}
 
 /**
- * Handle requests to the /improve endpoint
+ * Check whether the CIB POP credentials are configured
  */
-async function handleImproveEndpoint(request, env) {
+function isCibPopConfigured(env) {
+  return Boolean(env.CIB_POP_USERNAME && env.CIB_POP_PASSWORD && env.CIB_POP_URL);
+}
+
+/**
+ * Check that an entity detector is configured, before anything is charged
+ * @returns {string|null} Error message, or null if a detector is configured
+ */
+function getDetectorConfigurationError(env) {
+  if (getDetectorMode(env) === 'cib-pop' && !isCibPopConfigured(env)) {
+    return 'CIB Pop credentials not configured';
+  }
+  return null;
+}
+
+/**
+ * Pseudonymize the entities selected by the policy
+ *
+ * Tokens are minted only after all chunks were detected, in text order, so
+ * their numbering does not depend on which chunk finished first.
+ *
+ * @param {Object} selection - { entities, review, detector } from detectEntitiesInChunks or selectEntities
+ * @returns {Object} { sessionId, session, entities, review, mode, detector, pseudonymizedText, proof }
+ */
+async function pseudonymizeDetectedEntities({ entities: maskedSpans, review, detector }, text, { sessionId, policy, surrogateTypes = [] }, env) {
+  // Mint session tokens for the entities; reusing the session keeps
+  // pseudonyms stable across repeated runs on edited text
+  const session = await openVaultSession(env, sessionId);
+  const entities = pseudonymizeEntities(maskedSpans, session, { surrogateTypes, text });
+  recordDetection(session, await sha256Hex(text), maskedSpans);
+  await saveVaultSession(env, session);
+
+  // Generate pseudonymized text from the entity spans, so only the
+  // occurrences the detector actually tagged are replaced
+  const pseudonymizedText = createPseudonymizedText(text, entities);
+
+  return {
+    sessionId: session.id,
+    session,
+    entities,
+    review,
+    mode: policy.mode,
+    surrogateTypes,
+    detector,
+    pseudonymizedText,
+    proof: await createPseudonymizationProof(env, pseudonymizedText)
+  };
+}
+
+/**
+ * Handle requests to the /pseudonymize endpoint
+ * Applies a list of entity spans chosen by the user (e.g. after reviewing
+ * the /hocr result) without calling CIB POP again. The proof is only issued
+ * for a text the worker detected in the same vault session, and detected
+ * spans stay masked unless the request lists them in unmask; such
+ * overrides are recorded in the audit log.
+ */
+async function handlePseudonymizeEndpoint(request, env) {
+  let audit = null;
   try {
     // Parse and validate request body
     const requestData = await request.json();
-    const { text } = requestData;
-    
+    const { text, caseId, entities, unmask = [] } = requestData;
+
     if (!text || typeof text !== 'string') {
       return createErrorResponse('Text is required and must be a string', 400);
     }
 
     // Validate text length to prevent abuse
-    if (text.length > 10000) {
-      return createErrorResponse('Text too long. Maximum 10,000 characters allowed.', 400);
+    const lengthError = getTextLengthError(env, text);
+    if (lengthError) {
+      return createErrorResponse(lengthError, 400);
+    }
+
+    const spansError = validateEntitySpans(entities, text);
+    if (spansError) {
+      return createErrorResponse(spansError, 400);
+    }
+
+    if (!Array.isArray(unmask) || !unmask.every(span => span && Number.isInteger(span.start) && Number.isInteger(span.end))) {
+      return createErrorResponse('Unmask must be an array of spans with start and end offsets', 400);
     }
 
-    // Check for OpenAI API key configuration
-    if (!env.OPENAI_API_KEY) {
-      return createErrorResponse('OpenAI API key not configured', 500);
+    const surrogates = resolveSurrogateTypes(env, requestData.surrogateTypes);
+    if (surrogates.error) {
+      return createErrorResponse(surrogates.error, 400);
     }
 
-    // Read prompt from backend configuration (environment variable)
-    const improvementPrompt = env.DEFAULT_PROMPT || 'Verbessere den folgenden Text in Bezug auf Grammatik, Stil und Lesbarkeit, behalte aber den ursprünglichen Sinn und Ton bei:';
+    const spans = entities
+      .map(entity => ({
+        start: entity.start,
+        end: entity.end,
+        text: text.slice(entity.start, entity.end),
+        type: entity.type,
+        confidence: typeof entity.confidence === 'number' ? entity.confidence : null,
+        group: Number.isInteger(entity.group) ? entity.group : null
+      }))
+      .sort((a, b) => a.start - b.start);
 
-    // Call OpenAI API for text improvement
-    const improvedText = await improveTextWithChatGPT(text, improvementPrompt, env.OPENAI_API_KEY);
+    const session = await openVaultSession(env, await resolveSessionId(env, requestData));
+
+    // Detected spans that are not covered by a requested span must be
+    // unmasked explicitly
+    const detected = findDetection(session, await sha256Hex(text));
+    const unmasked = (detected || []).filter(span => !spans.some(entity => entity.start <= span.start && span.end <= entity.end));
+    const notConfirmed = unmasked.filter(span => !unmask.some(({ start, end }) => start === span.start && end === span.end));
+    if (notConfirmed.length > 0) {
+      return createErrorResponse('Detected entities must stay masked unless listed in unmask', 400, {
+        code: 'unmask_required',
+        entities: notConfirmed
+      });
+    }
+    audit = { endpoint: '/pseudonymize', text, unmasked };
+
+    const pseudonymizedEntities = pseudonymizeEntities(spans, session, { surrogateTypes: surrogates.types, text });
+    await saveVaultSession(env, session);
+
+    const pseudonymizedText = createPseudonymizedText(text, pseudonymizedEntities);
+    await auditOperation(env, { ...audit, status: 200, outcome: 'success', entities: pseudonymizedEntities });
+
+    // Return successful response; without a detection of this text the
+    // worker cannot vouch for it, and a text with nothing masked (e.g. every
+    // detected span unmasked) is not pseudonymized
+    const pseudonymized = detected && pseudonymizedEntities.length > 0;
 
-    // Return successful response
     return createSuccessResponse({
       success: true,
+      sessionId: session.id,
+      caseId: caseId || null,
       originalText: text,
-      improvedText: improvedText,
+      entities: withoutOriginalValues(pseudonymizedEntities),
+      surrogateTypes: surrogates.types,
+      pseudonymizedText: pseudonymizedText,
+      proof: pseudonymized ? await createPseudonymizationProof(env, pseudonymizedText) : null,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error processing improve request:', error);
-    
+    if (audit) {
+      await auditOperation(env, { ...audit, ...describeAuditError(error) });
+    }
+
+    if (error instanceof CaseNotFoundError) {
+      return createErrorResponse(error.message, 404);
+    }
+
+    console.error('Error processing pseudonymize request:', error);
+
     return createErrorResponse(
       'Internal server error',
       500,
@@ -76,94 +1652,91 @@ async function handleImproveEndpoint(request, env) {
   }
 }
 
-// Run main function if this file is executed directly
-if (typeof process !== 'undefined' && import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error);
+/**
+ * Leave the original values out of entity spans or review items
+ *
+ * The originals stay in the vault session; clients resolve a span from
+ * their own text by its offsets and restore through /depseudonymize.
+ */
+function withoutOriginalValues(items) {
+  return items.map(({ text, ...item }) => item);
 }
 
 /**
- * Main function for local testing
+ * Validate client-supplied entity spans against the text
+ * @returns {string|null} Error message, or null if the spans are valid
  */
-async function main() {
-  
-  const text = "Meine Name ist Korben Dallas. Ich arbeite bei Microsoft als Softwareentwickler.";
-  const initialHocrContent = convertTextToHocr(text);
-
-  console.log();
-  console.log('Initial Text:', text);
-
-  console.log();
-  console.log('Initial HOCR Content:', initialHocrContent);
-  //return;
-
-  const env = {
-    SIMULATE: true,
-    CIB_POP_USERNAME: '',
-    CIB_POP_PASSWORD: '',
-    CIB_POP_URL: ''
-  };
+function validateEntitySpans(entities, text) {
+  if (!Array.isArray(entities)) {
+    return 'Entities are required and must be an array';
+  }
 
-  // Send HOCR to remote server and get entity mappings
-  const entityMappings = await processHocrWithRemoteServer(initialHocrContent, env);
+  if (entities.length > 1000) {
+    return 'Too many entities. Maximum 1,000 entities allowed.';
+  }
 
-  // Generate pseudonymized text from the returned entity mappings
-  let pseudonymizedText = text;
-  for (const [key, value] of Object.entries(entityMappings)) {
-    pseudonymizedText = pseudonymizedText.replace(new RegExp(key, 'g'), value);
+  for (const entity of entities) {
+    if (!entity || !Number.isInteger(entity.start) || !Number.isInteger(entity.end) ||
+        entity.start < 0 || entity.end > text.length || entity.start >= entity.end) {
+      return 'Each entity needs a valid start and end offset within the text';
+    }
+    if (typeof entity.type !== 'string' || !/^[a-z][a-z0-9_]{0,39}$/.test(entity.type)) {
+      return 'Each entity needs a type of lowercase letters, digits and underscores';
+    }
   }
 
-  console.log();
-  console.log('Pseudonymized Text:', pseudonymizedText);
+  const sorted = [...entities].sort((a, b) => a.start - b.start);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].start < sorted[i - 1].end) {
+      return 'Entities must not overlap';
+    }
+  }
 
+  return null;
 }
 
 /**
- * Handle requests to the /hocr endpoint
+ * Handle requests to the /depseudonymize endpoint
  */
-async function handleHocrEndpoint(request, env) {
+async function handleDepseudonymizeEndpoint(request, env) {
   try {
     // Parse and validate request body
     const requestData = await request.json();
-    const { text } = requestData;
-    
+    const { text, sessionId, sourceText } = requestData;
+
     if (!text || typeof text !== 'string') {
       return createErrorResponse('Text is required and must be a string', 400);
     }
 
-    // Validate text length to prevent abuse
-    if (text.length > 10000) {
-      return createErrorResponse('Text too long. Maximum 10,000 characters allowed.', 400);
+    if (sourceText !== undefined && typeof sourceText !== 'string') {
+      return createErrorResponse('Source text must be a string', 400);
     }
 
-    // Check for required environment variables
-    if (!env.CIB_POP_USERNAME || !env.CIB_POP_PASSWORD || !env.CIB_POP_URL) {
-      return createErrorResponse('CIB Pop credentials not configured', 500);
+    if (!sessionId || typeof sessionId !== 'string') {
+      return createErrorResponse('Session ID is required and must be a string', 400);
     }
 
-    // Convert text to HOCR format
-    const initialHocrContent = convertTextToHocr(text);
-
-    // Send HOCR to remote server and get entity mappings
-    const entityMappings = await processHocrWithRemoteServer(initialHocrContent, env);
-
-    // Generate pseudonymized text from the returned entity mappings
-    let pseudonymizedText = text;
-    for (const [key, value] of Object.entries(entityMappings)) {
-      pseudonymizedText = pseudonymizedText.replace(new RegExp(key, 'g'), value);
+    const session = await loadVaultSession(env, sessionId);
+    if (!session) {
+      return createErrorResponse('Session not found or expired', 404);
     }
 
+    // Restore the tokens and report those that were lost or duplicated
+    // compared to the pseudonymized source text
+    const { text: restoredText, report } = restorePseudonyms(text, session, sourceText);
+
     // Return successful response
     return createSuccessResponse({
       success: true,
-      originalText: text,
-      entityMappings: entityMappings,
-      pseudonymizedText: pseudonymizedText,
+      sessionId: session.id,
+      restoredText: restoredText,
+      report: report,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error processing HOCR request:', error);
-    
+    console.error('Error processing depseudonymize request:', error);
+
     return createErrorResponse(
       'Internal server error',
       500,
@@ -173,236 +1746,231 @@ async function handleHocrEndpoint(request, env) {
 }
 
 /**
- * Convert plain text to HOCR format, preserving linebreaks and paragraphs
+ * Send HOCR content to remote server and parse the response
+ * @returns {Object} Parsed CIB POP layout response
  */
-function convertTextToHocr(text) {
-  // Split text into paragraphs and lines
-  const paragraphs = text.split(/\n\s*\n/); // Split on double newlines
-  
-  let hocrContent = `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
-	<head>
-		<title></title>
-		<meta http-equiv="Content-Type" content="text/html;charset=utf-8" />
-		<meta name="ocr-system" content="CIB ocr:3.1.1.0;CIB deepER:2.8.0" />
-		<meta name="ocr-capabilities" content="" />
-	</head>
-	<body>
-  <div class="ocr_page" title="image input.png; bbox 0 0 2456 3516; ppageno 1; x_useddeskewangle -0.5625" id="page_1">\n`;
-
-  let lineY = 100; // Starting Y position
-  let wordId = 1;
-
-  paragraphs.forEach((paragraph, pIndex) => {
-    if (paragraph.trim()) {
-      // hocrContent += `\t<div class="ocr_par" id="par_${pIndex + 1}" title="bbox 0 ${lineY} 1000 ${lineY + 50}">\n`;
-      
-      const lines = paragraph.split('\n');
-      lines.forEach((line, lIndex) => {
-        if (line.trim()) {
-          //hocrContent += `\t\t<span class="ocr_line" id="line_${pIndex + 1}_${lIndex + 1}" title="bbox 0 ${lineY} 1000 ${lineY + 25}">\n`;
-          hocrContent += `\t\t<span class="ocr_line" title="bbox 0 ${lineY} 1000 ${lineY + 50}" id="line_${lIndex + 1}">\n`;
-          
-          const words = line.trim().split(/\s+/);
-          let wordX = 100; // Starting X position
-          
-          words.forEach((word) => {
-            if (word) {
-              // Remove punctuation from the word
-              const cleanWord = word.replace(/[^\w\s]/g, '');
-              if (cleanWord) {
-                const wordWidth = cleanWord.length * 10; // Approximate width
-                hocrContent += `\t\t\t<span class="ocrx_word" title="bbox ${wordX} ${lineY} ${wordX + wordWidth} ${lineY + 50}" id="word_${wordId}">${cleanWord}</span>\n`;
-                wordX += wordWidth + 10;
-                wordId++;
-              }
-            }
-          });
-          
-          hocrContent += `\t\t</span>\n`;
-          lineY += 30;
-        }
-      });
-      
-      // hocrContent += `</div>\n`;
-      lineY += 20; // Extra space between paragraphs
-    }
-  });
-
-  hocrContent += `\t</div>\n</body>\n</html>\n`;
-
-  return hocrContent;
+async function processHocrWithRemoteServer(hocrContent, env) {
+  // Create a blob from the HOCR content to simulate a file upload
+  const hocrBlob = new Blob([hocrContent], { type: 'text/html' });
+  return sendFileToCibPop(hocrBlob, 'input.hocr', env);
 }
 
 /**
- * Send HOCR content to remote server and parse the response
- * @returns {Object} Object containing entityMappings and hocrContent
+ * Send a file (HOCR, PDF or image) to CIB POP
+ * @returns {Object} The CIB POP response with the word layout and entities
  */
-async function processHocrWithRemoteServer(hocrContent, env) {
+async function sendFileToCibPop(blob, fileName, env) {
   // Create form data for the POST request
   const formData = new FormData();
-  
-  // Create a blob from the HOCR content to simulate a file upload
-  const hocrBlob = new Blob([hocrContent], { type: 'text/html' });
-  formData.append('file', hocrBlob, 'input.hocr');
-
-  let responseData;
-
-  if (env.SIMULATE) {
-    // Read test data from file instead of making real API call
-    try {
-      // For Node.js environment, use fs to read the file
-      const fs = await import('fs');
-      const path = await import('path');
-      const { fileURLToPath } = await import('url');
-      
-      // Get the directory of the current file
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = path.dirname(__filename);
-      const testFilePath = path.join(__dirname, '..', 'test.json');
-      
-      const testDataContent = fs.readFileSync(testFilePath, 'utf8');
-      responseData = JSON.parse(testDataContent);
-      console.log('Using simulated responseData from test.json file');
-    } catch (error) {
-      console.error('Error reading test.json file:', error);
-      throw new Error('Failed to load simulation data from test.json');
-    }
-  } else {
-    // Prepare authentication
-    const auth = btoa(`${env.CIB_POP_USERNAME}:${env.CIB_POP_PASSWORD}`);
+  formData.append('file', blob, fileName);
 
-    // Send request to remote server
-    const response = await fetch(env.CIB_POP_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-      },
-      body: formData
-    });
+  // Prepare authentication
+  const auth = btoa(`${env.CIB_POP_USERNAME}:${env.CIB_POP_PASSWORD}`);
 
-    if (!response.ok) {
-      throw new Error(`Remote server error: ${response.status} - ${response.statusText}`);
-    }
+  // Send request to remote server, or to the CIB POP mock (USE_MOCKS)
+  const response = await fetchService(env, 'cib-pop', env.CIB_POP_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${auth}`,
+    },
+    body: formData
+  });
 
-    responseData = await response.json();
+  if (!response.ok) {
+    throw new Error(`Remote server error: ${response.status} - ${response.statusText}`);
   }
 
+  const responseData = await response.json();
+
   // console.log('responseData: ', responseData);
   // console.log('responseData JSON for testing: ', JSON.stringify(responseData, null, 2));
 
-  const entityMappings = parseHocrContentForEntities(responseData);
+  return responseData;
+}
 
-  // console.log('entityMappings: ', entityMappings);
-  
-  return entityMappings;
+/**
+ * Extract entity spans and candidates from a CIB POP response and apply the policy
+ * @returns {Object} { entities, review }
+ */
+function selectEntities(responseData, text, tokens, policy) {
+  return applyEntityPolicy(
+    parseHocrContentForEntities(responseData, text, tokens),
+    parseHocrContentForCandidates(responseData, text, tokens),
+    policy
+  );
 }
 
 /**
- * Parse JSON content for entity mappings
+ * Attach a vault token or surrogate to each entity span
+ *
+ * Entities of the surrogate types get a surrogate value (see mintSurrogate),
+ * or a token if none can be created. The parts of a person name share the
+ * number of the person they resolve to (see mintNameTokens); all other
+ * values get a token of their own.
+ *
+ * @param {Object} [options] - { surrogateTypes, text } - text is the text of the spans
  */
-function parseHocrContentForEntities(jsonContent) {
-  // Check if the input is already a parsed JSON object or a string
-  let data;
-  if (typeof jsonContent === 'string') {
-    try {
-      data = JSON.parse(jsonContent);
-    } catch (error) {
-      console.log(error);
+function pseudonymizeEntities(spans, session, { surrogateTypes = [], text = '' } = {}) {
+  const surrogates = new Map();
+  spans.filter(span => surrogateTypes.includes(span.type)).forEach(span => {
+    const surrogate = mintSurrogate(session, span.type, span.text, text);
+    if (surrogate) {
+      surrogates.set(span, surrogate);
     }
-  } else {
-    data = jsonContent;
-  }
-  
-  const mapping = {};
-  
-  // Recursive function to traverse the JSON tree
-  function traverseJson(obj) {
-    if (!obj || typeof obj !== 'object') {
+  });
+
+  const nameTokens = new Map();
+  groupPersonNames(spans.filter(span => !surrogates.has(span))).forEach(name => {
+    const tokens = mintNameTokens(session, name.map(span => ({ type: span.type, original: span.text })));
+    name.forEach((span, index) => nameTokens.set(span, tokens[index]));
+  });
+
+  return spans.map(span => ({
+    ...span,
+    pseudonym: surrogates.get(span) || nameTokens.get(span) || mintToken(session, span.type, span.text)
+  }));
+}
+
+/**
+ * Group the person name spans into names: consecutive spans of the same
+ * entity group, or only whitespace apart if the groups are unknown
+ * @returns {Array} Names, each an array of spans in text order
+ */
+function groupPersonNames(spans) {
+  const names = [];
+  let previous = null;
+  [...spans].sort((a, b) => a.start - b.start).forEach(span => {
+    if (!PERSON_NAME_TYPES.includes(span.type)) {
+      previous = null;
       return;
     }
-    
-    // Check if this object is a word with x_entity in attributes
-    if (obj.type === 'word' && obj.attributes && obj.attributes.x_entity && obj.id && obj.text) {
-      const entityKey = obj.attributes.x_entity.split(/\s+/).join('_');
-      mapping[obj.text] = entityKey;
-    }
-    
-    // Recursively traverse children
-    if (obj.children && Array.isArray(obj.children)) {
-      obj.children.forEach(child => traverseJson(child));
+    const hasGroups = Number.isInteger(span.group) && previous && Number.isInteger(previous.group);
+    const sameName = previous && (hasGroups ? span.group === previous.group : span.start - previous.end <= 1);
+    if (sameName) {
+      names[names.length - 1].push(span);
+    } else {
+      names.push([span]);
     }
-    
-    // Traverse any other object properties that might contain nested structures
-    for (const key in obj) {
-      if (obj.hasOwnProperty(key) && typeof obj[key] === 'object' && obj[key] !== null) {
-        traverseJson(obj[key]);
-      }
+    previous = span;
+  });
+  return names;
+}
+
+/**
+ * Surrogate values of the vault session a text was pseudonymized in, so the
+ * guardrail and the privacy scan recognize them; none without a valid session
+ */
+async function loadSessionSurrogates(env, sessionId) {
+  const session = await loadVaultSession(env, sessionId);
+  return session ? listSurrogates(session) : [];
+}
+
+/**
+ * Vault session of a request: the session of the case if caseId is given,
+ * otherwise sessionId
+ * @throws {CaseNotFoundError} If the case does not exist (anymore)
+ */
+async function resolveSessionId(env, { sessionId, caseId }) {
+  return caseId ? openCaseSession(env, caseId) : sessionId;
+}
+
+/**
+ * Build the pseudonymized text by replacing exactly the given entity spans
+ */
+function createPseudonymizedText(text, entities) {
+  const sorted = [...entities].sort((a, b) => a.start - b.start);
+  let result = '';
+  let position = 0;
+
+  sorted.forEach(entity => {
+    if (entity.start < position) {
+      return; // Skip overlapping spans
     }
-  }
-  
-  // Start traversal from the root
-  traverseJson(data);
-  
-  return mapping;
+    result += text.slice(position, entity.start) + entity.pseudonym;
+    position = entity.end;
+  });
+
+  return result + text.slice(position);
 }
 
 /**
- * Improve text using OpenAI GPT API
+ * Improve text using the configured LLM provider
+ *
+ * Long texts are improved in chunks of at most CHUNK_SIZE characters, with
+ * at most CHUNK_CONCURRENCY requests at a time; each chunk is checked for
+ * its own placeholders and the results are joined in order.
+ *
+ * @param {Array} [surrogates] - Surrogate values of the vault session, checked like placeholders
+ * @returns {Object} { text, usage, attempts } - usage summed over all chunks
+ * @throws {PlaceholderIntegrityError} If the LLM keeps losing or inventing placeholders
  */
-async function improveTextWithChatGPT(text, prompt, apiKey) {
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
+async function improveText(text, prompt, llmConfig, env, surrogates = []) {
+  const chunks = splitIntoChunks(text, getChunkSize(env));
+  const messages = chunks.map((chunk, index) => buildImproveMessages(chunk.text, prompt, { index, count: chunks.length }, surrogates));
+  const results = await mapWithConcurrency(chunks, getChunkConcurrency(env), (chunk, index) =>
+    generateWithPlaceholderGuardrail(llmConfig, messages[index], chunk.text, env, surrogates));
+
+  const improved = {
+    text: joinChunks(chunks, results.map(result => result.text)).trim(),
+    usage: results.map(result => result.usage).reduce(addUsage),
+    attempts: Math.max(...results.map(result => result.attempts))
+  };
+
+  await recordTokenUsage(env, improved.usage, { input: getMessagesText(messages.flat()), output: improved.text });
+  return improved;
+}
+
+/**
+ * Build the chat messages for a text improvement
+ * @param {Object} [part] - { index, count } when the text is one chunk of a longer text
+ * @param {Array} [surrogates] - Surrogate values of the vault session; those in the text must be kept
+ */
+function buildImproveMessages(text, prompt, part = { index: 0, count: 1 }, surrogates = []) {
+  const systemPrompt = part.count > 1
+    ? `${prompt}\n\nDer Text ist Abschnitt ${part.index + 1} von ${part.count} eines längeren Dokuments. `
+      + 'Bearbeite nur diesen Abschnitt und ergänze keine Einleitung, Anrede oder Zusammenfassung.'
+    : prompt;
+
+  return [
+    {
+      role: 'system',
+      content: addPreservationInstructions(systemPrompt, [...new Set(findSurrogates(text, surrogates).map(({ value }) => value))])
     },
-    body: JSON.stringify({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        {
-          role: 'system',
-          content: prompt
-        },
-        {
-          role: 'user',
-          content: text
-        }
-      ],
-      max_tokens: 2000,
-      temperature: 0.7,
-      frequency_penalty: 0.0,
-      presence_penalty: 0.0
-    })
-  });
+    {
+      role: 'user',
+      content: text
+    }
+  ];
+}
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-  }
+/**
+ * Text of chat messages, for token estimates
+ */
+function getMessagesText(messages) {
+  return messages.map(message => message.content).join('\n');
+}
 
-  const data = await response.json();
-  
-  if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-    throw new Error('Invalid response format from OpenAI API');
+/**
+ * Check texts against the maximum text length (MAX_TEXT_LENGTH)
+ * @returns {string|null} Error message, or null if all texts are short enough
+ */
+function getTextLengthError(env, ...texts) {
+  const maxLength = getMaxTextLength(env);
+  if (texts.some(text => text.length > maxLength)) {
+    return `Text too long. Maximum ${maxLength.toLocaleString('en-US')} characters allowed.`;
   }
-
-  return data.choices[0].message.content.trim();
+  return null;
 }
 
 /**
  * Handle CORS preflight requests
  */
 function handleCORSPreflight() {
-  return new Response(null, {
-    status: 204,
-    headers: getCORSHeaders()
-  });
+  return new Response(null, { status: 204 });
 }
 
 /**
- * Create error response with CORS headers
+ * Create error response; CORS headers are added by applyCORSHeaders
  */
 function createErrorResponse(message, status, additionalData = {}) {
   return new Response(
@@ -413,37 +1981,158 @@ function createErrorResponse(message, status, additionalData = {}) {
     { 
       status, 
       headers: {
-        'Content-Type': 'application/json',
-        ...getCORSHeaders()
+        'Content-Type': 'application/json'
       }
     }
   );
 }
 
 /**
- * Create success response with CORS headers
+ * Describe a failed placeholder check for the client
+ */
+function getPlaceholderIntegrityDetails(error) {
+  return {
+    error: 'Placeholder integrity check failed',
+    code: 'placeholder_integrity',
+    message: error.message,
+    missing: error.missing,
+    unexpected: error.unexpected,
+    attempts: error.attempts
+  };
+}
+
+/**
+ * Create the 422 response for an LLM output with lost or invented placeholders
+ */
+function createPlaceholderIntegrityResponse(error) {
+  const { error: message, ...details } = getPlaceholderIntegrityDetails(error);
+  return createErrorResponse(message, 422, details);
+}
+
+/**
+ * Describe a text that must not be sent to the LLM
+ */
+function getPrivacyErrorDetails(error) {
+  const details = { error: error.message, code: error.code };
+  if (error.findings.length > 0) {
+    details.findings = error.findings;
+  }
+  return details;
+}
+
+/**
+ * Create the response for a text refused by the privacy mode
+ */
+function createPrivacyErrorResponse(error) {
+  const { error: message, ...details } = getPrivacyErrorDetails(error);
+  return createErrorResponse(message, error.status, details);
+}
+
+/**
+ * Describe a failed entity detection like the error response of /hocr
+ */
+function getDetectorUnavailableDetails(error) {
+  return {
+    error: 'No entity detector available',
+    code: 'detector_unavailable',
+    message: error.message
+  };
+}
+
+/**
+ * Create the 503 response for a text no entity detector could process; the
+ * text is not sent to the LLM
+ */
+function createDetectorUnavailableResponse(error) {
+  const { error: message, ...details } = getDetectorUnavailableDetails(error);
+  return createErrorResponse(message, 503, details);
+}
+
+/**
+ * Record an operation in the audit log; a failing audit store does not fail
+ * the request
+ * @param {Object} operation - See recordAuditEvent
+ */
+async function auditOperation(env, operation) {
+  try {
+    await recordAuditEvent(env, operation);
+  } catch (error) {
+    console.error('Error recording audit event:', error);
+  }
+}
+
+/**
+ * Status and outcome of a failed operation for the audit log
+ * @returns {Object} { status, outcome } - outcome is the error code of the response
+ */
+function describeAuditError(error) {
+  if (error instanceof PlaceholderIntegrityError) {
+    return { status: 422, outcome: 'placeholder_integrity' };
+  }
+  if (error instanceof PrivacyError) {
+    return { status: error.status, outcome: error.code };
+  }
+  if (error instanceof DetectorUnavailableError) {
+    return { status: 503, outcome: 'detector_unavailable' };
+  }
+  return { status: 500, outcome: 'error' };
+}
+
+/**
+ * Create the 429 response for an exceeded rate limit or quota
+ * @param {Object} limitError - { error, status, code, limit, retryAfter }
+ */
+function createLimitResponse(limitError) {
+  const { error, status, ...details } = limitError;
+  const response = createErrorResponse(error, status, details);
+  response.headers.set('Retry-After', String(limitError.retryAfter));
+  return response;
+}
+
+/**
+ * Create success response; CORS headers are added by applyCORSHeaders
  */
-function createSuccessResponse(data) {
+function createSuccessResponse(data, status = 200) {
   return new Response(
     JSON.stringify(data), 
     { 
-      status: 200, 
+      status, 
       headers: {
-        'Content-Type': 'application/json',
-        ...getCORSHeaders()
+        'Content-Type': 'application/json'
       }
     }
   );
 }
 
 /**
- * Get CORS headers for cross-origin requests
+ * Add the CORS headers for the origin of the request to a response
  */
-function getCORSHeaders() {
+function applyCORSHeaders(response, request, env) {
+  const corsHeaders = getCORSHeaders(request, env);
+  if (Object.keys(corsHeaders).length === 0) {
+    return response;
+  }
+
+  const corsResponse = new Response(response.body, response);
+  Object.entries(corsHeaders).forEach(([name, value]) => corsResponse.headers.set(name, value));
+  return corsResponse;
+}
+
+/**
+ * Get CORS headers for cross-origin requests from allowed origins (ALLOWED_ORIGINS)
+ */
+function getCORSHeaders(request, env) {
+  const origin = request.headers.get('Origin');
+  if (!origin || !isOriginAllowed(origin, env)) {
+    return {};
+  }
+
   return {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+    'Access-Control-Expose-Headers': 'Content-Disposition, Retry-After',
     'Access-Control-Max-Age': '86400',
+    'Vary': 'Origin'
   };
 }
@@ -0,0 +1,333 @@
+/**
+ * CIB Pop Write - CIB POP mock
+ * Local stand-in for the CIB POP service: tags entities in the submitted
+ * HOCR with simple rules and answers with a layout in the format of CIB POP.
+ * The mock has no OCR, so PDFs and images get the layout of a fixed sample
+ * letter.
+ */
+
+import { tokenizeText } from '../hocr.js';
+
+// Text of the layout returned for uploaded PDFs and images
+const SAMPLE_DOCUMENT_TEXT = `Sehr geehrter Herr Dallas,
+
+vielen Dank für Ihr Schreiben vom 12.03.2024. Wir haben Ihre neue Adresse Hauptstraße 12, 50667 Köln gespeichert.
+
+Bei Rückfragen erreichen Sie Anna Schmidt unter 0221-4711815 oder anna.schmidt@example.de.
+
+Mit freundlichen Grüßen
+Versatel Deutschland GmbH`;
+
+const FIRST_NAMES = new Set([
+  'Alexander', 'Andrea', 'Andreas', 'Anna', 'Christian', 'Claudia', 'Daniel', 'Elisabeth', 'Emma', 'Felix',
+  'Hans', 'Heinz', 'Holger', 'Jan', 'Johannes', 'Julia', 'Katharina', 'Korben', 'Laura', 'Leon',
+  'Lukas', 'Maria', 'Markus', 'Martin', 'Max', 'Michael', 'Monika', 'Paul', 'Peter', 'Petra',
+  'Sabine', 'Sandra', 'Sophie', 'Stefan', 'Thomas', 'Thorsten', 'Ursula', 'Wolfgang'
+]);
+
+const COMPANY_NAMES = new Set(['Allianz', 'Amazon', 'Apple', 'Bosch', 'Google', 'Microsoft', 'SAP', 'Siemens', 'Telekom', 'Versatel']);
+const LEGAL_FORMS = new Set(['AG', 'GmbH', 'KG', 'KGaA', 'OHG', 'SE', 'UG', 'eG', 'e.V', 'Inc', 'Ltd']);
+const SALUTATIONS = new Set(['Herr', 'Herrn', 'Frau', 'Dr', 'Prof']);
+const BIRTH_KEYWORDS = new Set(['geb', 'geboren', 'Geburtsdatum', 'Geburtstag']);
+
+// Capitalized words that start sentences or nouns rather than names
+const STOPWORDS = new Set([
+  'Sehr', 'Liebe', 'Lieber', 'Hallo', 'Ich', 'Wir', 'Sie', 'Er', 'Es', 'Ihr', 'Ihre', 'Ihren', 'Mein', 'Meine',
+  'Der', 'Die', 'Das', 'Den', 'Dem', 'Ein', 'Eine', 'Mit', 'Bei', 'Von', 'Vom', 'Und', 'Oder', 'Am', 'Im', 'In',
+  'Name', 'Herr', 'Frau', 'Grüßen', 'Dank', 'Deutschland'
+]);
+
+const STREET_SUFFIX_PATTERN = /(straße|strasse|str|weg|allee|platz|gasse|ring|damm)$/i;
+const CAPITALIZED_PATTERN = /^\p{Lu}[\p{L}\p{M}'’-]*$/u;
+
+/**
+ * Answer a CIB POP request (multipart/form-data with a "file" field)
+ * @param {Request} request
+ * @returns {Response} The layout with entity annotations as JSON
+ */
+async function handleCibPopMockRequest(request) {
+  if (request.method !== 'POST') {
+    return createJsonResponse({ error: 'Method not allowed' }, 405);
+  }
+  if (!/^Basic\s+\S+/i.test(request.headers.get('Authorization') || '')) {
+    return createJsonResponse({ error: 'Unauthorized' }, 401);
+  }
+
+  let file;
+  try {
+    file = (await request.formData()).get('file');
+  } catch (error) {
+    file = null;
+  }
+  if (!file || typeof file === 'string') {
+    return createJsonResponse({ error: 'File is required' }, 400);
+  }
+
+  const content = new TextDecoder().decode(await file.arrayBuffer());
+  const paragraphs = /class=["']ocrx_word["']/.test(content)
+    ? [readHocrLines(content)]
+    : createSampleParagraphs();
+
+  return createJsonResponse(createLayout(paragraphs));
+}
+
+/**
+ * Read the lines and words of a HOCR document
+ * @returns {Array} Lines as arrays of words ({ id, text, bbox, offset, punctuation })
+ */
+function readHocrLines(hocr) {
+  const lines = [];
+  const spanPattern = /<span\b([^>]*)>([^<]*)/g;
+  let match;
+
+  while ((match = spanPattern.exec(hocr)) !== null) {
+    const attributes = readAttributes(match[1]);
+    const title = attributes.title || '';
+
+    if (attributes.class === 'ocr_line') {
+      lines.push([]);
+    } else if (attributes.class === 'ocrx_word') {
+      if (lines.length === 0) {
+        lines.push([]);
+      }
+      const offset = /x_offset (\d+ \d+)/.exec(title);
+      lines[lines.length - 1].push({
+        id: attributes.id,
+        text: unescapeXml(match[2]),
+        bbox: readBbox(title),
+        offset: offset ? offset[1] : null,
+        punctuation: /x_punct 1/.test(title)
+      });
+    }
+  }
+
+  return lines.filter(words => words.length > 0);
+}
+
+/**
+ * Paragraphs, lines and words of the sample document, laid out like an OCR result
+ */
+function createSampleParagraphs() {
+  const paragraphs = [];
+  let lineCount = 0;
+  let previous = null;
+
+  tokenizeText(SAMPLE_DOCUMENT_TEXT).forEach((token, index) => {
+    if (!previous || previous.paragraph !== token.paragraph) {
+      paragraphs.push([]);
+    }
+    const lines = paragraphs[paragraphs.length - 1];
+    if (!previous || previous.paragraph !== token.paragraph || previous.line !== token.line) {
+      lines.push([]);
+      lineCount++;
+    }
+    const words = lines[lines.length - 1];
+    const left = words.length === 0 ? 100 : words[words.length - 1].bbox[2] + 10;
+    const top = 100 + (lineCount - 1) * 40;
+    words.push({
+      id: `word_${index}`,
+      text: token.text,
+      bbox: [left, top, left + [...token.text].length * 10, top + 30],
+      offset: null,
+      punctuation: token.punctuation
+    });
+    previous = token;
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Build the CIB POP layout of the paragraphs, with the entity annotations
+ * @param {Array} paragraphs - Paragraphs as arrays of lines
+ */
+function createLayout(paragraphs) {
+  const annotations = tagEntities(paragraphs.flat(2));
+  let lineIndex = 0;
+  let wordIndex = 0;
+
+  const createLine = words => ({
+    id: `line_${lineIndex++}`,
+    type: 'line',
+    attributes: {},
+    children: words.map(word => {
+      const annotation = annotations[wordIndex++];
+      const attributes = {};
+      if (word.offset) {
+        attributes.x_offset = word.offset;
+      }
+      if (annotation) {
+        attributes.x_entity = `${annotation.type} ${annotation.part}`;
+        attributes.x_sensibility = '1';
+        attributes.x_entity_confidence = annotation.confidence;
+      }
+      if (!word.punctuation) {
+        attributes.x_entity_alternatives = formatAlternatives(getAlternatives(word.text, annotation));
+      }
+
+      const [left, top, right, bottom] = word.bbox;
+      return { id: word.id, type: 'word', attributes, children: [], text: word.text, left, top, width: right - left, height: bottom - top };
+    })
+  });
+
+  const children = paragraphs.map((lines, paragraphIndex) => ({
+    id: `par_${paragraphIndex}`,
+    type: 'paragraph',
+    attributes: {},
+    children: lines.map(createLine)
+  }));
+
+  return {
+    layout: {
+      root: {
+        id: 'image_0',
+        type: 'image',
+        attributes: { title: null, 'ocr-capabilities': '' },
+        children: [{ id: 'page_0', type: 'page', attributes: {}, children }]
+      }
+    }
+  };
+}
+
+/**
+ * Tag the entities among the words
+ *
+ * Consecutive words of one entity are numbered by part, like CIB POP does:
+ * "Korben Dallas" becomes "first_name 0", "last_name 1".
+ *
+ * @returns {Array} Per word { type, part, confidence } or null
+ */
+function tagEntities(words) {
+  const annotations = new Array(words.length).fill(null);
+  const text = index => (index >= 0 && index < words.length ? words[index].text : '');
+  const isWord = index => index < words.length && !words[index].punctuation;
+  const isName = index => isWord(index) && CAPITALIZED_PATTERN.test(text(index)) && !STOPWORDS.has(text(index));
+
+  const tag = (start, types, confidence) => {
+    types.forEach((type, part) => {
+      annotations[start + part] = { type, part, confidence };
+    });
+    return start + types.length;
+  };
+
+  // Index of a legal form ("GmbH") that ends a company name starting at index
+  const findLegalForm = index => {
+    for (let next = index + 1; next <= index + 3 && isWord(next); next++) {
+      if (LEGAL_FORMS.has(text(next))) {
+        return next;
+      }
+      if (!CAPITALIZED_PATTERN.test(text(next))) {
+        break;
+      }
+    }
+    return -1;
+  };
+
+  let index = 0;
+  while (index < words.length) {
+    const word = text(index);
+    const legalForm = isWord(index) ? findLegalForm(index) : -1;
+
+    if (!isWord(index)) {
+      index++;
+    } else if (/^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i.test(word)) {
+      index = tag(index, ['email'], 0.99);
+    } else if (/^[A-Z]{2}\d{2}(?:[A-Z0-9]{11,30})?$/.test(word) && (word.length > 4 || /^\d{4}$/.test(text(index + 1)))) {
+      // IBANs are written as one word or in groups of four characters
+      let end = index + 1;
+      while (isWord(end) && /^[A-Z0-9]{1,4}$/.test(text(end)) && /\d/.test(text(end))) {
+        end++;
+      }
+      index = tag(index, new Array(end - index).fill('iban'), 0.98);
+    } else if (/^0\d{2,5}(?:[/-]\d{3,})+$/.test(word) || /^0\d{6,}$/.test(word)) {
+      index = tag(index, ['phone_number'], 0.9);
+    } else if (/^\d{1,2}\.\d{1,2}\.\d{4}$/.test(word) && [1, 2, 3].some(distance => BIRTH_KEYWORDS.has(text(index - distance)))) {
+      index = tag(index, ['date_of_birth'], 0.95);
+    } else if (/^\d{5}$/.test(word)) {
+      index = tag(index, ['postcode'], 0.9);
+      if (isName(index)) {
+        index = tag(index, ['city'], 0.85);
+      }
+    } else if (STREET_SUFFIX_PATTERN.test(word) && CAPITALIZED_PATTERN.test(word)) {
+      // The house number belongs to the street
+      index = tag(index, isWord(index + 1) && /^\d+[a-z]?$/.test(text(index + 1)) ? ['street_name', 'street_name'] : ['street_name'], 0.9);
+    } else if (COMPANY_NAMES.has(word) || (isName(index) && legalForm !== -1)) {
+      const end = legalForm !== -1 ? legalForm + 1 : index + 1;
+      index = tag(index, new Array(end - index).fill('company_name'), 0.95);
+    } else if (FIRST_NAMES.has(word)) {
+      index = tag(index, isName(index + 1) && !FIRST_NAMES.has(text(index + 1)) ? ['first_name', 'last_name'] : ['first_name'], 0.95);
+    } else if (SALUTATIONS.has(word)) {
+      // "Herr Dallas", "Frau Dr. Schmidt": the name after the salutations
+      let name = index + 1;
+      while (SALUTATIONS.has(text(name)) || text(name) === '.') {
+        name++;
+      }
+      index = isName(name) ? tag(name, ['last_name'], 0.8) : name;
+    } else {
+      index++;
+    }
+  }
+
+  return annotations;
+}
+
+/**
+ * Entity types CIB POP would consider for a word
+ */
+function getAlternatives(word, annotation) {
+  let alternatives;
+  if (/\d/.test(word)) {
+    alternatives = ['numeric_id', 'postcode', 'phone_number', 'date_of_birth'];
+  } else if (CAPITALIZED_PATTERN.test(word)) {
+    alternatives = ['last_name', 'company_name', 'city', 'first_name'];
+  } else {
+    alternatives = ['company_name', 'city', 'last_name', 'street_name'];
+  }
+  return annotation ? alternatives.filter(type => type !== annotation.type) : alternatives;
+}
+
+/**
+ * Format entity types like the x_entity_alternatives attribute of CIB POP
+ */
+function formatAlternatives(types) {
+  return `[${types.map(type => `'${type}'`).join(', ')}]`;
+}
+
+/**
+ * Read the attributes of an HTML tag
+ */
+function readAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attributes[match[1]] = unescapeXml(match[2]);
+  }
+  return attributes;
+}
+
+/**
+ * Read the bounding box of a HOCR title attribute
+ */
+function readBbox(title) {
+  const match = /bbox (\d+) (\d+) (\d+) (\d+)/.exec(title);
+  return match ? match.slice(1).map(Number) : [0, 0, 0, 0];
+}
+
+/**
+ * Reverse escapeXml
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Create a JSON response
+ */
+function createJsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+export { handleCibPopMockRequest };
@@ -0,0 +1,44 @@
+/**
+ * CIB Pop Write - Mock services
+ * Routes requests to CIB POP and OpenAI-compatible LLM endpoints to the
+ * local mocks when they are enabled, so the whole flow runs offline
+ *
+ * Configuration:
+ * - USE_MOCKS: "true" for all mocks, or a comma-separated list of
+ *   services: cib-pop, llm
+ */
+
+import { handleCibPopMockRequest } from './cibpop.js';
+import { handleLlmMockRequest } from './llm.js';
+
+const MOCK_HANDLERS = {
+  'cib-pop': handleCibPopMockRequest,
+  llm: handleLlmMockRequest
+};
+
+/**
+ * Check whether the mock of a service is enabled (USE_MOCKS)
+ * @param {string} service - cib-pop or llm
+ */
+function isMockEnabled(env, service) {
+  const value = String(env.USE_MOCKS || '').trim();
+  if (value === 'true') {
+    return true;
+  }
+  return value.split(',').map(name => name.trim()).includes(service);
+}
+
+/**
+ * Send a request to an external service, or to its mock if enabled
+ * @param {string} service - cib-pop or llm
+ * @returns {Response}
+ */
+function fetchService(env, service, url, init) {
+  if (isMockEnabled(env, service)) {
+    // Mocked services may be configured with placeholder URLs like "mock"
+    return MOCK_HANDLERS[service](new Request(new URL(url, 'http://mock.invalid/'), init));
+  }
+  return fetch(url, init);
+}
+
+export { MOCK_HANDLERS, isMockEnabled, fetchService };
@@ -0,0 +1,133 @@
+/**
+ * CIB Pop Write - LLM mock
+ * Local stand-in for an OpenAI-compatible chat completions endpoint. The
+ * answer is a deterministic rewrite of the first user message: common
+ * spelling mistakes are corrected, spacing is normalized and sentences are
+ * capitalized. Placeholders are left untouched.
+ */
+
+// Common mistakes and their corrections, matched as whole words; the case
+// of the first letter is kept
+const CORRECTIONS = [
+  ['Meine Name', 'Mein Name'],
+  ['Addresse', 'Adresse'],
+  ['ausserdem', 'außerdem'],
+  ['entgültig', 'endgültig'],
+  ['nähmlich', 'nämlich'],
+  ['Rythmus', 'Rhythmus'],
+  ['Standart', 'Standard'],
+  ['vorraus', 'voraus'],
+  ['Vorraussetzung', 'Voraussetzung'],
+  ['wiederrum', 'wiederum'],
+  ['Wiederspruch', 'Widerspruch'],
+  ['zuhause', 'zu Hause']
+];
+
+const CHARACTERS_PER_TOKEN = 4;
+
+/**
+ * Answer a chat completions request, as JSON or as event stream
+ * @param {Request} request
+ * @returns {Response}
+ */
+async function handleLlmMockRequest(request) {
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    body = null;
+  }
+  const userMessage = body && Array.isArray(body.messages) && body.messages.find(message => message.role === 'user');
+  if (!userMessage || typeof userMessage.content !== 'string') {
+    return createErrorResponse('messages must contain a user message', 400);
+  }
+
+  const content = rewriteText(userMessage.content);
+  const model = body.model || 'mock';
+  const created = Math.floor(Date.now() / 1000);
+
+  if (body.stream) {
+    return createStreamResponse(content, model, created);
+  }
+
+  const promptTokens = estimateTokens(body.messages.map(message => String(message.content)).join('\n'));
+  const completionTokens = estimateTokens(content);
+  return new Response(JSON.stringify({
+    id: 'chatcmpl-mock',
+    object: 'chat.completion',
+    created,
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+  }), { headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Rewrite a text deterministically
+ */
+function rewriteText(text) {
+  let result = text
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ +([,.;:!?])/g, '$1')
+    .replace(/^ +| +$/gm, '');
+
+  CORRECTIONS.forEach(([mistake, correction]) => {
+    const pattern = `[${mistake[0].toUpperCase()}${mistake[0].toLowerCase()}]${mistake.slice(1)}`;
+    result = result.replace(new RegExp(`(?<![\\p{L}«_])${pattern}(?![\\p{L}»_])`, 'gu'), match =>
+      (match[0] === match[0].toUpperCase() ? correction[0].toUpperCase() : correction[0].toLowerCase()) + correction.slice(1));
+  });
+
+  // Capitalize the first letter of every sentence
+  result = result.replace(/(^|[.!?]\s+)(\p{Ll})/gu, (match, boundary, letter) => boundary + letter.toUpperCase());
+
+  return result.trim();
+}
+
+/**
+ * Stream the answer word by word in the OpenAI event stream format
+ */
+function createStreamResponse(content, model, created) {
+  const encoder = new TextEncoder();
+  const pieces = content.match(/\s*\S+/g) || [];
+  const chunk = delta => `data: ${JSON.stringify({
+    id: 'chatcmpl-mock',
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: null }]
+  })}\n\n`;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(chunk({ role: 'assistant' })));
+      pieces.forEach(piece => controller.enqueue(encoder.encode(chunk({ content: piece }))));
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    }
+  });
+
+  return new Response(stream, { headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' } });
+}
+
+/**
+ * Rough token count of a text
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Create an error response in the format of the OpenAI API
+ */
+function createErrorResponse(message, status) {
+  return new Response(JSON.stringify({ error: { message, type: 'invalid_request_error' } }), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+export { handleLlmMockRequest, rewriteText };
@@ -0,0 +1,228 @@
+/**
+ * CIB Pop Write - PDF documents
+ * Minimal PDF writer for exported texts: A4 pages, Helvetica in WinAnsi
+ * encoding, word wrapping and colored, struck-through or underlined changes
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const FONT_SIZE = 11;
+const LINE_HEIGHT = 15;
+const PARAGRAPH_SPACING = 8;
+
+const CHANGE_COLORS = {
+  insert: '0.1 0.5 0.22',
+  delete: '0.81 0.13 0.18'
+};
+
+// Helvetica glyph widths (1/1000 em) for the characters 32 to 126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const WIDE_LATIN_WIDTHS = { 'Ä': 667, 'Ö': 778, 'Ü': 722, 'ß': 611, '€': 556, '„': 333, '“': 333, '–': 556, '—': 1000, '…': 1000 };
+
+// WinAnsiEncoding bytes of characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89,
+  'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Create a PDF from paragraphs of runs
+ * @param {Array} paragraphs - Arrays of runs ({ text, change } or { lineBreak: true, change });
+ *   change is null, 'insert' or 'delete'
+ * @returns {Uint8Array} The PDF file
+ */
+function createPdf(paragraphs) {
+  const pages = layoutPages(paragraphs);
+  const objects = [];
+  const addObject = content => {
+    objects.push(content);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map(commands => {
+    const stream = commands.join('\n');
+    const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // All content is ASCII (non-ASCII bytes are octal escapes), so string length equals byte length
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((content, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${content}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return new TextEncoder().encode(pdf);
+}
+
+/**
+ * Wrap the runs into lines and pages
+ * @returns {Array} The content stream commands of each page
+ */
+function layoutPages(paragraphs) {
+  const maxWidth = PAGE_WIDTH - 2 * MARGIN;
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN - FONT_SIZE;
+  let segment = null;
+
+  // Consecutive words of the same kind on a line are drawn as one segment
+  const flush = () => {
+    if (segment) {
+      pages[pages.length - 1].push(...drawText(segment.text, segment.x, segment.y, segment.width, segment.change));
+      segment = null;
+    }
+  };
+
+  const newLine = () => {
+    flush();
+    y -= LINE_HEIGHT;
+    if (y < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN - FONT_SIZE;
+    }
+  };
+
+  paragraphs.forEach((runs, paragraphIndex) => {
+    if (paragraphIndex > 0) {
+      y -= PARAGRAPH_SPACING;
+      newLine();
+    }
+
+    let x = MARGIN;
+    const words = [];
+    runs.forEach(run => {
+      if (run.lineBreak) {
+        words.push({ lineBreak: true });
+        return;
+      }
+      (run.text.match(/\s+|\S+/g) || []).forEach(text => {
+        splitLongWord(text.replace(/\s+/g, ' '), maxWidth).forEach(part => words.push({ text: part, change: run.change }));
+      });
+    });
+
+    words.forEach(word => {
+      if (word.lineBreak) {
+        newLine();
+        x = MARGIN;
+        return;
+      }
+
+      const width = measureText(word.text);
+      if (word.text === ' ' && x === MARGIN) {
+        return; // No leading space on a wrapped line
+      }
+      if (x + width > MARGIN + maxWidth && x > MARGIN) {
+        newLine();
+        x = MARGIN;
+        if (word.text === ' ') {
+          return;
+        }
+      }
+
+      if (segment && segment.change === word.change) {
+        segment.text += word.text;
+        segment.width += width;
+      } else {
+        flush();
+        segment = { text: word.text, x, y, width, change: word.change };
+      }
+      x += width;
+    });
+  });
+  flush();
+
+  return pages;
+}
+
+/**
+ * Split a word that does not fit on a line into parts that do
+ */
+function splitLongWord(word, maxWidth) {
+  if (measureText(word) <= maxWidth) {
+    return [word];
+  }
+
+  const parts = [''];
+  for (const character of word) {
+    if (measureText(parts[parts.length - 1] + character) > maxWidth) {
+      parts.push('');
+    }
+    parts[parts.length - 1] += character;
+  }
+  return parts;
+}
+
+/**
+ * Content stream commands for a piece of text; changes are colored,
+ * deletions struck through and insertions underlined
+ */
+function drawText(text, x, y, width, change) {
+  const color = CHANGE_COLORS[change] || '0 0 0';
+  const commands = [`BT /F1 ${FONT_SIZE} Tf ${color} rg ${x.toFixed(2)} ${y.toFixed(2)} Td (${encodePdfString(text)}) Tj ET`];
+
+  if (change) {
+    const lineY = change === 'delete' ? y + FONT_SIZE * 0.3 : y - 1.5;
+    commands.push(`${color} RG 0.6 w ${x.toFixed(2)} ${lineY.toFixed(2)} m ${(x + width).toFixed(2)} ${lineY.toFixed(2)} l S`);
+  }
+  return commands;
+}
+
+/**
+ * Width of a text in points
+ */
+function measureText(text) {
+  let width = 0;
+  for (const character of text) {
+    const code = character.codePointAt(0);
+    width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : (WIDE_LATIN_WIDTHS[character] || 556);
+  }
+  return width * FONT_SIZE / 1000;
+}
+
+/**
+ * Encode text as PDF string literal content in WinAnsiEncoding
+ */
+function encodePdfString(text) {
+  let result = '';
+  for (const character of text) {
+    const code = character.codePointAt(0);
+    const byte = code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : (WIN_ANSI_EXTRAS[character] || 0x3f);
+
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) {
+      result += `\\${character}`;
+    } else if (byte < 0x20 || byte > 0x7e) {
+      result += `\\${byte.toString(8).padStart(3, '0')}`;
+    } else {
+      result += String.fromCharCode(byte);
+    }
+  }
+  return result;
+}
+
+export { createPdf };
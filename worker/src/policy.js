@@ -0,0 +1,132 @@
+/**
+ * CIB Pop Write - Pseudonymization policy
+ * Decides which detected entities are masked, based on per-type confidence
+ * thresholds and the entity alternatives reported by CIB POP
+ */
+
+const POLICY_MODES = ['standard', 'aggressive'];
+
+const DEFAULT_THRESHOLD = 0.5;
+const DEFAULT_REVIEW_MARGIN = 0.2;
+const DEFAULT_SENSITIVE_TYPES = ['numeric_id', 'postcode', 'iban', 'email', 'phone_number', 'date_of_birth'];
+
+/**
+ * Build the effective policy from the environment configuration
+ *
+ * - PSEUDONYMIZATION_MODE: "standard" or "aggressive"
+ * - ENTITY_CONFIDENCE_THRESHOLDS: JSON object of entity type → minimum
+ *   confidence, "default" applies to all other types
+ * - REVIEW_MARGIN: entities this far below their threshold are reported for review
+ * - SENSITIVE_ENTITY_TYPES: comma-separated types that make an untagged
+ *   word suspicious when they appear in its alternatives
+ *
+ * @param {string} [mode] - Mode requested by the client, overrides the configured mode
+ */
+function getEntityPolicy(env, mode) {
+  const thresholds = parseJsonObject(env.ENTITY_CONFIDENCE_THRESHOLDS);
+  const reviewMargin = parseFloat(env.REVIEW_MARGIN);
+
+  return {
+    mode: POLICY_MODES.includes(mode) ? mode : (POLICY_MODES.includes(env.PSEUDONYMIZATION_MODE) ? env.PSEUDONYMIZATION_MODE : 'standard'),
+    thresholds,
+    defaultThreshold: typeof thresholds.default === 'number' ? thresholds.default : DEFAULT_THRESHOLD,
+    reviewMargin: Number.isFinite(reviewMargin) ? reviewMargin : DEFAULT_REVIEW_MARGIN,
+    sensitiveTypes: env.SENSITIVE_ENTITY_TYPES
+      ? env.SENSITIVE_ENTITY_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+      : DEFAULT_SENSITIVE_TYPES
+  };
+}
+
+/**
+ * Apply the policy to the entity spans and untagged candidate words
+ *
+ * Entities at or above their type's threshold are masked. Entities within
+ * the review margin below it are not masked but reported for review.
+ * Untagged words whose alternatives contain a sensitive type are masked in
+ * aggressive mode and reported for review in standard mode.
+ *
+ * @returns {Object} { entities, review }
+ */
+function applyEntityPolicy(spans, candidates, policy) {
+  const entities = [];
+  const review = [];
+
+  spans.forEach(span => {
+    const threshold = getThreshold(policy, span.type);
+    // Entities without a reported confidence are trusted as tagged
+    if (span.confidence === null || span.confidence >= threshold) {
+      entities.push(span);
+    } else if (span.confidence >= threshold - policy.reviewMargin) {
+      review.push({
+        start: span.start,
+        end: span.end,
+        text: span.text,
+        suggestedType: span.type,
+        confidence: span.confidence,
+        reason: 'low_confidence'
+      });
+    }
+  });
+
+  candidates.forEach(candidate => {
+    const sensitiveType = candidate.alternatives.find(type => policy.sensitiveTypes.includes(type));
+    if (!sensitiveType) {
+      return;
+    }
+
+    if (policy.mode === 'aggressive') {
+      entities.push({
+        start: candidate.start,
+        end: candidate.end,
+        text: candidate.text,
+        type: sensitiveType,
+        confidence: null,
+        group: null,
+        alternatives: candidate.alternatives,
+        source: 'alternative'
+      });
+    } else {
+      review.push({
+        start: candidate.start,
+        end: candidate.end,
+        text: candidate.text,
+        suggestedType: sensitiveType,
+        confidence: null,
+        reason: 'sensitive_alternative'
+      });
+    }
+  });
+
+  entities.sort((a, b) => a.start - b.start);
+  review.sort((a, b) => a.start - b.start);
+
+  return { entities, review };
+}
+
+/**
+ * Get the confidence threshold for an entity type
+ */
+function getThreshold(policy, type) {
+  return typeof policy.thresholds[type] === 'number' ? policy.thresholds[type] : policy.defaultThreshold;
+}
+
+/**
+ * Parse a JSON object from a configuration variable, ignoring invalid values
+ */
+function parseJsonObject(value) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error('Invalid JSON configuration value:', error);
+    return {};
+  }
+}
+
+export { POLICY_MODES, getEntityPolicy, applyEntityPolicy, parseJsonObject };
@@ -0,0 +1,172 @@
+/**
+ * CIB Pop Write - Privacy enforcement
+ * In the enforced privacy mode a text only reaches the LLM if the worker
+ * pseudonymized it: /hocr, /pseudonymize and /document sign the
+ * pseudonymized text with a proof that /improve verifies. A last-line scan
+ * for personal data blocks texts in which values are still visible; the
+ * surrogate values of the vault session are not reported.
+ */
+
+import { importHmacKey, encodeBase64Url, decodeBase64Url } from './auth.js';
+import { detectEntities, getDetectorDictionary } from './detector.js';
+import { findSurrogates } from './surrogates.js';
+
+const PRIVACY_MODES = ['standard', 'enforced'];
+
+const PROOF_PREFIX = 'p1';
+const DEFAULT_PROOF_TTL_SECONDS = 86400;
+
+// Types of the last-line scan: formats the local detector recognizes with
+// few false positives
+const DEFAULT_PII_SCAN_TYPES = [
+  'email', 'iban', 'phone_number', 'date_of_birth', 'tax_id', 'social_security_number', 'health_insurance_number'
+];
+
+/**
+ * Raised when a text must not be sent to the LLM
+ */
+class PrivacyError extends Error {
+  constructor(message, status, code, findings = []) {
+    super(message);
+    this.name = 'PrivacyError';
+    this.status = status;
+    this.code = code;
+    this.findings = findings;
+  }
+}
+
+/**
+ * Privacy mode (PRIVACY_MODE), "standard" by default
+ */
+function getPrivacyMode(env) {
+  return PRIVACY_MODES.includes(env.PRIVACY_MODE) ? env.PRIVACY_MODE : 'standard';
+}
+
+/**
+ * Lifetime of pseudonymization proofs (PROOF_TTL_SECONDS)
+ */
+function getProofTtlSeconds(env) {
+  const seconds = parseInt(env.PROOF_TTL_SECONDS, 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_PROOF_TTL_SECONDS;
+}
+
+/**
+ * Sign a pseudonymized text
+ *
+ * The proof has the form p1.<expiry>.<base64url HMAC-SHA256> and is bound
+ * to the tenant and the exact text (without surrounding whitespace).
+ *
+ * @returns {string|null} The proof, or null if PROOF_SECRET is not configured
+ */
+async function createPseudonymizationProof(env, text) {
+  if (!env.PROOF_SECRET) {
+    return null;
+  }
+  const expires = Math.floor(Date.now() / 1000) + getProofTtlSeconds(env);
+  const signature = await signProof(env, expires, text);
+  return `${PROOF_PREFIX}.${expires}.${encodeBase64Url(signature)}`;
+}
+
+/**
+ * Verify the proof of a pseudonymized text
+ */
+async function verifyPseudonymizationProof(env, text, proof) {
+  if (!env.PROOF_SECRET || typeof proof !== 'string') {
+    return false;
+  }
+  const [prefix, expiresPart, signaturePart] = proof.split('.');
+  const expires = Number(expiresPart);
+  if (prefix !== PROOF_PREFIX || !Number.isInteger(expires) || expires * 1000 <= Date.now() || !signaturePart) {
+    return false;
+  }
+
+  let signature;
+  try {
+    signature = decodeBase64Url(signaturePart);
+  } catch (error) {
+    return false;
+  }
+  const key = await importHmacKey(env.PROOF_SECRET);
+  return crypto.subtle.verify('HMAC', key, signature, getProofData(env, expires, text));
+}
+
+/**
+ * Sign the proof data of a text
+ */
+async function signProof(env, expires, text) {
+  const key = await importHmacKey(env.PROOF_SECRET);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, getProofData(env, expires, text)));
+}
+
+/**
+ * Data covered by a proof: prefix, expiry, tenant and text
+ */
+function getProofData(env, expires, text) {
+  return new TextEncoder().encode(`${PROOF_PREFIX}\n${expires}\n${env.TENANT_ID || ''}\n${text.trim()}`);
+}
+
+/**
+ * Scan a text for personal data that is still visible
+ *
+ * Uses the local detector, limited to PII_SCAN_TYPES (comma-separated,
+ * default: e-mail addresses, IBANs, phone numbers, dates of birth, tax and
+ * insurance numbers) and the DETECTOR_DICTIONARY values of these types.
+ * Findings within a surrogate value are fake data and left out.
+ *
+ * @param {Array} [surrogates] - Surrogate values of the vault session
+ * @returns {Array} Findings ({ type, start, end }); the values are left out
+ */
+function scanForPersonalData(text, env, surrogates = []) {
+  const types = env.PII_SCAN_TYPES
+    ? env.PII_SCAN_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_PII_SCAN_TYPES;
+  const dictionary = getDetectorDictionary(env);
+  const surrogateMatches = findSurrogates(text, surrogates);
+  const isSurrogate = entity => surrogateMatches.some(match => entity.start >= match.start && entity.end <= match.end);
+
+  return detectEntities(text, dictionary)
+    .filter(entity => types.includes(entity.type) && !isSurrogate(entity))
+    .map(({ type, start, end }) => ({ type, start, end }));
+}
+
+/**
+ * Check a text before it is sent to the LLM
+ *
+ * Does nothing in the standard mode. In the enforced mode the text needs
+ * a valid proof (unless the worker pseudonymized it in the same request)
+ * and must pass the personal data scan.
+ *
+ * @param {string|null} proof - Proof from /hocr, /pseudonymize or /document
+ * @param {Object} [options] - { requireProof, surrogates } - requireProof is false if
+ *   the text was pseudonymized in this request, surrogates the values of its vault session
+ * @throws {PrivacyError} If the text must not be sent
+ */
+async function enforcePrivacy(text, proof, env, { requireProof = true, surrogates = [] } = {}) {
+  if (getPrivacyMode(env) !== 'enforced') {
+    return;
+  }
+
+  if (requireProof) {
+    if (!env.PROOF_SECRET) {
+      throw new PrivacyError('Privacy mode is enforced but PROOF_SECRET is not configured', 500, 'privacy_not_configured');
+    }
+    if (!await verifyPseudonymizationProof(env, text, proof)) {
+      throw new PrivacyError('Text was not pseudonymized by this service', 403, 'pseudonymization_required');
+    }
+  }
+
+  const findings = scanForPersonalData(text, env, surrogates);
+  if (findings.length > 0) {
+    throw new PrivacyError('Text contains personal data', 422, 'pii_detected', findings);
+  }
+}
+
+export {
+  PRIVACY_MODES,
+  PrivacyError,
+  getPrivacyMode,
+  createPseudonymizationProof,
+  verifyPseudonymizationProof,
+  scanForPersonalData,
+  enforcePrivacy
+};
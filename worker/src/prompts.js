@@ -0,0 +1,152 @@
+/**
+ * CIB Pop Write - Prompt presets
+ * Registry of the system prompts that /improve can run, selected by ID,
+ * plus validation of the optional user instructions appended to them
+ */
+
+import { parseJsonObject } from './policy.js';
+
+const DEFAULT_PROMPT_ID = 'improve';
+const DEFAULT_MAX_INSTRUCTIONS_LENGTH = 500;
+const PROMPT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const PROMPT_PRESETS = {
+  improve: {
+    label: 'Text verbessern',
+    prompt: 'Verbessere den folgenden Text in Bezug auf Grammatik, Stil und Lesbarkeit, behalte aber den ursprünglichen Sinn und Ton bei:'
+  },
+  'formal-letter': {
+    label: 'Formeller Brief',
+    prompt: 'Formuliere den folgenden Text als höflichen, formellen Geschäftsbrief in deutscher Sprache. Behalte alle Fakten und den ursprünglichen Sinn bei:'
+  },
+  shorten: {
+    label: 'Kürzen',
+    prompt: 'Kürze den folgenden Text auf das Wesentliche. Behalte alle wichtigen Fakten und den ursprünglichen Ton bei:'
+  },
+  simplify: {
+    label: 'Leichte Sprache',
+    prompt: 'Schreibe den folgenden Text in Leichter Sprache um: kurze Sätze, einfache Wörter, ein Gedanke pro Satz. Behalte alle wichtigen Informationen bei:'
+  },
+  'translate-en': {
+    label: 'Ins Englische übersetzen',
+    prompt: 'Übersetze den folgenden Text ins Englische. Behalte Sinn, Ton und Formatierung bei:'
+  },
+  'grammar-only': {
+    label: 'Nur Grammatik korrigieren',
+    prompt: 'Korrigiere im folgenden Text ausschließlich Rechtschreibung, Grammatik und Zeichensetzung. Ändere weder Wortwahl noch Stil oder Satzbau:'
+  }
+};
+
+/**
+ * Build the preset registry from the built-in presets and the environment
+ *
+ * - DEFAULT_PROMPT: overrides the prompt of the "improve" preset
+ * - PROMPT_PRESETS: JSON object of preset ID → { label, prompt } that adds
+ *   presets or replaces built-in ones
+ * - DEFAULT_PROMPT_ID: preset used when the request does not select one
+ *
+ * @returns {Object} preset ID → { id, label, prompt }
+ */
+function getPromptPresets(env) {
+  const presets = {};
+  const configured = parseJsonObject(env.PROMPT_PRESETS);
+
+  const addPreset = (id, preset) => {
+    if (!PROMPT_ID_PATTERN.test(id) || !preset || typeof preset.prompt !== 'string' || !preset.prompt.trim()) {
+      console.error('Ignoring invalid prompt preset:', id);
+      return;
+    }
+    presets[id] = {
+      id,
+      label: typeof preset.label === 'string' && preset.label ? preset.label : id,
+      prompt: preset.prompt.trim()
+    };
+  };
+
+  Object.entries(PROMPT_PRESETS).forEach(([id, preset]) => addPreset(id, preset));
+  if (env.DEFAULT_PROMPT) {
+    addPreset(DEFAULT_PROMPT_ID, { ...PROMPT_PRESETS[DEFAULT_PROMPT_ID], prompt: env.DEFAULT_PROMPT });
+  }
+  Object.entries(configured).forEach(([id, preset]) => addPreset(id, preset));
+
+  return presets;
+}
+
+/**
+ * Get the ID of the preset used when a request does not select one
+ */
+function getDefaultPromptId(env, presets = getPromptPresets(env)) {
+  return presets[env.DEFAULT_PROMPT_ID] ? env.DEFAULT_PROMPT_ID : DEFAULT_PROMPT_ID;
+}
+
+/**
+ * Maximum length of the user instructions (PROMPT_INSTRUCTIONS_MAX_LENGTH)
+ */
+function getMaxInstructionsLength(env) {
+  const maxLength = parseInt(env.PROMPT_INSTRUCTIONS_MAX_LENGTH, 10);
+  return Number.isFinite(maxLength) && maxLength >= 0 ? maxLength : DEFAULT_MAX_INSTRUCTIONS_LENGTH;
+}
+
+/**
+ * Resolve the system prompt for a preset ID and optional user instructions
+ * @returns {Object} { promptId, prompt } or { error }
+ */
+function resolvePrompt(env, { promptId, instructions }) {
+  const presets = getPromptPresets(env);
+
+  if (promptId !== undefined && promptId !== null && (typeof promptId !== 'string' || !presets[promptId])) {
+    return { error: `Unknown prompt preset: ${promptId}` };
+  }
+
+  const instructionsError = getInstructionsError(env, instructions);
+  if (instructionsError) {
+    return { error: instructionsError };
+  }
+
+  const preset = presets[promptId || getDefaultPromptId(env, presets)];
+  const trimmed = typeof instructions === 'string' ? instructions.trim() : '';
+
+  return {
+    promptId: preset.id,
+    prompt: trimmed
+      ? `${preset.prompt}\n\nZusätzliche Anweisungen des Benutzers (nur zu Inhalt und Stil des Textes):\n${trimmed}`
+      : preset.prompt
+  };
+}
+
+/**
+ * Validate the optional user instructions
+ * @returns {string|null} Error message or null if the instructions are valid
+ */
+function getInstructionsError(env, instructions) {
+  if (instructions === undefined || instructions === null) {
+    return null;
+  }
+  if (typeof instructions !== 'string') {
+    return 'Instructions must be a string';
+  }
+
+  const maxLength = getMaxInstructionsLength(env);
+  if (instructions.trim().length > maxLength) {
+    return `Instructions too long. Maximum ${maxLength} characters allowed.`;
+  }
+  // Control characters other than line breaks and tabs have no place in an instruction
+  if (/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/.test(instructions)) {
+    return 'Instructions contain invalid characters';
+  }
+  return null;
+}
+
+/**
+ * List the presets for the /prompts endpoint
+ */
+function listPromptPresets(env) {
+  const presets = getPromptPresets(env);
+  return {
+    defaultPromptId: getDefaultPromptId(env, presets),
+    maxInstructionsLength: getMaxInstructionsLength(env),
+    prompts: Object.values(presets)
+  };
+}
+
+export { getPromptPresets, resolvePrompt, listPromptPresets };
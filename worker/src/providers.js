@@ -0,0 +1,378 @@
+/**
+ * CIB Pop Write - LLM provider layer
+ * Adapters for the chat completion APIs used by /improve. The provider and
+ * model come from the deployment configuration and can be overridden per
+ * request within the configured allow-lists.
+ *
+ * Configuration:
+ * - LLM_PROVIDER: openai, azure, anthropic, workers-ai or local
+ * - LLM_MODEL: model name (Azure: deployment name), provider default if unset
+ * - LLM_ALLOWED_PROVIDERS / LLM_ALLOWED_MODELS: comma-separated values
+ *   clients may request; only the configured provider if unset
+ * - LLM_TEMPERATURE, LLM_MAX_TOKENS: generation parameters
+ */
+
+import { readServerSentEvents } from './sse.js';
+import { fetchService } from './mocks/index.js';
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 2000;
+
+const LLM_PROVIDERS = {
+  // OpenAI or any OpenAI-compatible chat completions endpoint
+  openai: {
+    defaultModel: 'gpt-3.5-turbo',
+    isConfigured: env => Boolean(env.OPENAI_API_KEY),
+    complete: (config, messages, env) => completeOpenAiCompatible(getOpenAiRequest(config, env), config, messages, env),
+    stream: (config, messages, env) => streamOpenAiCompatible(getOpenAiRequest(config, env), config, messages, env)
+  },
+
+  azure: {
+    defaultModel: null, // The deployment name has to be configured
+    isConfigured: env => Boolean(env.AZURE_OPENAI_API_KEY && env.AZURE_OPENAI_ENDPOINT),
+    complete: (config, messages, env) => completeOpenAiCompatible(getAzureRequest(config, env), config, messages, env),
+    stream: (config, messages, env) => streamOpenAiCompatible(getAzureRequest(config, env), config, messages, env)
+  },
+
+  anthropic: {
+    defaultModel: 'claude-3-5-haiku-latest',
+    isConfigured: env => Boolean(env.ANTHROPIC_API_KEY),
+    complete: completeAnthropic,
+    stream: streamAnthropic
+  },
+
+  // Cloudflare Workers AI through the AI binding
+  'workers-ai': {
+    defaultModel: '@cf/meta/llama-3.1-8b-instruct',
+    isConfigured: env => Boolean(env.AI),
+    complete: completeWorkersAi,
+    stream: streamWorkersAi
+  },
+
+  // Local Ollama or llama.cpp server with OpenAI-compatible API
+  local: {
+    defaultModel: 'llama3.1',
+    isConfigured: env => Boolean(env.LOCAL_LLM_BASE_URL),
+    complete: (config, messages, env) => completeOpenAiCompatible(getLocalRequest(config, env), config, messages, env),
+    stream: (config, messages, env) => streamOpenAiCompatible(getLocalRequest(config, env), config, messages, env)
+  }
+};
+
+/**
+ * Endpoint, headers and provider-specific body fields of the OpenAI API
+ */
+function getOpenAiRequest(config, env) {
+  return {
+    name: 'OpenAI',
+    url: `${trimSlash(env.OPENAI_BASE_URL || 'https://api.openai.com/v1')}/chat/completions`,
+    headers: { 'Authorization': `Bearer ${env.OPENAI_API_KEY}` },
+    body: { model: config.model }
+  };
+}
+
+/**
+ * Endpoint and headers of an Azure OpenAI deployment
+ */
+function getAzureRequest(config, env) {
+  return {
+    name: 'Azure OpenAI',
+    url: `${trimSlash(env.AZURE_OPENAI_ENDPOINT)}/openai/deployments/${encodeURIComponent(config.model)}/chat/completions?api-version=${encodeURIComponent(env.AZURE_OPENAI_API_VERSION || '2024-06-01')}`,
+    headers: { 'api-key': env.AZURE_OPENAI_API_KEY },
+    body: {}
+  };
+}
+
+/**
+ * Endpoint and headers of a local OpenAI-compatible server
+ */
+function getLocalRequest(config, env) {
+  return {
+    name: 'Local LLM',
+    url: `${trimSlash(env.LOCAL_LLM_BASE_URL)}/chat/completions`,
+    headers: env.LOCAL_LLM_API_KEY ? { 'Authorization': `Bearer ${env.LOCAL_LLM_API_KEY}` } : {},
+    body: { model: config.model }
+  };
+}
+
+/**
+ * Check a client's provider and model selection against the configuration
+ * @returns {string|null} Error message, or null if the selection is allowed
+ */
+function getLlmSelectionError(env, { provider, model } = {}) {
+  if (provider !== undefined) {
+    if (typeof provider !== 'string' || !LLM_PROVIDERS[provider]) {
+      return `Provider must be one of: ${Object.keys(LLM_PROVIDERS).join(', ')}`;
+    }
+    if (!getAllowedValues(env.LLM_ALLOWED_PROVIDERS, getConfiguredProvider(env)).includes(provider)) {
+      return `Provider "${provider}" is not allowed`;
+    }
+  }
+
+  if (model !== undefined) {
+    if (typeof model !== 'string' || !model.trim()) {
+      return 'Model must be a non-empty string';
+    }
+    if (!getAllowedValues(env.LLM_ALLOWED_MODELS, env.LLM_MODEL).includes(model)) {
+      return `Model "${model}" is not allowed`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the effective LLM configuration for a request
+ * @returns {Object} { provider, model, temperature, maxTokens }
+ */
+function resolveLlmConfig(env, { provider, model } = {}) {
+  const selectedProvider = provider || getConfiguredProvider(env);
+  const temperature = parseFloat(env.LLM_TEMPERATURE);
+  const maxTokens = parseInt(env.LLM_MAX_TOKENS, 10);
+
+  return {
+    provider: selectedProvider,
+    // A configured model only applies to the configured provider
+    model: model || (selectedProvider === getConfiguredProvider(env) && env.LLM_MODEL) || LLM_PROVIDERS[selectedProvider].defaultModel,
+    temperature: Number.isFinite(temperature) ? temperature : DEFAULT_TEMPERATURE,
+    maxTokens: Number.isFinite(maxTokens) ? maxTokens : DEFAULT_MAX_TOKENS
+  };
+}
+
+/**
+ * Check whether the credentials of a provider are configured
+ */
+function isLlmConfigured(config, env) {
+  return Boolean(config.model) && LLM_PROVIDERS[config.provider].isConfigured(env);
+}
+
+/**
+ * Generate a chat completion with the configured provider
+ * @param {Array} messages - Chat messages ({ role, content }), system messages first
+ * @returns {Object} { text, usage: { inputTokens, outputTokens } }
+ */
+async function generateCompletion(config, messages, env) {
+  return LLM_PROVIDERS[config.provider].complete(config, messages, env);
+}
+
+/**
+ * Stream a chat completion with the configured provider
+ * @returns {AsyncGenerator} Text deltas as they are generated
+ */
+function streamCompletion(config, messages, env) {
+  return LLM_PROVIDERS[config.provider].stream(config, messages, env);
+}
+
+/**
+ * Send a request to an OpenAI-compatible chat completions endpoint, or to
+ * the LLM mock (USE_MOCKS)
+ */
+async function fetchOpenAiCompatible(request, config, messages, stream, env) {
+  const response = await fetchService(env, 'llm', request.url, {
+    method: 'POST',
+    headers: {
+      ...request.headers,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      ...request.body,
+      messages,
+      max_tokens: config.maxTokens,
+      temperature: config.temperature,
+      frequency_penalty: 0.0,
+      presence_penalty: 0.0,
+      stream
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(`${request.name} API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+  }
+
+  return response;
+}
+
+/**
+ * Call an OpenAI-compatible chat completions endpoint
+ */
+async function completeOpenAiCompatible(request, config, messages, env) {
+  const response = await fetchOpenAiCompatible(request, config, messages, false, env);
+  const data = await response.json();
+  const choice = Array.isArray(data.choices) ? data.choices[0] : null;
+
+  // A refusal or a filtered answer comes without choices or with null content
+  if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+    throw new Error(`Invalid response format from ${request.name} API (finish_reason: ${choice?.finish_reason || 'none'})`);
+  }
+
+  return {
+    text: choice.message.content.trim(),
+    usage: {
+      inputTokens: data.usage?.prompt_tokens ?? null,
+      outputTokens: data.usage?.completion_tokens ?? null
+    }
+  };
+}
+
+/**
+ * Stream from an OpenAI-compatible chat completions endpoint
+ */
+async function* streamOpenAiCompatible(request, config, messages, env) {
+  const response = await fetchOpenAiCompatible(request, config, messages, true, env);
+
+  for await (const { data } of readServerSentEvents(response.body)) {
+    if (data === '[DONE]') {
+      break;
+    }
+    const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+    if (delta) {
+      yield delta;
+    }
+  }
+}
+
+/**
+ * Send a request to the Anthropic Messages API
+ */
+async function fetchAnthropic(config, messages, env, stream) {
+  const response = await fetch(`${trimSlash(env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1')}/messages`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      model: config.model,
+      system: messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n'),
+      messages: messages.filter(message => message.role !== 'system'),
+      max_tokens: config.maxTokens,
+      temperature: config.temperature,
+      stream
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(`Anthropic API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+  }
+
+  return response;
+}
+
+/**
+ * Call the Anthropic Messages API
+ */
+async function completeAnthropic(config, messages, env) {
+  const response = await fetchAnthropic(config, messages, env, false);
+  const data = await response.json();
+
+  if (!Array.isArray(data.content)) {
+    throw new Error('Invalid response format from Anthropic API');
+  }
+
+  return {
+    text: data.content.filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+    usage: {
+      inputTokens: data.usage?.input_tokens ?? null,
+      outputTokens: data.usage?.output_tokens ?? null
+    }
+  };
+}
+
+/**
+ * Stream from the Anthropic Messages API
+ */
+async function* streamAnthropic(config, messages, env) {
+  const response = await fetchAnthropic(config, messages, env, true);
+
+  for await (const { event, data } of readServerSentEvents(response.body)) {
+    if (event === 'error') {
+      throw new Error(`Anthropic API error: ${JSON.parse(data).error?.message || 'Unknown error'}`);
+    }
+    if (event === 'content_block_delta') {
+      const delta = JSON.parse(data).delta;
+      if (delta && delta.type === 'text_delta') {
+        yield delta.text;
+      }
+    }
+  }
+}
+
+/**
+ * Run a text generation model on Cloudflare Workers AI
+ */
+async function completeWorkersAi(config, messages, env) {
+  const data = await env.AI.run(config.model, {
+    messages,
+    max_tokens: config.maxTokens,
+    temperature: config.temperature
+  });
+
+  if (!data || typeof data.response !== 'string') {
+    throw new Error('Invalid response format from Workers AI');
+  }
+
+  return {
+    text: data.response.trim(),
+    usage: {
+      inputTokens: data.usage?.prompt_tokens ?? null,
+      outputTokens: data.usage?.completion_tokens ?? null
+    }
+  };
+}
+
+/**
+ * Stream from a text generation model on Cloudflare Workers AI
+ */
+async function* streamWorkersAi(config, messages, env) {
+  const stream = await env.AI.run(config.model, {
+    messages,
+    max_tokens: config.maxTokens,
+    temperature: config.temperature,
+    stream: true
+  });
+
+  for await (const { data } of readServerSentEvents(stream)) {
+    if (data === '[DONE]') {
+      break;
+    }
+    const delta = JSON.parse(data).response;
+    if (delta) {
+      yield delta;
+    }
+  }
+}
+
+/**
+ * Get the provider configured for the deployment
+ */
+function getConfiguredProvider(env) {
+  return LLM_PROVIDERS[env.LLM_PROVIDER] ? env.LLM_PROVIDER : 'openai';
+}
+
+/**
+ * Parse a comma-separated allow-list, falling back to the configured value
+ */
+function getAllowedValues(list, fallback) {
+  if (list) {
+    return list.split(',').map(value => value.trim()).filter(Boolean);
+  }
+  return fallback ? [fallback] : [];
+}
+
+/**
+ * Remove trailing slashes from a base URL
+ */
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+export {
+  LLM_PROVIDERS,
+  getLlmSelectionError,
+  resolveLlmConfig,
+  isLlmConfigured,
+  generateCompletion,
+  streamCompletion
+};
@@ -0,0 +1,238 @@
+/**
+ * CIB Pop Write - Rate limits and usage quotas
+ * Limits the requests per API key and per client IP in fixed time windows
+ * and meters the characters and LLM tokens every tenant uses per UTC day
+ *
+ * Configuration:
+ * - RATE_LIMIT_PER_KEY: requests per window and API key or token (0 = unlimited)
+ * - RATE_LIMIT_PER_IP: requests per window and client IP (0 = unlimited)
+ * - RATE_LIMIT_WINDOW_SECONDS: length of a rate limit window
+ * - DAILY_CHARACTER_QUOTA: text characters a tenant may submit per day (0 = unlimited)
+ * - DAILY_TOKEN_QUOTA: LLM tokens a tenant may use per day (0 = unlimited)
+ *
+ * Counters are kept in the store. KV is eventually consistent, so requests
+ * served by different locations at the same time may exceed a limit slightly.
+ */
+
+import { getStore } from './storage.js';
+
+const DEFAULT_RATE_LIMIT_PER_KEY = 60;
+const DEFAULT_RATE_LIMIT_PER_IP = 120;
+const DEFAULT_RATE_LIMIT_WINDOW_SECONDS = 60;
+const USAGE_TTL_SECONDS = 40 * 24 * 60 * 60;
+const MAX_USAGE_HISTORY_DAYS = 31;
+
+// Rough size of an LLM token, for providers that do not report usage
+const CHARACTERS_PER_TOKEN = 4;
+
+// Usage updates of this isolate run one after another, so concurrent
+// requests do not overwrite each other's counts
+let pendingUsageUpdate = Promise.resolve();
+
+/**
+ * Read a non-negative integer setting
+ */
+function getLimitSetting(value, defaultValue) {
+  const limit = parseInt(value, 10);
+  return Number.isFinite(limit) && limit >= 0 ? limit : defaultValue;
+}
+
+/**
+ * Configured limits; 0 means unlimited
+ */
+function getLimits(env) {
+  return {
+    requestsPerKey: getLimitSetting(env.RATE_LIMIT_PER_KEY, DEFAULT_RATE_LIMIT_PER_KEY),
+    requestsPerIp: getLimitSetting(env.RATE_LIMIT_PER_IP, DEFAULT_RATE_LIMIT_PER_IP),
+    windowSeconds: getLimitSetting(env.RATE_LIMIT_WINDOW_SECONDS, 0) || DEFAULT_RATE_LIMIT_WINDOW_SECONDS,
+    dailyCharacters: getLimitSetting(env.DAILY_CHARACTER_QUOTA, 0),
+    dailyTokens: getLimitSetting(env.DAILY_TOKEN_QUOTA, 0)
+  };
+}
+
+/**
+ * Count a request against the rate limit of a client
+ *
+ * @param {string} scope - 'key' (RATE_LIMIT_PER_KEY) or 'ip' (RATE_LIMIT_PER_IP)
+ * @param {string} clientId - API key ID or IP address
+ * @returns {Object|null} { error, status, code, limit, retryAfter } if the limit is exceeded, otherwise null
+ */
+async function checkRateLimit(env, scope, clientId) {
+  const limits = getLimits(env);
+  const limit = scope === 'ip' ? limits.requestsPerIp : limits.requestsPerKey;
+  if (!limit) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const window = Math.floor(now / limits.windowSeconds);
+  const key = `${scope}:${clientId}:${window}`;
+  const store = getStore(env, 'ratelimit');
+  const count = (await store.get(key)) || 0;
+
+  if (count >= limit) {
+    return {
+      error: 'Rate limit exceeded',
+      status: 429,
+      code: 'rate_limited',
+      limit,
+      retryAfter: (window + 1) * limits.windowSeconds - now
+    };
+  }
+
+  await store.put(key, count + 1, { ttl: limits.windowSeconds });
+  return null;
+}
+
+/**
+ * Meter the characters of a request against the daily character quota
+ *
+ * Requests that would exceed the quota are refused as a whole; with
+ * { llm: true } the request is also refused once the token quota is used up.
+ *
+ * @returns {Object|null} { error, status, code, limit, retryAfter } if a quota is exceeded, otherwise null
+ */
+function chargeCharacters(env, characters, { llm = false } = {}) {
+  const limits = getLimits(env);
+
+  return updateUsage(env, usage => {
+    if (limits.dailyCharacters && usage.characters + characters > limits.dailyCharacters) {
+      return createQuotaError('Daily character quota exceeded', limits.dailyCharacters);
+    }
+    if (llm && isTokenQuotaUsedUp(usage, limits)) {
+      return createQuotaError('Daily token quota exceeded', limits.dailyTokens);
+    }
+
+    usage.requests++;
+    usage.characters += characters;
+    return null;
+  });
+}
+
+/**
+ * Check whether the daily token quota is used up
+ * @returns {Object|null} { error, status, code, limit, retryAfter } if it is, otherwise null
+ */
+async function getTokenQuotaError(env) {
+  const limits = getLimits(env);
+  return isTokenQuotaUsedUp(await loadUsage(env), limits)
+    ? createQuotaError('Daily token quota exceeded', limits.dailyTokens)
+    : null;
+}
+
+/**
+ * Whether the tokens of a day reach the daily token quota
+ */
+function isTokenQuotaUsedUp(usage, limits) {
+  return limits.dailyTokens > 0 && usage.inputTokens + usage.outputTokens >= limits.dailyTokens;
+}
+
+/**
+ * Add the LLM tokens of a completion to today's usage
+ *
+ * Token counts the provider did not report are estimated from the texts.
+ *
+ * @param {Object} usage - { inputTokens, outputTokens }, null where unknown
+ * @param {Object} texts - { input, output } texts the estimate is based on
+ */
+async function recordTokenUsage(env, usage, { input = '', output = '' } = {}) {
+  const estimate = text => Math.ceil(text.length / CHARACTERS_PER_TOKEN);
+  await updateUsage(env, total => {
+    total.inputTokens += usage.inputTokens !== null ? usage.inputTokens : estimate(input);
+    total.outputTokens += usage.outputTokens !== null ? usage.outputTokens : estimate(output);
+    return null;
+  });
+}
+
+/**
+ * Report the usage of the last days with the limits of the tenant
+ * @param {number} days - Number of days, including today
+ * @returns {Object} { date, usage, limits, remaining, resetAt, history }
+ */
+async function getUsageReport(env, days = 1) {
+  const limits = getLimits(env);
+  const count = Math.min(Math.max(days, 1), MAX_USAGE_HISTORY_DAYS);
+  const today = new Date();
+
+  const history = [];
+  for (let offset = 0; offset < count; offset++) {
+    const day = new Date(today.getTime() - offset * 24 * 60 * 60 * 1000);
+    history.push(formatUsage(await loadUsage(env, day)));
+  }
+
+  const usage = history[0];
+  return {
+    date: usage.date,
+    usage,
+    limits,
+    remaining: {
+      characters: limits.dailyCharacters ? Math.max(0, limits.dailyCharacters - usage.characters) : null,
+      tokens: limits.dailyTokens ? Math.max(0, limits.dailyTokens - usage.tokens) : null
+    },
+    resetAt: getNextDayStart(today).toISOString(),
+    history
+  };
+}
+
+/**
+ * Load the usage of a day; new days start at zero
+ */
+async function loadUsage(env, day = new Date()) {
+  const date = day.toISOString().slice(0, 10);
+  const usage = await getStore(env, 'usage').get(date);
+  return usage || { date, requests: 0, characters: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+/**
+ * Change today's usage
+ * @param {Function} update - Changes the usage in place; returns null to save it, or an error to leave it unchanged
+ * @returns {Object|null} The result of update
+ */
+function updateUsage(env, update) {
+  const result = pendingUsageUpdate.then(async () => {
+    const usage = await loadUsage(env);
+    const error = update(usage);
+    if (!error) {
+      await getStore(env, 'usage').put(usage.date, usage, { ttl: USAGE_TTL_SECONDS });
+    }
+    return error;
+  });
+  pendingUsageUpdate = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Add the token total to a usage record
+ */
+function formatUsage(usage) {
+  return { ...usage, tokens: usage.inputTokens + usage.outputTokens };
+}
+
+/**
+ * Create the error for an exceeded daily quota; it resets at midnight UTC
+ */
+function createQuotaError(message, limit) {
+  const now = new Date();
+  return {
+    error: message,
+    status: 429,
+    code: 'quota_exceeded',
+    limit,
+    retryAfter: Math.ceil((getNextDayStart(now).getTime() - now.getTime()) / 1000)
+  };
+}
+
+/**
+ * Start of the next UTC day
+ */
+function getNextDayStart(day) {
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + 1));
+}
+
+export {
+  checkRateLimit,
+  chargeCharacters,
+  getTokenQuotaError,
+  recordTokenUsage,
+  getUsageReport
+};
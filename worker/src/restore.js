@@ -0,0 +1,206 @@
+/**
+ * CIB Pop Write - Restoration engine
+ * Replaces vault tokens and surrogate values in LLM output with the original
+ * values. Tolerates the ways LLMs tend to mangle placeholders (lost or
+ * different brackets, changed case, spaces instead of underscores, German
+ * inflection suffixes) and reports tokens that went missing, were
+ * duplicated or are unknown.
+ */
+
+import { TOKEN_PATTERN, listSurrogates } from './vault.js';
+import { findSurrogates } from './surrogates.js';
+
+// Inflection suffixes an LLM may attach to a placeholder, e.g. «FIRST_NAME_1»s
+const SUFFIX_PATTERN = "(?<suffix>['’]s|s|['’])?";
+
+// Parts of a token without brackets: label, number and the variant number of
+// further spellings of a person name (LAST_NAME_1_2). The separator before
+// the variant is required, so LAST_NAME_12 is never read as a variant.
+const TOKEN_PARTS_PATTERN = /^(?<label>.*?)[ _-]?(?<number>\d+)(?:[ _-](?<variant>\d+))?$/;
+
+/**
+ * Restore the original values of all session tokens and surrogates in the text
+ *
+ * Surrogates are matched as whole words with their exact spelling; tokens
+ * and surrogates are replaced in one pass, so a restored value is never
+ * replaced again.
+ *
+ * @param {string} text - LLM output containing (possibly mangled) tokens
+ * @param {Object} session - Vault session holding the token and surrogate entries
+ * @param {string} [sourceText] - Pseudonymized text that was sent to the LLM;
+ *   used to detect missing and duplicated tokens
+ * @returns {Object} { text, report }
+ */
+function restorePseudonyms(text, session, sourceText) {
+  const found = {};
+  const fuzzyMatches = [];
+
+  const matches = [...findTokenMatches(text, session), ...findSurrogateMatches(text, session)]
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let restored = '';
+  let position = 0;
+  matches.forEach(({ start, end, key, entry, suffix }) => {
+    if (start < position) {
+      return; // Skip overlapping matches
+    }
+
+    const match = text.slice(start, end);
+    found[key] = (found[key] || 0) + 1;
+    if (match !== key) {
+      fuzzyMatches.push({ token: key, matched: match });
+    }
+    restored += text.slice(position, start) + inflect(entry.original, suffix);
+    position = end;
+  });
+  restored += text.slice(position);
+
+  return {
+    text: restored,
+    report: createRestorationReport(restored, found, fuzzyMatches, sourceText, session)
+  };
+}
+
+/**
+ * Find the (possibly mangled) tokens of the session in a text
+ * @returns {Array} Matches ({ start, end, key, entry, suffix }); key is the exact token
+ */
+function findTokenMatches(text, session) {
+  const pattern = buildTokenPattern(session);
+  if (!pattern) {
+    return [];
+  }
+
+  const tokens = new Map(Object.keys(session.entries).map(token => [getTokenKey(token.slice(1, -1)), token]));
+  return [...text.matchAll(pattern)]
+    .map(match => {
+      const token = tokens.get(getTokenKey(match.groups.token));
+      return { start: match.index, end: match.index + match[0].length, key: token, entry: session.entries[token], suffix: match.groups.suffix };
+    })
+    .filter(match => match.entry);
+}
+
+/**
+ * Find the surrogates of the session in a text
+ * @returns {Array} Matches ({ start, end, key, entry, suffix }); key is the surrogate
+ */
+function findSurrogateMatches(text, session) {
+  return findSurrogates(text, listSurrogates(session)).map(({ value, start, end, suffix }) =>
+    ({ start, end, key: value, entry: session.surrogates[value], suffix }));
+}
+
+/**
+ * Build one pattern matching every token of the session in a tolerant way
+ */
+function buildTokenPattern(session) {
+  const tokens = Object.keys(session.entries).map(token => token.slice(1, -1));
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  // Longest tokens first, so LAST_NAME_1_2 is not matched as LAST_NAME_1
+  const alternatives = tokens
+    .sort((a, b) => b.length - a.length)
+    .map(token => {
+      const { label, number, variant } = token.match(TOKEN_PARTS_PATTERN).groups;
+      const labelPattern = label.split('_').map(escapeRegExp).join('[ _-]?');
+      return `${labelPattern}[ _-]?${number}${variant ? `[ _-]${variant}` : ''}`;
+    })
+    .join('|');
+
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}_])(?:(?:«|‹|<<|\\[|\\{)\\s?)?(?<token>${alternatives})(?:\\s?(?:»|›|>>|\\]|\\}))?${SUFFIX_PATTERN}(?![\\p{L}\\p{N}_])`,
+    'giu'
+  );
+}
+
+/**
+ * Compare the restored tokens with the tokens of the source text
+ */
+function createRestorationReport(restored, found, fuzzyMatches, sourceText, session) {
+  const missing = [];
+  const duplicated = [];
+
+  if (typeof sourceText === 'string') {
+    const expected = { ...countTokens(sourceText), ...countSurrogates(sourceText, listSurrogates(session)) };
+    const tokens = new Set([...Object.keys(expected), ...Object.keys(found)]);
+
+    tokens.forEach(token => {
+      const expectedCount = expected[token] || 0;
+      const foundCount = found[token] || 0;
+      const entry = session.entries[token] || (session.surrogates || {})[token];
+      const type = entry ? entry.type : null;
+
+      if (foundCount < expectedCount) {
+        missing.push({ token, type, expected: expectedCount, found: foundCount });
+      } else if (foundCount > expectedCount) {
+        duplicated.push({ token, type, expected: expectedCount, found: foundCount });
+      }
+    });
+  }
+
+  // Anything still looking like a token was not part of the session
+  const unknown = [...new Set(restored.match(TOKEN_PATTERN) || [])];
+
+  return {
+    complete: missing.length === 0 && unknown.length === 0,
+    missing,
+    duplicated,
+    unknown,
+    fuzzyMatches
+  };
+}
+
+/**
+ * Count the exact tokens in a text
+ */
+function countTokens(text) {
+  const counts = {};
+  (text.match(TOKEN_PATTERN) || []).forEach(token => {
+    counts[token] = (counts[token] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Count the given surrogate values in a text
+ */
+function countSurrogates(text, surrogates) {
+  const counts = {};
+  findSurrogates(text, surrogates).forEach(({ value }) => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Apply an inflection suffix the LLM attached to a placeholder to the original value.
+ * Names ending in s, ß, x or z take only an apostrophe in the German genitive.
+ */
+function inflect(original, suffix) {
+  if (!suffix) {
+    return original;
+  }
+  if (/[sßxz]$/i.test(original)) {
+    return `${original}’`;
+  }
+  return original + suffix;
+}
+
+/**
+ * Key of a token without brackets that ignores case and separators, e.g.
+ * "last name 1 2" and LAST_NAME_1_2 both become LASTNAME/1/2
+ */
+function getTokenKey(token) {
+  const { label, number, variant } = token.match(TOKEN_PARTS_PATTERN).groups;
+  return [label.toUpperCase().replace(/[ _-]+/g, ''), parseInt(number, 10), variant ? parseInt(variant, 10) : ''].join('/');
+}
+
+/**
+ * Escape special regex characters in a string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export { restorePseudonyms, countTokens, countSurrogates };
@@ -0,0 +1,75 @@
+/**
+ * CIB Pop Write - Server-Sent Events helpers
+ * Parses the event streams of LLM APIs and formats the events relayed to the browser
+ */
+
+/**
+ * Read a Server-Sent Events stream
+ * @param {ReadableStream} stream - Response body of an event stream
+ * @returns {AsyncGenerator} Events ({ event, data })
+ */
+async function* readServerSentEvents(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer = normalizeLineBreaks(buffer + value);
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const event = parseEventBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (event) {
+        yield event;
+      }
+    }
+  }
+
+  const event = parseEventBlock(buffer.replace(/\r$/, '\n'));
+  if (event) {
+    yield event;
+  }
+}
+
+/**
+ * Turn CRLF and CR line breaks into LF
+ *
+ * A trailing CR is kept, since the LF of a CRLF pair can arrive with the
+ * next read; converting it early would turn the pair into an empty line,
+ * i.e. an event boundary.
+ */
+function normalizeLineBreaks(text) {
+  return text.replace(/\r\n|\r(?!$)/g, '\n');
+}
+
+/**
+ * Parse one event block of an event stream
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const data = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+/**
+ * Format an event with JSON data for an event stream
+ */
+function formatServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+export { readServerSentEvents, formatServerSentEvent };
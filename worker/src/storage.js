@@ -0,0 +1,97 @@
+/**
+ * CIB Pop Write - Key-value storage for worker state
+ * Uses the STORE_KV namespace when it is bound and falls back to an
+ * in-memory map that only lives as long as the worker isolate. Keys of an
+ * authenticated tenant (TENANT_ID) are kept apart from other tenants.
+ */
+
+const memoryStore = new Map();
+
+/**
+ * Get a store whose keys are prefixed with the given namespace
+ *
+ * list(prefix) returns the keys that start with prefix in lexicographic
+ * order; like KV it may miss keys written moments before.
+ */
+function getStore(env, namespace) {
+  const prefix = env.TENANT_ID ? `tenant:${env.TENANT_ID}:${namespace}:` : `${namespace}:`;
+
+  if (env.STORE_KV) {
+    return createKvStore(env.STORE_KV, prefix);
+  }
+
+  return createMemoryStore(prefix);
+}
+
+/**
+ * Store backed by a Cloudflare KV namespace
+ */
+function createKvStore(kv, prefix) {
+  return {
+    async get(key) {
+      return kv.get(prefix + key, 'json');
+    },
+
+    async put(key, value, options = {}) {
+      // KV does not accept expirations shorter than 60 seconds
+      const kvOptions = options.ttl ? { expirationTtl: Math.max(60, options.ttl) } : {};
+      await kv.put(prefix + key, JSON.stringify(value), kvOptions);
+    },
+
+    async delete(key) {
+      await kv.delete(prefix + key);
+    },
+
+    async list(keyPrefix = '') {
+      const keys = [];
+      let cursor;
+      do {
+        const page = await kv.list({ prefix: prefix + keyPrefix, cursor });
+        keys.push(...page.keys.map(({ name }) => name.slice(prefix.length)));
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+      return keys;
+    }
+  };
+}
+
+/**
+ * Store backed by the in-memory map
+ */
+function createMemoryStore(prefix) {
+  return {
+    async get(key) {
+      const entry = memoryStore.get(prefix + key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        memoryStore.delete(prefix + key);
+        return null;
+      }
+      // Values are stored serialized so callers never share object references
+      return JSON.parse(entry.value);
+    },
+
+    async put(key, value, options = {}) {
+      memoryStore.set(prefix + key, {
+        value: JSON.stringify(value),
+        expiresAt: options.ttl ? Date.now() + options.ttl * 1000 : null
+      });
+    },
+
+    async delete(key) {
+      memoryStore.delete(prefix + key);
+    },
+
+    async list(keyPrefix = '') {
+      const now = Date.now();
+      return [...memoryStore.entries()]
+        .filter(([key, entry]) => key.startsWith(prefix + keyPrefix) && !(entry.expiresAt && entry.expiresAt <= now))
+        .map(([key]) => key.slice(prefix.length))
+        .sort();
+    }
+  };
+}
+
+export { getStore };
@@ -0,0 +1,372 @@
+/**
+ * CIB Pop Write - Surrogate values
+ * Replaces entities with realistic fake values of their type instead of
+ * «TYPE_N» placeholders: German first names of the same gender, last names,
+ * fictional companies with the legal form of the original, IBANs with valid
+ * check digits, dates shifted by a fixed number of days and numbers in the
+ * format of the original. LLMs get articles and cases right around a name,
+ * not around a placeholder. The vault keeps the mapping to the originals
+ * (see mintSurrogate in vault.js).
+ *
+ * Configuration:
+ * - SURROGATE_TYPES: entity types replaced by surrogates unless a request selects its own
+ */
+
+const FEMALE_FIRST_NAMES = [
+  'Andrea', 'Anke', 'Anna', 'Birgit', 'Carina', 'Charlotte', 'Clara', 'Claudia', 'Doris', 'Emilia',
+  'Greta', 'Hannah', 'Heike', 'Ida', 'Jana', 'Johanna', 'Julia', 'Katharina', 'Laura', 'Lea',
+  'Lena', 'Marie', 'Melanie', 'Miriam', 'Monika', 'Nadine', 'Nicole', 'Paula', 'Petra', 'Sabine',
+  'Sandra', 'Silke', 'Sophie', 'Stefanie', 'Susanne', 'Svenja', 'Tanja', 'Ursula', 'Vanessa', 'Yvonne'
+];
+
+const MALE_FIRST_NAMES = [
+  'Alexander', 'Andreas', 'Benjamin', 'Bernd', 'Christian', 'Daniel', 'David', 'Dieter', 'Florian', 'Felix',
+  'Holger', 'Jan', 'Jonas', 'Jürgen', 'Klaus', 'Leon', 'Lukas', 'Markus', 'Matthias', 'Michael',
+  'Moritz', 'Niklas', 'Oliver', 'Paul', 'Philipp', 'Rainer', 'Sebastian', 'Stefan', 'Thomas', 'Tim',
+  'Tobias', 'Torsten', 'Uwe', 'Volker', 'Werner'
+];
+
+// Male names with an ending that is otherwise typical for female names
+const MALE_NAME_EXCEPTIONS = ['Andre', 'Elia', 'Jona', 'Kai', 'Luca', 'Luka', 'Mika', 'Nikita', 'Noah', 'Ole', 'René', 'Rene'];
+
+// No common nouns or adjectives (Koch, Müller, Klein), so restoring a
+// surrogate never replaces an ordinary word of the improved text
+const LAST_NAMES = [
+  'Albrecht', 'Baumann', 'Becker', 'Bergmann', 'Böhm', 'Brandt', 'Brückner', 'Dietrich', 'Ebert', 'Franke',
+  'Günther', 'Haas', 'Hartmann', 'Hofmann', 'Hoffmann', 'Hübner', 'Kessler', 'Köhler', 'Krämer', 'Kraus',
+  'Krüger', 'Kuhn', 'Lehmann', 'Lindner', 'Lorenz', 'Maier', 'Möller', 'Neumann', 'Peters', 'Pfeiffer',
+  'Pohl', 'Sander', 'Schröder', 'Schubert', 'Schulte', 'Schulz', 'Seidel', 'Thiele', 'Voigt', 'Winkler',
+  'Wolff', 'Ziegler'
+];
+
+const COMPANY_NAMES = [
+  'Blauhafen Versand', 'Eichenwald Software', 'Falkenstein Medien', 'Kranich Bau', 'Lindenhof Consulting',
+  'Morgenrot Energie', 'Nordlicht Logistik', 'Rheinblick Immobilien', 'Silberfluss Finanz', 'Sonnentau Handel',
+  'Weidenbach Technik', 'Wiesengrund Pflege'
+];
+
+const STREET_NAMES = [
+  'Ahornweg', 'Am Mühlbach', 'Bahnhofstraße', 'Birkenallee', 'Brunnenweg', 'Eichendorffstraße', 'Feldstraße',
+  'Gartenstraße', 'Goethestraße', 'Kirchweg', 'Lindenstraße', 'Mozartstraße', 'Rosenstraße', 'Schillerstraße',
+  'Talstraße'
+];
+
+const CITIES = [
+  'Bamberg', 'Celle', 'Emden', 'Fulda', 'Gießen', 'Goslar', 'Görlitz', 'Husum', 'Kempten', 'Landshut',
+  'Lüneburg', 'Minden', 'Offenburg', 'Paderborn', 'Passau', 'Ravensburg', 'Siegen', 'Stralsund', 'Weimar',
+  'Wetzlar', 'Zwickau'
+];
+
+// Domains reserved for examples (RFC 2606), so no mail reaches a real person
+const EMAIL_DOMAINS = ['example.com', 'example.net', 'example.org'];
+
+const MONTHS = [
+  'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'
+];
+
+const LEGAL_FORM_PATTERN = /[ \t]+(GmbH(?:[ \t]+&[ \t]+Co\.[ \t]+KG)?|AG|KG|KGaA|OHG|UG(?:[ \t]+\(haftungsbeschränkt\))?|SE|eG|e\.[ ]?V\.)$/;
+const HOUSE_NUMBER_PATTERN = /[ \t]+\d+[ \t]?[a-zA-Z]?$/;
+const PHONE_PREFIX_PATTERN = /^(?:(?:\+|00)\d{2}[ ]?(?:\(0\)[ ]?)?|\(?0)/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const GERMAN_DATE_PATTERN = new RegExp(
+  `^(?<day>\\d{1,2})(?<dayEnd>\\.[ ]?)(?<month>\\d{1,2}|${MONTHS.join('|')})(?<monthEnd>\\.?[ ]?)(?<year>\\d{4}|\\d{2})$`
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_DATE_SHIFT_DAYS = 30;
+const MAX_DATE_SHIFT_DAYS = 365;
+
+// Surrogate generators per entity type; they return null for values they
+// cannot reproduce in kind (e.g. an unparseable date)
+const SURROGATE_GENERATORS = {
+  first_name: createFirstName,
+  last_name: original => matchCase(pick(LAST_NAMES), original),
+  company_name: createCompanyName,
+  street_name: createStreetName,
+  city: original => matchCase(pick(CITIES), original),
+  postcode: randomizeCharacters,
+  email: createEmail,
+  phone_number: createPhoneNumber,
+  iban: createIban,
+  date_of_birth: shiftDate,
+  numeric_id: randomizeCharacters,
+  tax_id: randomizeCharacters,
+  social_security_number: randomizeCharacters,
+  health_insurance_number: randomizeCharacters,
+  license_plate: randomizeCharacters
+};
+
+const SURROGATE_TYPES = Object.keys(SURROGATE_GENERATORS);
+
+/**
+ * Entity types replaced by surrogates: those of the request, or the
+ * SURROGATE_TYPES of the deployment (none by default)
+ *
+ * @param {Array|string} [requested] - Types of the request, as array or comma-separated
+ * @returns {Object} { types } or { error }
+ */
+function resolveSurrogateTypes(env, requested) {
+  if (requested === undefined || requested === null) {
+    return { types: splitTypes(env.SURROGATE_TYPES || '').filter(type => SURROGATE_TYPES.includes(type)) };
+  }
+
+  const types = typeof requested === 'string' ? splitTypes(requested) : requested;
+  if (!Array.isArray(types) || types.some(type => !SURROGATE_TYPES.includes(type))) {
+    return { error: `surrogateTypes must be a list of: ${SURROGATE_TYPES.join(', ')}` };
+  }
+  return { types: [...new Set(types)] };
+}
+
+/**
+ * Split a comma-separated list of entity types
+ */
+function splitTypes(value) {
+  return value.split(',').map(type => type.trim()).filter(Boolean);
+}
+
+/**
+ * Create a fake value of the type and format of an original value
+ * @param {Object} [options] - { dateShiftDays } - days dates are shifted by
+ * @returns {string|null} The surrogate, or null if the type or value is not supported
+ */
+function createSurrogate(type, original, options = {}) {
+  const generator = SURROGATE_GENERATORS[type];
+  return generator ? generator(original, options) : null;
+}
+
+/**
+ * Random number of days to shift the dates of a session by, 30 to 365 days
+ * into the past or the future
+ */
+function createDateShift() {
+  const days = MIN_DATE_SHIFT_DAYS + randomInt(MAX_DATE_SHIFT_DAYS - MIN_DATE_SHIFT_DAYS + 1);
+  return randomInt(2) === 0 ? -days : days;
+}
+
+/**
+ * Find the surrogate values in a text, as whole words; an inflection suffix
+ * (e.g. the genitive s the LLM attached) belongs to the match
+ * @returns {Array} Matches ({ value, start, end, suffix }) in text order
+ */
+function findSurrogates(text, values) {
+  if (values.length === 0) {
+    return [];
+  }
+
+  // Longest values first, so "Anna Lena" is not matched as "Anna"
+  const alternatives = [...values].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?<value>${alternatives})(?<suffix>['’]s|s|['’])?(?![\\p{L}\\p{N}_])`, 'gu');
+
+  return [...text.matchAll(pattern)].map(match => ({
+    value: match.groups.value,
+    start: match.index,
+    end: match.index + match[0].length,
+    suffix: match.groups.suffix
+  }));
+}
+
+/**
+ * First name of the gender of the original
+ */
+function createFirstName(original) {
+  const names = guessGender(original) === 'female' ? FEMALE_FIRST_NAMES : MALE_FIRST_NAMES;
+  return matchCase(pick(names), original);
+}
+
+/**
+ * Guess the gender of a first name: from the name lists, otherwise female
+ * for names ending in a, e or i
+ * @returns {string} 'female' or 'male'
+ */
+function guessGender(name) {
+  const firstPart = name.trim().split(/[\s-]+/)[0].toLocaleLowerCase('de-DE');
+  const isListed = names => names.some(listed => listed.toLocaleLowerCase('de-DE') === firstPart);
+
+  if (isListed(FEMALE_FIRST_NAMES)) {
+    return 'female';
+  }
+  if (isListed(MALE_FIRST_NAMES) || isListed(MALE_NAME_EXCEPTIONS)) {
+    return 'male';
+  }
+  return /[aei]$/.test(firstPart) ? 'female' : 'male';
+}
+
+/**
+ * Fictional company with the legal form of the original, e.g. "Kranich Bau GmbH"
+ */
+function createCompanyName(original) {
+  const legalForm = original.trim().match(LEGAL_FORM_PATTERN);
+  return pick(COMPANY_NAMES) + (legalForm ? ` ${legalForm[1]}` : '');
+}
+
+/**
+ * Street name, with a house number if the original has one
+ */
+function createStreetName(original) {
+  const houseNumber = HOUSE_NUMBER_PATTERN.test(original.trim()) ? ` ${1 + randomInt(120)}` : '';
+  return pick(STREET_NAMES) + houseNumber;
+}
+
+/**
+ * E-mail address of a fake person at a domain reserved for examples
+ */
+function createEmail() {
+  const name = `${pick([...FEMALE_FIRST_NAMES, ...MALE_FIRST_NAMES])}.${pick(LAST_NAMES)}`
+    .toLocaleLowerCase('de-DE')
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss');
+  return `${name}@${pick(EMAIL_DOMAINS)}`;
+}
+
+/**
+ * Phone number in the format of the original; the country code and the
+ * trunk prefix 0 are kept
+ */
+function createPhoneNumber(original) {
+  const prefix = (original.match(PHONE_PREFIX_PATTERN) || [''])[0];
+  return prefix + randomizeCharacters(original.slice(prefix.length));
+}
+
+/**
+ * IBAN of the country and format of the original with valid check digits
+ */
+function createIban(original) {
+  const compact = original.replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(compact)) {
+    return null;
+  }
+
+  const country = compact.slice(0, 2);
+  const bban = randomizeCharacters(compact.slice(4));
+  const checkDigits = String(98 - mod97(`${bban}${country}00`)).padStart(2, '0');
+  const iban = `${country}${checkDigits}${bban}`;
+
+  return /\s/.test(original.trim()) ? iban.match(/.{1,4}/g).join(' ') : iban;
+}
+
+/**
+ * Remainder of an IBAN in its numeric form (letters as 10 to 35) modulo 97
+ */
+function mod97(value) {
+  let remainder = 0;
+  for (const character of value) {
+    const digits = /\d/.test(character) ? character : String(character.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder;
+}
+
+/**
+ * Shift a date (DD.MM.YYYY, D. Monat YYYY or YYYY-MM-DD) by dateShiftDays,
+ * keeping its format
+ */
+function shiftDate(original, { dateShiftDays = 0 } = {}) {
+  const value = original.trim();
+  const iso = value.match(ISO_DATE_PATTERN);
+  const german = value.match(GERMAN_DATE_PATTERN);
+  if (!iso && !german) {
+    return null;
+  }
+
+  const [year, month, day] = iso
+    ? [Number(iso[1]), Number(iso[2]), Number(iso[3])]
+    : [expandYear(german.groups.year), parseMonth(german.groups.month), Number(german.groups.day)];
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  const shifted = new Date(date.getTime() + dateShiftDays * DAY_MS);
+  const [shiftedYear, shiftedMonth, shiftedDay] = [shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate()];
+  if (iso) {
+    return `${shiftedYear}-${pad(shiftedMonth, 2)}-${pad(shiftedDay, 2)}`;
+  }
+
+  const { groups } = german;
+  const monthText = MONTHS.includes(groups.month) ? MONTHS[shiftedMonth - 1] : pad(shiftedMonth, groups.month.length);
+  const yearText = groups.year.length === 2 ? pad(shiftedYear % 100, 2) : String(shiftedYear);
+  return `${pad(shiftedDay, groups.day.length)}${groups.dayEnd}${monthText}${groups.monthEnd}${yearText}`;
+}
+
+/**
+ * Year of a two-digit year: in this century unless that lies in the future
+ */
+function expandYear(year) {
+  if (year.length === 4) {
+    return Number(year);
+  }
+  const currentYear = new Date().getUTCFullYear();
+  const candidate = currentYear - (currentYear % 100) + Number(year);
+  return candidate > currentYear ? candidate - 100 : candidate;
+}
+
+/**
+ * Month number of a numeric or German month
+ */
+function parseMonth(month) {
+  return MONTHS.includes(month) ? MONTHS.indexOf(month) + 1 : Number(month);
+}
+
+/**
+ * Replace every digit and capital letter with a random one; a leading digit
+ * stays zero or non-zero, so the value keeps its length and format
+ */
+function randomizeCharacters(original) {
+  let isFirstDigit = true;
+  return original.replace(/[0-9A-Z]/g, character => {
+    if (!/\d/.test(character)) {
+      return String.fromCharCode(65 + randomInt(26));
+    }
+    const digit = isFirstDigit ? (character === '0' ? 0 : 1 + randomInt(9)) : randomInt(10);
+    isFirstDigit = false;
+    return String(digit);
+  });
+}
+
+/**
+ * Write a surrogate in capitals if the original is written in capitals
+ */
+function matchCase(value, original) {
+  const isUpperCase = original.length > 1 && original === original.toLocaleUpperCase('de-DE') && original !== original.toLocaleLowerCase('de-DE');
+  return isUpperCase ? value.toLocaleUpperCase('de-DE') : value;
+}
+
+/**
+ * Pad a number with leading zeros
+ */
+function pad(number, length) {
+  return String(number).padStart(length, '0');
+}
+
+/**
+ * Random element of a list
+ */
+function pick(list) {
+  return list[randomInt(list.length)];
+}
+
+/**
+ * Random integer from 0 to max - 1
+ */
+function randomInt(max) {
+  return crypto.getRandomValues(new Uint32Array(1))[0] % max;
+}
+
+/**
+ * Escape special regex characters in a string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export {
+  SURROGATE_TYPES,
+  resolveSurrogateTypes,
+  createSurrogate,
+  createDateShift,
+  findSurrogates
+};
@@ -0,0 +1,307 @@
+/**
+ * CIB Pop Write - Pseudonym vault
+ * Mints typed, collision-free pseudonym tokens (or surrogate values) per
+ * session and keeps the reverse mapping server-side, so original values
+ * never have to be sent back by the client for de-pseudonymization
+ */
+
+import { getStore } from './storage.js';
+import { createSurrogate, createDateShift, findSurrogates } from './surrogates.js';
+
+const DEFAULT_SESSION_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_CASE_TTL_SECONDS = 90 * 24 * 60 * 60;
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const TOKEN_PATTERN = /«[A-Z0-9_]+»/g;
+const MAX_SURROGATE_ATTEMPTS = 20;
+const MAX_SESSION_DETECTIONS = 20;
+
+// Entity types of person names; their tokens are numbered per person, so
+// «FIRST_NAME_2» and «LAST_NAME_2» are the names of the same person
+const PERSON_NAME_TYPES = ['first_name', 'last_name'];
+
+/**
+ * Load an existing vault session or create a new one.
+ * Unknown or expired session IDs start a fresh session.
+ */
+async function openVaultSession(env, sessionId) {
+  if (isValidSessionId(sessionId)) {
+    const session = await loadVaultSession(env, sessionId);
+    if (session) {
+      return session;
+    }
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    counters: {},
+    entries: {},
+    index: {},
+    persons: [],
+    surrogates: {},
+    surrogateIndex: {}
+  };
+}
+
+/**
+ * Load a vault session, or null if it does not exist (anymore)
+ */
+async function loadVaultSession(env, sessionId) {
+  if (!isValidSessionId(sessionId)) {
+    return null;
+  }
+  return getStore(env, 'vault').get(sessionId);
+}
+
+/**
+ * Persist a vault session; sessions of a case live for CASE_TTL_SECONDS
+ */
+async function saveVaultSession(env, session) {
+  await getStore(env, 'vault').put(session.id, session, { ttl: getVaultTtlSeconds(env, session) });
+}
+
+/**
+ * Lifetime of a vault session (VAULT_TTL_SECONDS, or getCaseTtlSeconds for cases)
+ */
+function getVaultTtlSeconds(env, session) {
+  return session.caseId
+    ? getCaseTtlSeconds(env)
+    : parseInt(env.VAULT_TTL_SECONDS, 10) || DEFAULT_SESSION_TTL_SECONDS;
+}
+
+/**
+ * How long a case and its session are kept after their last use (CASE_TTL_SECONDS)
+ */
+function getCaseTtlSeconds(env) {
+  const seconds = parseInt(env.CASE_TTL_SECONDS, 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_CASE_TTL_SECONDS;
+}
+
+/**
+ * Delete a vault session
+ */
+async function deleteVaultSession(env, sessionId) {
+  if (isValidSessionId(sessionId)) {
+    await getStore(env, 'vault').delete(sessionId);
+  }
+}
+
+/**
+ * Get the pseudonym token for an original value, minting a new one if the
+ * value has not been seen in this session yet
+ * @returns {string} Token like «FIRST_NAME_1»
+ */
+function mintToken(session, type, original) {
+  const key = `${type}\u0000${original}`;
+  if (session.index[key]) {
+    return session.index[key];
+  }
+
+  const label = getTokenLabel(type);
+  session.counters[label] = (session.counters[label] || 0) + 1;
+
+  const token = `«${label}_${session.counters[label]}»`;
+  session.entries[token] = { type, original };
+  session.index[key] = token;
+
+  return token;
+}
+
+/**
+ * Get the pseudonym tokens for the parts of a person name
+ *
+ * The name is resolved to a person of the session: one with the same last
+ * name and the same or no first name yet, or, without last name, one with
+ * the same first name. Name variants such as "Herr Dallas" and "Korben
+ * Dallas" thus get tokens of the same number. If several persons match, the
+ * one mentioned last is used; names are compared case-insensitively.
+ *
+ * @param {Array} parts - Parts of one name ({ type, original }), of a PERSON_NAME_TYPES type
+ * @returns {Array} Tokens in the order of the parts
+ */
+function mintNameTokens(session, parts) {
+  session.persons = session.persons || [];
+  const names = type => parts.filter(part => part.type === type).map(part => normalizeName(part.original));
+  const person = findPerson(session.persons, names('first_name'), names('last_name')) || addPerson(session);
+
+  session.personSequence = (session.personSequence || 0) + 1;
+  person.lastSeen = session.personSequence;
+
+  return parts.map(({ type, original }) => {
+    if (!person.names[type].includes(normalizeName(original))) {
+      person.names[type].push(normalizeName(original));
+    }
+    return mintPersonToken(session, person, type, original);
+  });
+}
+
+/**
+ * Find the person a name refers to, or null for a new person
+ */
+function findPerson(persons, firstNames, lastNames) {
+  const has = (person, type, names) => names.some(name => person.names[type].includes(name));
+  const lacks = (person, type) => person.names[type].length === 0;
+
+  let candidates;
+  if (firstNames.length > 0 && lastNames.length > 0) {
+    candidates = persons.filter(person => has(person, 'first_name', firstNames) && has(person, 'last_name', lastNames));
+    if (candidates.length === 0) {
+      // Complete a person known by one of the names only
+      candidates = persons.filter(person => (has(person, 'last_name', lastNames) && lacks(person, 'first_name'))
+        || (has(person, 'first_name', firstNames) && lacks(person, 'last_name')));
+    }
+  } else if (lastNames.length > 0) {
+    candidates = persons.filter(person => has(person, 'last_name', lastNames));
+  } else {
+    candidates = persons.filter(person => has(person, 'first_name', firstNames));
+  }
+
+  return candidates.reduce((latest, person) => (!latest || person.lastSeen > latest.lastSeen ? person : latest), null);
+}
+
+/**
+ * Add a person; its number follows the FIRST_NAME and LAST_NAME counters,
+ * so it never collides with tokens minted by mintToken
+ */
+function addPerson(session) {
+  const number = Math.max(session.counters.FIRST_NAME || 0, session.counters.LAST_NAME || 0) + 1;
+  session.counters.FIRST_NAME = number;
+  session.counters.LAST_NAME = number;
+
+  const person = { number, names: { first_name: [], last_name: [] }, tokens: {}, lastSeen: 0 };
+  session.persons.push(person);
+  return person;
+}
+
+/**
+ * Get the token of a name of a person; further names of the same type, e.g.
+ * the second part of a double last name, get a suffix like «LAST_NAME_1_2».
+ * Spellings that only differ in case share a token.
+ */
+function mintPersonToken(session, person, type, original) {
+  const key = `${type}\u0000${normalizeName(original)}`;
+  if (person.tokens[key]) {
+    return person.tokens[key];
+  }
+
+  const variant = Object.keys(person.tokens).filter(existing => existing.startsWith(`${type}\u0000`)).length + 1;
+  const suffix = variant > 1 ? `_${variant}` : '';
+  const token = `«${getTokenLabel(type)}_${person.number}${suffix}»`;
+  session.entries[token] = { type, original };
+  person.tokens[key] = token;
+
+  return token;
+}
+
+/**
+ * Get the surrogate for an original value, creating one if the value has
+ * none in this session yet
+ *
+ * A surrogate is unique within the session and differs from the originals
+ * of the session and from the words of the text, so restoring it cannot
+ * hit anything else. All dates of a session are shifted by the same number
+ * of days, which keeps the intervals between them.
+ *
+ * @param {string} [text] - Text the value occurs in
+ * @returns {string|null} The surrogate, or null if none could be created
+ */
+function mintSurrogate(session, type, original, text = '') {
+  session.surrogates = session.surrogates || {};
+  session.surrogateIndex = session.surrogateIndex || {};
+  const key = `${type}\u0000${original}`;
+  if (session.surrogateIndex[key]) {
+    return session.surrogateIndex[key];
+  }
+
+  session.dateShiftDays = session.dateShiftDays || createDateShift();
+  for (let attempt = 0; attempt < MAX_SURROGATE_ATTEMPTS; attempt++) {
+    const surrogate = createSurrogate(type, original, { dateShiftDays: session.dateShiftDays });
+    if (!surrogate) {
+      return null;
+    }
+    if (isSurrogateAvailable(session, surrogate, text)) {
+      session.surrogates[surrogate] = { type, original };
+      session.surrogateIndex[key] = surrogate;
+      return surrogate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a surrogate is neither taken nor an original value of the
+ * session, and does not occur in the text
+ */
+function isSurrogateAvailable(session, surrogate, text) {
+  const normalized = normalizeName(surrogate);
+  const values = [
+    ...Object.keys(session.surrogates),
+    ...Object.values(session.surrogates).map(entry => entry.original),
+    ...Object.values(session.entries).map(entry => entry.original)
+  ];
+  return !values.some(value => normalizeName(value) === normalized) && findSurrogates(text, [surrogate]).length === 0;
+}
+
+/**
+ * Remember the entity spans the worker detected in a text, so /pseudonymize
+ * can tell which of them a client leaves unmasked. Only the SHA-256 hash of
+ * the text and the offsets are kept, for the last MAX_SESSION_DETECTIONS texts.
+ */
+function recordDetection(session, textHash, spans) {
+  const detections = (session.detections || []).filter(detection => detection.textHash !== textHash);
+  detections.push({ textHash, spans: spans.map(({ start, end, type }) => ({ start, end, type })) });
+  session.detections = detections.slice(-MAX_SESSION_DETECTIONS);
+}
+
+/**
+ * Entity spans the worker detected in a text of the session
+ * @returns {Array|null} The spans, or null if the text was not detected in this session
+ */
+function findDetection(session, textHash) {
+  const detection = (session.detections || []).find(entry => entry.textHash === textHash);
+  return detection ? detection.spans : null;
+}
+
+/**
+ * Surrogate values of a session
+ */
+function listSurrogates(session) {
+  return Object.keys(session.surrogates || {});
+}
+
+/**
+ * Normalize a name for comparisons
+ */
+function normalizeName(name) {
+  return name.trim().toLocaleLowerCase('de-DE');
+}
+
+/**
+ * Token label of an entity type, e.g. FIRST_NAME
+ */
+function getTokenLabel(type) {
+  return type.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'ENTITY';
+}
+
+/**
+ * Check the format of a client-supplied session ID
+ */
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+export {
+  TOKEN_PATTERN,
+  PERSON_NAME_TYPES,
+  openVaultSession,
+  loadVaultSession,
+  saveVaultSession,
+  deleteVaultSession,
+  getCaseTtlSeconds,
+  mintToken,
+  mintNameTokens,
+  mintSurrogate,
+  recordDetection,
+  findDetection,
+  listSurrogates
+};
@@ -0,0 +1,184 @@
+/**
+ * CIB Pop Write - ZIP archives
+ * Minimal reader and writer for the ZIP container of Office documents,
+ * using the DecompressionStream/CompressionStream of the Workers runtime
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const UTF8_FLAG = 0x0800;
+const DOS_DATE_1980 = 0x21; // 1980-01-01, the earliest date ZIP can represent
+
+let crcTable = null;
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {ArrayBuffer|Uint8Array} data - The archive
+ * @returns {Map} Entry name → Uint8Array content
+ */
+async function readZip(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record sits at the end, followed by an optional comment
+  let endOffset = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Invalid ZIP archive: end of central directory not found');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Invalid ZIP archive: corrupt central directory');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue; // Directory entry
+    }
+
+    // The local header repeats name and extra field with possibly different lengths
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid ZIP archive: missing local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) {
+      entries.set(name, compressed);
+    } else if (method === METHOD_DEFLATE) {
+      entries.set(name, await transform(compressed, new DecompressionStream('deflate-raw')));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Create a ZIP archive
+ * @param {Array|Map} files - [name, content] pairs; content is a string or Uint8Array
+ * @returns {Uint8Array} The archive
+ */
+async function writeZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of files) {
+    const nameBytes = encoder.encode(name);
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const deflated = await transform(data, new CompressionStream('deflate-raw'));
+    // Keep already compressed content (e.g. images) stored
+    const method = deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORED;
+    const stored = method === METHOD_DEFLATE ? deflated : data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, method, true);
+    local.setUint16(12, DOS_DATE_1980, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, stored);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, method, true);
+    central.setUint16(14, DOS_DATE_1980, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + stored.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, centralParts.length / 2, true);
+  end.setUint16(10, centralParts.length / 2, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ */
+async function transform(data, stream) {
+  const writer = stream.writable.getWriter();
+  writer.write(data);
+  writer.close();
+  return new Uint8Array(await new Response(stream.readable).arrayBuffer());
+}
+
+/**
+ * Concatenate byte arrays
+ */
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+/**
+ * CRC-32 checksum of the ZIP format
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export { readZip, writeZip };
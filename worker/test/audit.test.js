@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordAuditEvent, countEntitiesByType, parseAuditRange, loadAuditEvents } from '../src/audit.js';
+import { createKvNamespace } from './helpers.js';
+
+describe('recordAuditEvent', () => {
+  it('stores counts, lengths and hashes instead of texts and values', async () => {
+    const env = { TENANT_ID: 'record' };
+    const event = await recordAuditEvent(env, {
+      endpoint: '/pipeline',
+      status: 200,
+      outcome: 'success',
+      text: 'Korben Dallas, korben@example.de',
+      detector: 'cib-pop',
+      entities: [
+        { text: 'Korben', type: 'first_name' },
+        { text: 'Dallas', type: 'last_name' },
+        { text: 'korben@example.de', type: 'email' }
+      ],
+      llm: { provider: 'openai', model: 'gpt-4o', text: 'abc' }
+    });
+
+    assert.deepEqual(event.entityCounts, { first_name: 1, last_name: 1, email: 1 });
+    assert.deepEqual(event.llm, {
+      provider: 'openai',
+      model: 'gpt-4o',
+      characters: 3,
+      textHash: 'sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    });
+    assert.equal(event.tenant, 'record');
+    assert.equal(event.characters, 32);
+    assert.doesNotMatch(JSON.stringify(event), /Korben|Dallas|example/);
+
+    const events = await loadAuditEvents(env, parseAuditRange());
+    assert.deepEqual(events, [event]);
+  });
+
+  it('keeps the events of tenants apart', async () => {
+    await recordAuditEvent({ TENANT_ID: 'a' }, { endpoint: '/hocr', status: 200, outcome: 'success' });
+
+    assert.equal((await loadAuditEvents({ TENANT_ID: 'a' }, parseAuditRange())).length, 1);
+    assert.equal((await loadAuditEvents({ TENANT_ID: 'b' }, parseAuditRange())).length, 0);
+  });
+
+  it('keeps every event of concurrent writers in different isolates', async () => {
+    const env = { TENANT_ID: 'concurrent', STORE_KV: createKvNamespace() };
+    // Separate module instances share no state, like isolates
+    const isolates = await Promise.all([1, 2, 3].map(isolate => import(`../src/audit.js?isolate=${isolate}`)));
+
+    const events = await Promise.all(Array.from({ length: 30 }, (_, index) =>
+      isolates[index % isolates.length].recordAuditEvent(env, { endpoint: '/hocr', status: 200, outcome: 'success' })));
+
+    const stored = await loadAuditEvents(env, parseAuditRange());
+    assert.equal(stored.length, 30);
+    assert.deepEqual(new Set(stored.map(event => event.id)), new Set(events.map(event => event.id)));
+  });
+
+  it('exports only the events of the range', async () => {
+    const env = { TENANT_ID: 'range' };
+    const event = await recordAuditEvent(env, { endpoint: '/hocr', status: 200, outcome: 'success' });
+    const later = new Date(Date.parse(event.timestamp) + 1).toISOString();
+
+    assert.deepEqual(await loadAuditEvents(env, parseAuditRange(event.timestamp, event.timestamp)), [event]);
+    assert.deepEqual(await loadAuditEvents(env, parseAuditRange(later)), []);
+  });
+});
+
+describe('countEntitiesByType', () => {
+  it('ignores malformed types', () => {
+    assert.deepEqual(countEntitiesByType([{ type: 'city' }, { type: 'city' }, { type: 'Korben Dallas' }]), { city: 2 });
+  });
+});
+
+describe('parseAuditRange', () => {
+  it('reads dates as whole UTC days and timestamps as given', () => {
+    const range = parseAuditRange('2024-03-01', '2024-03-31');
+    assert.equal(range.from.toISOString(), '2024-03-01T00:00:00.000Z');
+    assert.equal(range.to.toISOString(), '2024-03-31T23:59:59.999Z');
+
+    assert.equal(parseAuditRange('2024-03-01T12:00:00Z', '2024-03-02').from.toISOString(), '2024-03-01T12:00:00.000Z');
+  });
+
+  it('covers the last 7 days by default', () => {
+    const { from, to } = parseAuditRange();
+    assert.equal(to - from, 7 * 24 * 60 * 60 * 1000);
+  });
+
+  it('rejects invalid and reversed ranges', () => {
+    assert.match(parseAuditRange('yesterday').error, /dates/);
+    assert.match(parseAuditRange('2024-03-02', '2024-03-01').error, /after/);
+    assert.match(parseAuditRange('2020-01-01', '2024-01-01').error, /366 days/);
+  });
+});
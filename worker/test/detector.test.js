@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectEntities, getDetectorDictionary, getDetectorMode, isValidIban } from '../src/detector.js';
+
+/**
+ * Detect entities and return [type, text] pairs
+ */
+function detect(text, dictionary) {
+  return detectEntities(text, dictionary).map(entity => [entity.type, entity.text]);
+}
+
+describe('detectEntities', () => {
+  it('returns spans in the structure of the CIB POP path', () => {
+    const text = 'Mein Name ist Korben Dallas.';
+    const spans = detectEntities(text);
+
+    assert.deepEqual(spans, [
+      { start: 14, end: 20, text: 'Korben', type: 'first_name', confidence: 0.9, group: 0, alternatives: [] },
+      { start: 21, end: 27, text: 'Dallas', type: 'last_name', confidence: 0.9, group: 0, alternatives: [] }
+    ]);
+  });
+
+  it('finds names after salutations', () => {
+    assert.deepEqual(detect('Sehr geehrte Frau Dr. Schmidt, sehr geehrter Herr Dallas'), [['last_name', 'Schmidt'], ['last_name', 'Dallas']]);
+  });
+
+  it('finds e-mail addresses including the local part', () => {
+    assert.deepEqual(detect('Schreiben Sie an korben.dallas+web@example.co.uk.'), [['email', 'korben.dallas+web@example.co.uk']]);
+  });
+
+  it('finds IBANs and verifies their check digits', () => {
+    const spans = detectEntities('IBAN: DE89 3704 0044 0532 0130 00 2024, falsch: DE89370400440532013001');
+
+    assert.deepEqual(spans.map(span => [span.text, span.confidence]), [
+      ['DE89 3704 0044 0532 0130 00', 0.99],
+      ['DE89370400440532013001', 0.6]
+    ]);
+  });
+
+  it('finds German phone numbers', () => {
+    assert.deepEqual(detect('Tel. 0221 4711815, mobil +49 (0)171 1234567, Fax 030/12345-67'), [
+      ['phone_number', '0221 4711815'],
+      ['phone_number', '+49 (0)171 1234567'],
+      ['phone_number', '030/12345-67']
+    ]);
+  });
+
+  it('finds postcodes with their city, but not amounts', () => {
+    assert.deepEqual(detect('50667 Köln, 60311 Frankfurt am Main, 12345 Euro'), [
+      ['postcode', '50667'],
+      ['city', 'Köln'],
+      ['postcode', '60311'],
+      ['city', 'Frankfurt am Main']
+    ]);
+  });
+
+  it('finds dates of birth, but not other dates', () => {
+    assert.deepEqual(detect('Geboren am 12.03.1980, Geburtsdatum: 1. März 1975, Termin am 01.02.2024'), [
+      ['date_of_birth', '12.03.1980'],
+      ['date_of_birth', '1. März 1975']
+    ]);
+  });
+
+  it('finds tax and insurance numbers with valid check digits only', () => {
+    assert.deepEqual(detect('Steuer-ID 86095742719, Steuernummer: 21/815/08150, RV-Nr. 12 150380 D 121, KVNR A123456780'), [
+      ['tax_id', '86095742719'],
+      ['tax_id', '21/815/08150'],
+      ['social_security_number', '12 150380 D 121'],
+      ['health_insurance_number', 'A123456780']
+    ]);
+    assert.deepEqual(detect('Nummern 86095742718, 12 150380 D 122, A123456781'), []);
+  });
+
+  it('finds license plates', () => {
+    assert.deepEqual(detect('Kennzeichen K-AB 1234 und M XY 12E'), [['license_plate', 'K-AB 1234'], ['license_plate', 'M XY 12E']]);
+  });
+
+  it('finds companies by their legal form', () => {
+    assert.deepEqual(detect('Bei Versatel Deutschland GmbH und der Muster & Söhne KG'), [
+      ['company_name', 'Versatel Deutschland GmbH'],
+      ['company_name', 'Muster & Söhne KG']
+    ]);
+  });
+
+  it('finds the values of dictionary lists', () => {
+    const dictionary = { company_name: ['ACME Corp'], first_name: ['Zaphod'] };
+
+    assert.deepEqual(detect('Zaphod Beeblebrox arbeitet bei ACME Corp.', dictionary), [
+      ['first_name', 'Zaphod'],
+      ['last_name', 'Beeblebrox'],
+      ['company_name', 'ACME Corp']
+    ]);
+  });
+
+  it('keeps the longer of overlapping matches', () => {
+    assert.deepEqual(detect('Petra Schmidt', { last_name: ['Petra Schmidt'] }), [['last_name', 'Petra Schmidt']]);
+  });
+});
+
+describe('isValidIban', () => {
+  it('checks the mod 97 check digits', () => {
+    assert.equal(isValidIban('DE89 3704 0044 0532 0130 00'), true);
+    assert.equal(isValidIban('GB82WEST12345698765432'), true);
+    assert.equal(isValidIban('DE88370400440532013000'), false);
+  });
+});
+
+describe('configuration', () => {
+  it('reads the detector mode', () => {
+    assert.equal(getDetectorMode({}), 'auto');
+    assert.equal(getDetectorMode({ ENTITY_DETECTOR: 'local' }), 'local');
+    assert.equal(getDetectorMode({ ENTITY_DETECTOR: 'unknown' }), 'auto');
+  });
+
+  it('reads the dictionary lists and ignores invalid entries', () => {
+    const dictionary = getDetectorDictionary({
+      DETECTOR_DICTIONARY: JSON.stringify({ company_name: ['ACME Corp', ' ', 7], 'Bad Type': ['x'], city: 'Köln' })
+    });
+
+    assert.deepEqual(dictionary, { company_name: ['ACME Corp'] });
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFrontend, createEnv, stubFetch, jsonResponse } from './helpers.js';
+
+describe('getWorkerHeaders', () => {
+  it('adds the stored access token', () => {
+    const { getWorkerHeaders } = loadFrontend({ storage: { cibPopWriteToken: 'v1.token' } });
+
+    assert.deepEqual({ ...getWorkerHeaders({ 'Content-Type': 'application/json' }) }, {
+      'Content-Type': 'application/json',
+      'Authorization': 'Bearer v1.token'
+    });
+  });
+
+  it('sends no authorization header without token', () => {
+    const { getWorkerHeaders } = loadFrontend();
+    assert.deepEqual({ ...getWorkerHeaders() }, {});
+  });
+});
+
+describe('worker round trip', () => {
+  it('pseudonymizes with the worker and restores the improved text', async () => {
+    const { processTextWithHocr, depseudonymizeText } = loadFrontend();
+    const text = 'Herr Dallas wohnt in 40210 Düsseldorf.';
+
+    const result = await processTextWithHocr(text);
+    assert.doesNotMatch(result.pseudonymizedText, /Dallas|40210/);
+
+    const restored = await depseudonymizeText(result.pseudonymizedText, result.sessionId, result.pseudonymizedText);
+    assert.equal(restored.text, text);
+    assert.equal(restored.report.complete, true);
+  });
+
+  it('keeps the placeholders of a case across texts', async () => {
+    const { createCase, listCases, deleteCase, processTextWithHocr } = loadFrontend();
+    const caseRecord = await createCase('Akte 2024-18');
+    assert.ok((await listCases()).some(({ id }) => id === caseRecord.id));
+
+    const first = await processTextWithHocr('Herr Dallas hat angerufen.', null, caseRecord.id);
+    const second = await processTextWithHocr('Korben Dallas schreibt erneut.', null, caseRecord.id);
+    assert.equal(second.sessionId, first.sessionId);
+    assert.match(second.pseudonymizedText, /«LAST_NAME_1»/);
+
+    await deleteCase(caseRecord.id);
+    await assert.rejects(processTextWithHocr('Herr Dallas', null, caseRecord.id), /Case not found/);
+  });
+
+  it('replaces the chosen entity types with surrogate values', async () => {
+    const { processTextWithHocr, depseudonymizeText } = loadFrontend({
+      storage: { cibPopWriteSurrogateTypes: 'last_name' }
+    });
+    const text = 'Herr Dallas hat angerufen.';
+    const result = await processTextWithHocr(text);
+
+    assert.deepEqual([...result.surrogateTypes], ['last_name']);
+    assert.doesNotMatch(result.pseudonymizedText, /Dallas|«/);
+    assert.equal((await depseudonymizeText(result.pseudonymizedText, result.sessionId)).text, text);
+  });
+
+  it('receives no original values with the entities', async () => {
+    const { processTextWithHocr } = loadFrontend();
+    const result = await processTextWithHocr('Herr Dallas wohnt in 40210 Düsseldorf.');
+
+    assert.ok(result.entities.length > 0);
+    assert.doesNotMatch(JSON.stringify({ entities: result.entities, review: result.review }), /Dallas|40210|Düsseldorf/);
+  });
+
+  it('compares two texts word by word', async () => {
+    const { computeTextDiff } = loadFrontend();
+    const operations = await computeTextDiff('Meine Name ist Anna.', 'Mein Name ist Anna.');
+
+    assert.ok(operations.some(operation => operation.type === 'delete' && operation.text.includes('Meine')));
+    assert.ok(operations.some(operation => operation.type === 'insert' && operation.text.includes('Mein')));
+  });
+
+  it('streams the improvement with the chunk of every token', async () => {
+    const { streamImprovedText } = loadFrontend({ env: createEnv({ CHUNK_SIZE: '40' }) });
+    const text = 'Erster Absatz mit etwas Text.\n\nZweiter Absatz mit etwas Text.';
+    const tokens = [];
+
+    const improved = await streamImprovedText(text, (delta, chunk) => tokens.push({ delta, chunk }));
+
+    assert.deepEqual([...new Set(tokens.map(token => token.chunk))], [0, 1]);
+    assert.equal(tokens.map(token => token.delta).join('').trim(), improved);
+  });
+
+  it('replaces the text of a retried chunk with its correction', async () => {
+    // The streamed answer loses the placeholder, the corrective retry keeps it
+    const restoreFetch = stubFetch(async request => {
+      const body = await request.json();
+      if (body.stream) {
+        const delta = JSON.stringify({ choices: [{ delta: { content: 'Hallo Korben!' } }] });
+        return new Response(`data: ${delta}\n\ndata: [DONE]\n\n`, { headers: { 'Content-Type': 'text/event-stream' } });
+      }
+      return jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Hallo «FIRST_NAME_1»!' } }] });
+    });
+
+    try {
+      const { streamImprovedText } = loadFrontend({ env: createEnv({ USE_MOCKS: 'cib-pop' }) });
+      const events = [];
+      const improved = await streamImprovedText(
+        'Hallo «FIRST_NAME_1»!',
+        (delta, chunk) => events.push(['token', chunk, delta]),
+        retry => events.push(['retry', retry.chunk, [...retry.missing]]),
+        corrected => events.push(['chunk', corrected.chunk, corrected.text])
+      );
+
+      assert.deepEqual(events, [
+        ['token', 0, 'Hallo Korben!'],
+        ['retry', 0, ['«FIRST_NAME_1»']],
+        ['chunk', 0, 'Hallo «FIRST_NAME_1»!']
+      ]);
+      assert.equal(improved, 'Hallo «FIRST_NAME_1»!');
+    } finally {
+      restoreFetch();
+    }
+  });
+
+  it('surfaces worker errors', async () => {
+    const { depseudonymizeText } = loadFrontend();
+
+    await assert.rejects(depseudonymizeText('Hallo', null, ''), /No pseudonym vault session available/);
+    await assert.rejects(depseudonymizeText('Hallo', 'unknown', ''), /session/i);
+  });
+
+  it('passes the code of a failed pseudonymization on', async () => {
+    const restoreFetch = stubFetch(() => new Response('unavailable', { status: 503 }));
+    try {
+      const { processTextWithHocr } = loadFrontend({
+        env: createEnv({ USE_MOCKS: 'false', ENTITY_DETECTOR: 'cib-pop', CIB_POP_URL: 'https://cibpop.test/pop', CIB_POP_USERNAME: 'user', CIB_POP_PASSWORD: 'secret' })
+      });
+
+      await assert.rejects(processTextWithHocr('Herr Dallas'), { code: 'detector_unavailable' });
+    } finally {
+      restoreFetch();
+    }
+  });
+
+  it('does not simulate an improvement the worker refused for privacy', async () => {
+    const { improveTextWithChatGPT } = loadFrontend({ env: createEnv({ PRIVACY_MODE: 'enforced', PROOF_SECRET: 'proof-secret' }) });
+
+    await assert.rejects(improveTextWithChatGPT('Hallo «FIRST_NAME_1»'), { code: 'pseudonymization_required' });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Shared helpers for the worker and frontend tests
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import vm from 'vm';
+import worker from '../src/index.js';
+
+const FIXTURES_URL = new URL('./fixtures/', import.meta.url);
+const FRONTEND_SCRIPT_URL = new URL('../../script.js', import.meta.url);
+
+/**
+ * Read a fixture file as text
+ */
+function readFixture(name) {
+  return readFileSync(new URL(name, FIXTURES_URL), 'utf8');
+}
+
+/**
+ * Read a JSON fixture file
+ */
+function readJsonFixture(name) {
+  return JSON.parse(readFixture(name));
+}
+
+/**
+ * Worker configuration for tests: no authentication, the local mocks and
+ * placeholder credentials
+ */
+function createEnv(overrides = {}) {
+  return {
+    AUTH_DISABLED: 'true',
+    USE_MOCKS: 'true',
+    CIB_POP_URL: 'mock',
+    CIB_POP_USERNAME: 'mock',
+    CIB_POP_PASSWORD: 'mock',
+    OPENAI_API_KEY: 'mock',
+    ...overrides
+  };
+}
+
+/**
+ * Send a JSON POST request to the worker
+ * @returns {Object} { status, headers, body } - body is the parsed JSON
+ */
+async function postJson(path, data, env = createEnv()) {
+  const request = new Request(`https://worker.test${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  });
+  const response = await worker.fetch(request, env, { waitUntil() {} });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Send a GET request to the worker
+ * @returns {Object} { status, headers, body } - body is the parsed JSON, or the text of other responses
+ */
+function getJson(path, env = createEnv(), headers = {}) {
+  return sendRequest('GET', path, env, headers);
+}
+
+/**
+ * Send a DELETE request to the worker
+ * @returns {Object} { status, headers, body } - body is the parsed JSON
+ */
+function deleteJson(path, env = createEnv()) {
+  return sendRequest('DELETE', path, env);
+}
+
+/**
+ * Send a request without body to the worker
+ */
+async function sendRequest(method, path, env, headers = {}) {
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, { method, headers }), env, { waitUntil() {} });
+  const isJson = (response.headers.get('Content-Type') || '').startsWith('application/json');
+  return { status: response.status, headers: response.headers, body: isJson ? await response.json() : await response.text() };
+}
+
+/**
+ * Replace globalThis.fetch while a test runs; the original is restored by
+ * the returned function
+ * @param {Function} handler - Called with a Request, returns a Response
+ */
+function stubFetch(handler) {
+  const originalFetch = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async (input, init) => {
+    const request = new Request(input, init);
+    requests.push(request.clone());
+    return handler(request);
+  };
+  const restore = () => {
+    globalThis.fetch = originalFetch;
+  };
+  restore.requests = requests;
+  return restore;
+}
+
+/**
+ * Create a JSON response
+ */
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * In-memory stand-in for a KV namespace (STORE_KV)
+ *
+ * Every operation yields to the event loop first, so concurrent writers
+ * interleave like requests of different isolates. list returns pages of
+ * at most `limit` keys.
+ */
+function createKvNamespace() {
+  const entries = new Map();
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  return {
+    async get(key, type) {
+      await tick();
+      const value = entries.has(key) ? entries.get(key) : null;
+      return type === 'json' && value !== null ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      await tick();
+      entries.set(key, value);
+    },
+    async delete(key) {
+      await tick();
+      entries.delete(key);
+    },
+    async list({ prefix = '', cursor, limit = 1000 } = {}) {
+      await tick();
+      const names = [...entries.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const end = start + limit;
+      return {
+        keys: names.slice(start, end).map(name => ({ name })),
+        list_complete: end >= names.length,
+        cursor: end >= names.length ? undefined : String(end)
+      };
+    }
+  };
+}
+
+/**
+ * Load the frontend script in a sandbox without DOM and return its public
+ * functions (window.CIBPopWrite)
+ *
+ * Elements are not found in the sandbox, so only the logic that does not
+ * touch the page can be tested. Requests of the script go to the worker.
+ * @param {Object} [options] - { env, storage } - worker configuration and
+ *   initial localStorage entries
+ */
+function loadFrontend({ env = createEnv(), storage: entries = {} } = {}) {
+  const storage = new Map(Object.entries(entries));
+  const document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {}
+  };
+  const context = {
+    document,
+    localStorage: {
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    },
+    fetch: (url, init) => worker.fetch(new Request(new URL(url, 'https://worker.test'), init), env, { waitUntil() {} }),
+    console,
+    TextDecoder,
+    setTimeout,
+    clearTimeout
+  };
+  context.window = context;
+
+  vm.createContext(context);
+  vm.runInContext(readFileSync(FRONTEND_SCRIPT_URL, 'utf8'), context, { filename: fileURLToPath(FRONTEND_SCRIPT_URL) });
+  return context.CIBPopWrite;
+}
+
+export { readFixture, readJsonFixture, createEnv, postJson, getJson, deleteJson, stubFetch, jsonResponse, createKvNamespace, loadFrontend };
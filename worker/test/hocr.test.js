@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenizeText,
+  convertTextToHocr,
+  convertLayoutToText,
+  parseHocrContentForEntities,
+  parseHocrContentForCandidates,
+  parseXEntity
+} from '../src/hocr.js';
+import { readFixture, readJsonFixture } from './helpers.js';
+
+const SAMPLE_TEXT = 'Meine Name ist Korben Dallas. Ich arbeite bei Microsoft als Softwareentwickler.';
+
+/**
+ * Build a CIB POP response with one line of words
+ */
+function createResponse(words) {
+  return {
+    layout: {
+      root: {
+        id: 'image_0',
+        type: 'image',
+        children: [{
+          id: 'line_0',
+          type: 'line',
+          children: words.map(([text, attributes = {}], index) => ({ id: `word_${index}`, type: 'word', text, attributes, children: [] }))
+        }]
+      }
+    }
+  };
+}
+
+describe('tokenizeText', () => {
+  it('keeps the offsets of every token in the original text', () => {
+    const tokens = tokenizeText(SAMPLE_TEXT);
+    tokens.forEach(token => assert.equal(SAMPLE_TEXT.slice(token.start, token.end), token.text));
+    assert.deepEqual(tokens.slice(3, 6).map(token => token.text), ['Korben', 'Dallas', '.']);
+    assert.equal(tokens[5].punctuation, true);
+  });
+
+  it('keeps hyphenated names, e-mail addresses and dates together', () => {
+    const tokens = tokenizeText("Hans-Peter O'Neil, max@example.de, 12.03.1980");
+    assert.deepEqual(tokens.filter(token => !token.punctuation).map(token => token.text), [
+      'Hans-Peter', "O'Neil", 'max@example.de', '12.03.1980'
+    ]);
+  });
+
+  it('numbers paragraphs and lines', () => {
+    const tokens = tokenizeText('Erste Zeile\nZweite Zeile\n\nNeuer Absatz');
+    assert.deepEqual(tokens.map(token => [token.paragraph, token.line]), [[0, 0], [0, 0], [0, 1], [0, 1], [1, 0], [1, 0]]);
+  });
+});
+
+describe('convertTextToHocr', () => {
+  it('matches the HOCR sent to CIB POP for the sample text', () => {
+    assert.equal(convertTextToHocr(SAMPLE_TEXT), readFixture('request.hocr'));
+  });
+
+  it('records offsets that point back to the original words', () => {
+    const text = 'Anna trifft Anna in Köln.';
+    const hocr = convertTextToHocr(text);
+    const words = [...hocr.matchAll(/x_offset (\d+) (\d+)[^"]*" id="word_\d+">([^<]*)</g)];
+
+    assert.equal(words.length, tokenizeText(text).length);
+    words.forEach(([, start, end, word]) => assert.equal(text.slice(Number(start), Number(end)), word));
+  });
+
+  it('escapes markup in the text', () => {
+    const hocr = convertTextToHocr('A <b> & "c"');
+    assert.match(hocr, />&lt;</);
+    assert.match(hocr, />&amp;</);
+    assert.match(hocr, />&quot;</);
+    assert.doesNotMatch(hocr, /<b>/);
+  });
+});
+
+describe('parseHocrContentForEntities', () => {
+  it('maps the entities of a real CIB POP response to offsets in the text', () => {
+    const spans = parseHocrContentForEntities(readJsonFixture('cibpop-response.json'), SAMPLE_TEXT);
+
+    assert.deepEqual(spans.map(({ start, end, text, type, confidence, group }) => ({ start, end, text, type, confidence, group })), [
+      { start: 15, end: 21, text: 'Korben', type: 'first_name', confidence: 1, group: 0 },
+      { start: 22, end: 28, text: 'Dallas', type: 'last_name', confidence: 1, group: 0 },
+      { start: 46, end: 55, text: 'Microsoft', type: 'company_name', confidence: 1, group: 1 }
+    ]);
+    assert.deepEqual(spans[0].alternatives, ['last_name', 'company_name', 'city', 'street_name']);
+  });
+
+  it('accepts the response as JSON string', () => {
+    const spans = parseHocrContentForEntities(readFixture('cibpop-response.json'), SAMPLE_TEXT);
+    assert.equal(spans.length, 3);
+  });
+
+  it('rejects a response that is not valid JSON', () => {
+    assert.throws(() => parseHocrContentForEntities('<html>Bad Gateway</html>', SAMPLE_TEXT), /CIB POP response is not valid JSON/);
+  });
+
+  it('merges the words of a multi-word entity of one type', () => {
+    const text = 'Bei Versatel Deutschland GmbH.';
+    const spans = parseHocrContentForEntities(createResponse([
+      ['Bei'],
+      ['Versatel', { x_entity: 'company_name 0', x_entity_confidence: 0.9 }],
+      ['Deutschland', { x_entity: 'company_name 1', x_entity_confidence: 0.7 }],
+      ['GmbH', { x_entity: 'company_name 2', x_entity_confidence: 0.8 }],
+      ['.']
+    ]), text);
+
+    assert.equal(spans.length, 1);
+    assert.equal(spans[0].text, 'Versatel Deutschland GmbH');
+    assert.equal(spans[0].confidence, 0.7);
+  });
+
+  it('tags the occurrence given by x_offset, not the first one with the same text', () => {
+    const text = 'Anna trifft Anna.';
+    const spans = parseHocrContentForEntities(createResponse([
+      ['Anna', { x_offset: '0 4' }],
+      ['trifft', { x_offset: '5 11' }],
+      ['Anna', { x_offset: '12 16', x_entity: 'first_name 0' }],
+      ['.', { x_offset: '16 17' }]
+    ]), text);
+
+    assert.deepEqual(spans.map(span => [span.start, span.end]), [[12, 16]]);
+  });
+
+  it('skips untagged words that cannot be aligned with the text', () => {
+    const text = 'Hallo Korben Dallas.';
+    const spans = parseHocrContentForEntities(createResponse([
+      ['Hallo'],
+      ['Unbekannt'],
+      ['Korben', { x_entity: 'first_name 0' }]
+    ]), text);
+
+    assert.deepEqual(spans.map(span => span.text), ['Korben']);
+  });
+
+  it('rejects entity words that cannot be aligned with the text', () => {
+    const text = 'Hallo Korben Dallas.';
+    const responses = {
+      'unknown text': [['Hallo'], ['Unbekannt', { x_entity: 'last_name 0' }]],
+      'shifted offset': [['Hallo', { x_offset: '0 5' }], ['Korben', { x_offset: '7 13', x_entity: 'first_name 0' }]],
+      'changed text': [['Hallo', { x_offset: '0 5' }], ['Corben', { x_offset: '6 12', x_entity: 'first_name 0' }]]
+    };
+
+    Object.entries(responses).forEach(([name, words]) => {
+      assert.throws(() => parseHocrContentForEntities(createResponse(words), text), /could not be aligned/, name);
+    });
+  });
+});
+
+describe('parseHocrContentForCandidates', () => {
+  it('lists untagged words with their alternative entity types', () => {
+    const candidates = parseHocrContentForCandidates(readJsonFixture('cibpop-response.json'), SAMPLE_TEXT);
+
+    assert.equal(candidates.some(candidate => candidate.text === 'Korben'), false);
+    assert.deepEqual(candidates[0], {
+      start: 0,
+      end: 5,
+      text: 'Meine',
+      alternatives: ['company_name', 'last_name', 'city', 'first_name']
+    });
+  });
+});
+
+describe('convertLayoutToText', () => {
+  it('builds the text of an OCR layout with the offsets of its words', () => {
+    const { text, tokens } = convertLayoutToText(readJsonFixture('cibpop-response.json'));
+
+    assert.equal(text, 'Meine Name ist Korben Dallas Ich arbeite bei Microsoft als Softwareentwickler');
+    tokens.forEach(token => assert.equal(text.slice(token.start, token.end), token.text));
+  });
+
+  it('separates lines and blocks', () => {
+    const { text } = convertLayoutToText({
+      type: 'page',
+      children: [
+        { type: 'paragraph', children: [{ type: 'line', children: [{ type: 'word', text: 'Eins' }] }, { type: 'line', children: [{ type: 'word', text: 'Zwei' }] }] },
+        { type: 'paragraph', children: [{ type: 'line', children: [{ type: 'word', text: 'Drei' }] }] }
+      ]
+    });
+
+    assert.equal(text, 'Eins\nZwei\n\nDrei');
+  });
+});
+
+describe('parseXEntity', () => {
+  it('splits type and part index', () => {
+    assert.deepEqual(parseXEntity('first_name 0'), { type: 'first_name', part: 0 });
+    assert.deepEqual(parseXEntity('company name 2'), { type: 'company_name', part: 2 });
+    assert.deepEqual(parseXEntity('city'), { type: 'city', part: 0 });
+    assert.equal(parseXEntity(''), null);
+    assert.equal(parseXEntity(undefined), null);
+  });
+});
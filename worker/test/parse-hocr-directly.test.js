@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import {
+  getEntitiesTextMappingFromHocr,
+  extractXEntityFromTitle,
+  hasXEntityAnnotationInHocr
+} from '../parse_hocr_directly.js';
+
+const annotatedHocr = fileURLToPath(new URL('./fixtures/annotated.hocr', import.meta.url));
+const requestHocr = fileURLToPath(new URL('./fixtures/request.hocr', import.meta.url));
+
+describe('extractXEntityFromTitle', () => {
+  it('returns the entity type without the part index', () => {
+    assert.equal(extractXEntityFromTitle('x_sensibility 1; bbox 414 176 526 200; x_entity first_name 0'), 'first_name');
+    assert.equal(extractXEntityFromTitle('bbox 0 0 10 10; x_entity company_name 2'), 'company_name');
+  });
+
+  it('keeps a type without part index', () => {
+    assert.equal(extractXEntityFromTitle('x_entity city'), 'city');
+  });
+
+  it('returns null for words without entity', () => {
+    assert.equal(extractXEntityFromTitle('bbox 100 100 150 150; x_offset 0 5'), null);
+    assert.equal(extractXEntityFromTitle(''), null);
+  });
+});
+
+describe('getEntitiesTextMappingFromHocr', () => {
+  it('joins the words of every entity type', () => {
+    assert.deepEqual(getEntitiesTextMappingFromHocr(annotatedHocr), {
+      first_name: 'Korben',
+      last_name: 'Dallas.',
+      company_name: 'Versatel Deutschland GmbH',
+      city: 'Düsseldorf.'
+    });
+  });
+
+  it('finds no entities in HOCR without annotations', () => {
+    assert.deepEqual(getEntitiesTextMappingFromHocr(requestHocr), {});
+  });
+});
+
+describe('hasXEntityAnnotationInHocr', () => {
+  it('detects entity annotations', () => {
+    assert.equal(hasXEntityAnnotationInHocr(annotatedHocr), true);
+    assert.equal(hasXEntityAnnotationInHocr(requestHocr), false);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createPseudonymizationProof, verifyPseudonymizationProof, scanForPersonalData, enforcePrivacy, getPrivacyMode
+} from '../src/privacy.js';
+
+const env = { PROOF_SECRET: 'proof-secret', TENANT_ID: 'acme' };
+const TEXT = 'Hallo «FIRST_NAME_1» «LAST_NAME_1»,';
+
+describe('pseudonymization proofs', () => {
+  it('verifies the proof of the same text', async () => {
+    const proof = await createPseudonymizationProof(env, TEXT);
+
+    assert.match(proof, /^p1\.\d+\.[\w-]+$/);
+    assert.equal(await verifyPseudonymizationProof(env, TEXT, proof), true);
+    assert.equal(await verifyPseudonymizationProof(env, `  ${TEXT}\n`, proof), true);
+  });
+
+  it('rejects changed texts, other tenants and other secrets', async () => {
+    const proof = await createPseudonymizationProof(env, TEXT);
+
+    assert.equal(await verifyPseudonymizationProof(env, 'Hallo Korben Dallas,', proof), false);
+    assert.equal(await verifyPseudonymizationProof({ ...env, TENANT_ID: 'other' }, TEXT, proof), false);
+    assert.equal(await verifyPseudonymizationProof({ ...env, PROOF_SECRET: 'other' }, TEXT, proof), false);
+  });
+
+  it('rejects expired and malformed proofs', async () => {
+    const [, , signature] = (await createPseudonymizationProof(env, TEXT)).split('.');
+
+    assert.equal(await verifyPseudonymizationProof(env, TEXT, `p1.${Math.floor(Date.now() / 1000) - 1}.${signature}`), false);
+    assert.equal(await verifyPseudonymizationProof(env, TEXT, 'p1.abc'), false);
+    assert.equal(await verifyPseudonymizationProof(env, TEXT, null), false);
+  });
+
+  it('creates no proof without secret', async () => {
+    assert.equal(await createPseudonymizationProof({}, TEXT), null);
+  });
+});
+
+describe('scanForPersonalData', () => {
+  it('reports the positions of visible values, not the values', () => {
+    assert.deepEqual(scanForPersonalData('Mail an korben@example.de, IBAN DE89 3704 0044 0532 0130 00', {}), [
+      { type: 'email', start: 8, end: 25 },
+      { type: 'iban', start: 32, end: 59 }
+    ]);
+  });
+
+  it('ignores placeholders and types outside of PII_SCAN_TYPES', () => {
+    assert.deepEqual(scanForPersonalData('«EMAIL_1», Herr Dallas', {}), []);
+    assert.deepEqual(scanForPersonalData('korben@example.de, Tel. 0221 4711815', { PII_SCAN_TYPES: 'phone_number' }), [
+      { type: 'phone_number', start: 24, end: 36 }
+    ]);
+  });
+});
+
+describe('enforcePrivacy', () => {
+  const enforced = { ...env, PRIVACY_MODE: 'enforced' };
+
+  it('does nothing in the standard mode', async () => {
+    assert.equal(getPrivacyMode({}), 'standard');
+    await enforcePrivacy('korben@example.de', null, env);
+  });
+
+  it('requires a proof and a text without personal data', async () => {
+    await assert.rejects(enforcePrivacy(TEXT, null, enforced), { code: 'pseudonymization_required', status: 403 });
+    await enforcePrivacy(TEXT, await createPseudonymizationProof(enforced, TEXT), enforced);
+
+    const text = `${TEXT} korben@example.de`;
+    await assert.rejects(enforcePrivacy(text, await createPseudonymizationProof(enforced, text), enforced), {
+      code: 'pii_detected',
+      status: 422,
+      findings: [{ type: 'email', start: 36, end: 53 }]
+    });
+  });
+
+  it('fails closed without secret', async () => {
+    await assert.rejects(enforcePrivacy(TEXT, 'p1.1.x', { PRIVACY_MODE: 'enforced' }), { code: 'privacy_not_configured', status: 500 });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { restorePseudonyms, countTokens } from '../src/restore.js';
+import { openVaultSession, mintToken, mintNameTokens } from '../src/vault.js';
+import { checkPlaceholders } from '../src/guardrail.js';
+
+/**
+ * Open a session with tokens for the given [type, original] pairs
+ */
+async function createSession(values) {
+  const session = await openVaultSession({});
+  values.forEach(([type, original]) => mintToken(session, type, original));
+  return session;
+}
+
+describe('mintToken', () => {
+  it('gives the same value the same token and numbers tokens per type', async () => {
+    const session = await openVaultSession({});
+
+    assert.equal(mintToken(session, 'first_name', 'Korben'), '«FIRST_NAME_1»');
+    assert.equal(mintToken(session, 'first_name', 'Anna'), '«FIRST_NAME_2»');
+    assert.equal(mintToken(session, 'first_name', 'Korben'), '«FIRST_NAME_1»');
+    assert.equal(mintToken(session, 'last_name', 'Korben'), '«LAST_NAME_1»');
+  });
+});
+
+describe('mintNameTokens', () => {
+  const name = (...parts) => parts.map(([type, original]) => ({ type, original }));
+
+  it('numbers the parts of a name by person', async () => {
+    const session = await openVaultSession({});
+
+    assert.deepEqual(mintNameTokens(session, name(['last_name', 'Dallas'])), ['«LAST_NAME_1»']);
+    assert.deepEqual(mintNameTokens(session, name(['first_name', 'Anna'], ['last_name', 'Schmidt'])), ['«FIRST_NAME_2»', '«LAST_NAME_2»']);
+    assert.deepEqual(mintNameTokens(session, name(['first_name', 'Korben'], ['last_name', 'Dallas'])), ['«FIRST_NAME_1»', '«LAST_NAME_1»']);
+    assert.deepEqual(mintNameTokens(session, name(['first_name', 'Anna'])), ['«FIRST_NAME_2»']);
+  });
+
+  it('keeps persons with the same last name apart', async () => {
+    const session = await openVaultSession({});
+
+    mintNameTokens(session, name(['first_name', 'Korben'], ['last_name', 'Dallas']));
+    assert.deepEqual(mintNameTokens(session, name(['first_name', 'Leeloo'], ['last_name', 'Dallas'])), ['«FIRST_NAME_2»', '«LAST_NAME_2»']);
+    // "Herr Dallas" refers to the Dallas mentioned last
+    assert.deepEqual(mintNameTokens(session, name(['last_name', 'Dallas'])), ['«LAST_NAME_2»']);
+    assert.equal(session.entries['«LAST_NAME_2»'].original, 'Dallas');
+  });
+
+  it('gives further names of a person their own token', async () => {
+    const session = await openVaultSession({});
+
+    mintNameTokens(session, name(['last_name', 'Dallas']));
+    assert.deepEqual(mintNameTokens(session, name(['last_name', 'DALLAS'])), ['«LAST_NAME_1»']);
+    assert.deepEqual(mintNameTokens(session, name(['last_name', 'Dallas'], ['last_name', 'Müller'])), ['«LAST_NAME_1»', '«LAST_NAME_1_2»']);
+
+    const { text } = restorePseudonyms('«LAST_NAME_1» und «LAST_NAME_1_2»', session);
+    assert.equal(text, 'Dallas und Müller');
+  });
+
+  it('does not read the tokens of the tenth and later persons as name variants', async () => {
+    const session = await openVaultSession({});
+    mintNameTokens(session, name(['first_name', 'Korben'], ['last_name', 'Dallas']));
+    mintNameTokens(session, name(['last_name', 'Dallas'], ['last_name', 'Müller']));
+    const others = ['Becker', 'Schulz', 'Wagner', 'Hoffmann', 'Koch', 'Richter', 'Klein', 'Wolf', 'Neumann', 'Braun', 'Krüger'];
+    others.forEach(lastName => mintNameTokens(session, name(['last_name', lastName])));
+
+    const source = Object.keys(session.entries).join(' ');
+    const { text, report } = restorePseudonyms(source, session, source);
+
+    assert.equal(text, 'Korben Dallas Müller Becker Schulz Wagner Hoffmann Koch Richter Klein Wolf Neumann Braun Krüger');
+    assert.equal(report.complete, true);
+    assert.equal(restorePseudonyms('last name 1 2, LAST_NAME_12 und «LAST_NAME_10»', session).text, 'Müller, Krüger und Neumann');
+  });
+
+  it('does not reuse numbers of tokens minted per type', async () => {
+    const session = await openVaultSession({});
+
+    mintToken(session, 'last_name', 'Dallas');
+    assert.deepEqual(mintNameTokens(session, name(['first_name', 'Anna'])), ['«FIRST_NAME_2»']);
+  });
+});
+
+describe('restorePseudonyms', () => {
+  it('restores exact tokens', async () => {
+    const session = await createSession([['first_name', 'Korben'], ['last_name', 'Dallas']]);
+    const { text, report } = restorePseudonyms('Hallo «FIRST_NAME_1» «LAST_NAME_1»!', session);
+
+    assert.equal(text, 'Hallo Korben Dallas!');
+    assert.equal(report.complete, true);
+    assert.deepEqual(report.fuzzyMatches, []);
+  });
+
+  it('does not confuse tokens that share a prefix', async () => {
+    const values = Array.from({ length: 10 }, (value, index) => ['first_name', `Name${index + 1}`]);
+    const session = await createSession(values);
+
+    assert.equal(restorePseudonyms('«FIRST_NAME_1» und «FIRST_NAME_10»', session).text, 'Name1 und Name10');
+  });
+
+  it('restores tokens the LLM has rewritten', async () => {
+    const session = await createSession([['first_name', 'Korben'], ['last_name', 'Dallas']]);
+    const { text, report } = restorePseudonyms('FIRST_NAME_1, <<last name 1>> und [First-Name 1]', session);
+
+    assert.equal(text, 'Korben, Dallas und Korben');
+    assert.equal(report.fuzzyMatches.length, 3);
+  });
+
+  it('applies inflection suffixes to the original value', async () => {
+    const session = await createSession([['first_name', 'Korben'], ['last_name', 'Dallas']]);
+
+    assert.equal(restorePseudonyms('«FIRST_NAME_1»s Brief an «LAST_NAME_1»s Firma', session).text, 'Korbens Brief an Dallas’ Firma');
+  });
+
+  it('reports missing, duplicated and unknown tokens', async () => {
+    const session = await createSession([['first_name', 'Korben'], ['last_name', 'Dallas'], ['city', 'Köln']]);
+    const source = '«FIRST_NAME_1» «LAST_NAME_1» aus «CITY_1»';
+    const { text, report } = restorePseudonyms('«FIRST_NAME_1» «FIRST_NAME_1» aus «CITY_2» «EMAIL_1»', session, source);
+
+    assert.equal(text, 'Korben Korben aus «CITY_2» «EMAIL_1»');
+    assert.equal(report.complete, false);
+    assert.deepEqual(report.missing.map(entry => entry.token), ['«LAST_NAME_1»', '«CITY_1»']);
+    assert.deepEqual(report.duplicated.map(entry => entry.token), ['«FIRST_NAME_1»']);
+    assert.deepEqual(report.unknown, ['«CITY_2»', '«EMAIL_1»']);
+  });
+
+  it('leaves the text unchanged for an empty session', async () => {
+    const session = await openVaultSession({});
+    assert.equal(restorePseudonyms('Hallo «FIRST_NAME_1»', session).text, 'Hallo «FIRST_NAME_1»');
+  });
+});
+
+describe('countTokens', () => {
+  it('counts exact tokens only', () => {
+    assert.deepEqual(countTokens('«A_1» «A_1» «B_2» FIRST_NAME_1'), { '«A_1»': 2, '«B_2»': 1 });
+  });
+});
+
+describe('checkPlaceholders', () => {
+  it('accepts output with the placeholders of the input', () => {
+    assert.deepEqual(checkPlaceholders('«FIRST_NAME_1» und «CITY_1»', 'In «CITY_1» wohnt «FIRST_NAME_1».'), {
+      valid: true,
+      missing: [],
+      unexpected: []
+    });
+  });
+
+  it('reports lost and invented placeholders', () => {
+    assert.deepEqual(checkPlaceholders('«FIRST_NAME_1» aus «CITY_1»', 'Korben aus «CITY_1» und «CITY_2»'), {
+      valid: false,
+      missing: ['«FIRST_NAME_1»'],
+      unexpected: ['«CITY_2»']
+    });
+  });
+
+  it('reports a dropped or duplicated repetition of a placeholder', () => {
+    const input = '«FIRST_NAME_1» ruft an. «FIRST_NAME_1» wartet in «CITY_1».';
+
+    assert.deepEqual(checkPlaceholders(input, '«FIRST_NAME_1» ruft an und wartet in «CITY_1».'), {
+      valid: false,
+      missing: ['«FIRST_NAME_1»'],
+      unexpected: []
+    });
+    assert.deepEqual(checkPlaceholders(input, '«FIRST_NAME_1» ruft an. «FIRST_NAME_1» wartet in «CITY_1», «CITY_1».'), {
+      valid: false,
+      missing: [],
+      unexpected: ['«CITY_1»']
+    });
+  });
+
+  it('counts surrogate values like placeholders', () => {
+    const check = checkPlaceholders('Herr Brandt und Frau Brandt', 'Herr Brandt und seine Frau', ['Brandt']);
+    assert.deepEqual(check, { valid: false, missing: ['Brandt'], unexpected: [] });
+  });
+});
@@ -0,0 +1,600 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { createEnv, postJson, getJson, deleteJson, stubFetch, jsonResponse, createKvNamespace, readFixture, readJsonFixture } from './helpers.js';
+import { createSignedToken } from '../src/auth.js';
+import { getStore } from '../src/storage.js';
+import worker from '../src/index.js';
+
+const SAMPLE_TEXT = 'Meine Name ist Korben Dallas. Ich arbeite bei Microsoft als Softwareentwickler.';
+const CIB_POP_URL = 'https://cibpop.test/pop';
+
+// Remote services are stubbed with global fetch instead of the built-in mocks
+const remoteEnv = () => createEnv({ USE_MOCKS: 'false', CIB_POP_URL, CIB_POP_USERNAME: 'user', CIB_POP_PASSWORD: 'secret' });
+
+/**
+ * Answer CIB POP requests with the recorded response and LLM requests with
+ * the given function of the user message
+ */
+function stubServices(answer = content => content) {
+  return stubFetch(async request => {
+    if (request.url === CIB_POP_URL) {
+      return jsonResponse(readJsonFixture('cibpop-response.json'));
+    }
+    const body = await request.json();
+    const content = answer(body.messages.find(message => message.role === 'user').content);
+    return jsonResponse({ choices: [{ message: { role: 'assistant', content } }], usage: { prompt_tokens: 10, completion_tokens: 10 } });
+  });
+}
+
+let restoreFetch = null;
+
+afterEach(() => {
+  if (restoreFetch) {
+    restoreFetch();
+    restoreFetch = null;
+  }
+});
+
+describe('POST /hocr', () => {
+  it('sends the text to CIB POP as HOCR and pseudonymizes the detected entities', async () => {
+    restoreFetch = stubServices();
+    const { status, body } = await postJson('/hocr', { text: SAMPLE_TEXT }, remoteEnv());
+
+    assert.equal(status, 200);
+    assert.equal(body.pseudonymizedText, 'Meine Name ist «FIRST_NAME_1» «LAST_NAME_1». Ich arbeite bei «COMPANY_NAME_1» als Softwareentwickler.');
+    assert.deepEqual(body.entities.map(entity => SAMPLE_TEXT.slice(entity.start, entity.end)), ['Korben', 'Dallas', 'Microsoft']);
+    assert.doesNotMatch(JSON.stringify(body.entities), /Korben|Dallas|Microsoft/);
+    assert.ok(body.sessionId);
+
+    const [request] = restoreFetch.requests;
+    assert.equal(request.headers.get('Authorization'), `Basic ${btoa('user:secret')}`);
+    const file = (await request.formData()).get('file');
+    assert.equal(await file.text(), readFixture('request.hocr'));
+  });
+
+  it('works against the CIB POP mock', async () => {
+    const { status, body } = await postJson('/hocr', { text: 'Herr Dallas wohnt in 40210 Düsseldorf, E-Mail korben@example.de.' });
+
+    assert.equal(status, 200);
+    assert.doesNotMatch(body.pseudonymizedText, /Dallas|40210|korben@example\.de/);
+  });
+
+  it('rejects a missing text', async () => {
+    const { status, body } = await postJson('/hocr', {});
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Text is required and must be a string');
+  });
+
+  it('falls back to the local detector when CIB POP fails', async () => {
+    restoreFetch = stubFetch(() => new Response('unavailable', { status: 503 }));
+    const { status, body } = await postJson('/hocr', { text: SAMPLE_TEXT }, remoteEnv());
+
+    assert.equal(status, 200);
+    assert.equal(body.detector, 'local');
+    assert.equal(body.pseudonymizedText, 'Meine Name ist «FIRST_NAME_1» «LAST_NAME_1». Ich arbeite bei Microsoft als Softwareentwickler.');
+  });
+
+  it('does not pass an entity on when CIB POP changed its word', async () => {
+    const response = JSON.stringify(readJsonFixture('cibpop-response.json')).replace(/"text":"Korben"/g, '"text":"Corben"');
+    restoreFetch = stubFetch(() => jsonResponse(JSON.parse(response)));
+    const { status, body } = await postJson('/hocr', { text: SAMPLE_TEXT }, remoteEnv());
+
+    assert.equal(status, 200);
+    assert.equal(body.detector, 'local');
+    assert.doesNotMatch(body.pseudonymizedText, /Korben|Dallas/);
+
+    const cibPopOnly = await postJson('/hocr', { text: SAMPLE_TEXT }, { ...remoteEnv(), ENTITY_DETECTOR: 'cib-pop' });
+    assert.equal(cibPopOnly.status, 503);
+    assert.equal(cibPopOnly.body.code, 'detector_unavailable');
+  });
+
+  it('uses the local detector without CIB POP credentials', async () => {
+    const { status, body } = await postJson('/hocr', { text: 'IBAN DE89 3704 0044 0532 0130 00' }, createEnv({ CIB_POP_URL: '' }));
+
+    assert.equal(status, 200);
+    assert.equal(body.detector, 'local');
+    assert.equal(body.pseudonymizedText, 'IBAN «IBAN_1»');
+  });
+
+  it('reports the detector', async () => {
+    restoreFetch = stubServices();
+    const { body } = await postJson('/hocr', { text: SAMPLE_TEXT }, remoteEnv());
+
+    assert.equal(body.detector, 'cib-pop');
+  });
+});
+
+/**
+ * KV namespace whose reads of vault sessions fail
+ */
+function createFailingVaultKv() {
+  const kv = createKvNamespace();
+  const get = kv.get;
+  kv.get = async (key, type) => {
+    if (key.includes(':vault:')) {
+      throw new Error('KV unavailable');
+    }
+    return get(key, type);
+  };
+  return kv;
+}
+
+describe('unexpected errors', () => {
+  it('answer with a JSON error and CORS headers', async () => {
+    const kv = createKvNamespace();
+    kv.get = async () => {
+      throw new Error('KV unavailable');
+    };
+    const env = createEnv({ STORE_KV: kv, ALLOWED_ORIGINS: 'https://app.test', RATE_LIMIT_PER_IP: '10' });
+    const request = new Request('https://worker.test/hocr', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Origin': 'https://app.test' },
+      body: JSON.stringify({ text: 'Hallo' })
+    });
+    const response = await worker.fetch(request, env, { waitUntil() {} });
+
+    assert.equal(response.status, 500);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), 'https://app.test');
+    assert.equal((await response.json()).error, 'Internal server error');
+  });
+});
+
+describe('POST /improve', () => {
+  it('improves the text with the LLM mock', async () => {
+    const { status, body } = await postJson('/improve', { text: 'meine Name ist «FIRST_NAME_1» .' });
+
+    assert.equal(status, 200);
+    assert.equal(body.improvedText, 'Mein Name ist «FIRST_NAME_1».');
+  });
+
+  it('refuses an answer that drops placeholders', async () => {
+    restoreFetch = stubServices(content => content.replace('«FIRST_NAME_1»', 'Korben'));
+    const { status, body } = await postJson('/improve', { text: 'Hallo «FIRST_NAME_1»!' }, remoteEnv());
+
+    assert.equal(status, 422);
+    assert.equal(body.code, 'placeholder_integrity');
+    assert.deepEqual(body.missing, ['«FIRST_NAME_1»']);
+  });
+
+  it('reports an answer without text with its finish reason', async () => {
+    const answers = [
+      [{ choices: [] }, 'none'],
+      [{ choices: [{ message: { role: 'assistant', content: null }, finish_reason: 'content_filter' }] }, 'content_filter']
+    ];
+    for (const [answer, finishReason] of answers) {
+      const restore = stubFetch(() => jsonResponse(answer));
+      const { status, body } = await postJson('/improve', { text: 'Hallo «FIRST_NAME_1»!' }, remoteEnv());
+      restore();
+
+      assert.equal(status, 500);
+      assert.equal(body.message, `Invalid response format from OpenAI API (finish_reason: ${finishReason})`);
+    }
+  });
+
+  it('answers store failures before the stream with a JSON error and audits them', async () => {
+    for (const path of ['/improve', '/improve/stream']) {
+      const env = createEnv({ TENANT_ID: `store-failure${path.replace(/\//g, '-')}`, STORE_KV: createFailingVaultKv() });
+      const { status, headers, body } = await postJson(path, { text: 'Hallo «FIRST_NAME_1»', sessionId: crypto.randomUUID() }, env);
+
+      assert.equal(status, 500);
+      assert.match(headers.get('Content-Type'), /application\/json/);
+      assert.equal(body.error, 'Internal server error');
+
+      const audit = await getJson('/audit', env);
+      assert.deepEqual(audit.body.events.map(event => [event.endpoint, event.outcome]), [[path, 'error']]);
+    }
+  });
+});
+
+describe('enforced privacy mode', () => {
+  const enforcedEnv = () => createEnv({ PRIVACY_MODE: 'enforced', PROOF_SECRET: 'proof-secret' });
+
+  it('refuses texts without the proof of a pseudonymization', async () => {
+    restoreFetch = stubFetch(() => jsonResponse({ choices: [{ message: { role: 'assistant', content: 'x' } }] }));
+    const { status, body } = await postJson('/improve', { text: SAMPLE_TEXT }, { ...enforcedEnv(), USE_MOCKS: 'cib-pop' });
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'pseudonymization_required');
+    assert.equal(restoreFetch.requests.length, 0);
+  });
+
+  it('improves texts with the proof of /hocr', async () => {
+    const env = enforcedEnv();
+    const pseudonymized = await postJson('/hocr', { text: 'Herr Dallas wohnt in 40210 Düsseldorf.' }, env);
+    assert.ok(pseudonymized.body.proof);
+
+    const { status, body } = await postJson('/improve', {
+      text: pseudonymized.body.pseudonymizedText,
+      proof: pseudonymized.body.proof
+    }, env);
+
+    assert.equal(status, 200);
+    assert.match(body.improvedText, /«LAST_NAME_1»/);
+  });
+
+  it('signs no proof for texts the worker did not detect', async () => {
+    restoreFetch = stubFetch(() => jsonResponse({ choices: [{ message: { role: 'assistant', content: 'x' } }] }));
+    const env = { ...enforcedEnv(), USE_MOCKS: 'cib-pop' };
+    const pseudonymized = await postJson('/pseudonymize', { text: SAMPLE_TEXT, entities: [] }, env);
+    assert.equal(pseudonymized.status, 200);
+    assert.equal(pseudonymized.body.proof, null);
+
+    const { status, body } = await postJson('/improve', { text: SAMPLE_TEXT, proof: pseudonymized.body.proof }, env);
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'pseudonymization_required');
+    assert.equal(restoreFetch.requests.length, 0);
+  });
+
+  it('keeps detected entities masked unless they are unmasked explicitly', async () => {
+    const env = enforcedEnv();
+    const text = 'Herr Dallas wohnt in 40210 Düsseldorf.';
+    const detected = await postJson('/hocr', { text }, env);
+    const { sessionId } = detected.body;
+
+    const refused = await postJson('/pseudonymize', { text, sessionId, entities: [] }, env);
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.code, 'unmask_required');
+    assert.deepEqual(refused.body.entities.map(entity => text.slice(entity.start, entity.end)), ['Dallas', '40210', 'Düsseldorf']);
+
+    const retyped = detected.body.entities.map(({ start, end }) => ({ start, end, type: 'numeric_id' }));
+    const accepted = await postJson('/pseudonymize', { text, sessionId, entities: retyped }, env);
+    assert.equal(accepted.status, 200);
+    assert.ok(accepted.body.proof);
+
+    const unmasked = await postJson('/pseudonymize', {
+      text,
+      sessionId,
+      entities: retyped.slice(1),
+      unmask: [{ start: 5, end: 11 }]
+    }, env);
+    assert.equal(unmasked.status, 200);
+    assert.match(unmasked.body.pseudonymizedText, /^Herr Dallas wohnt/);
+    assert.ok(unmasked.body.proof);
+
+    const audit = await getJson('/audit', env);
+    const event = audit.body.events.filter(entry => entry.endpoint === '/pseudonymize').pop();
+    assert.deepEqual(event.unmaskedCounts, { last_name: 1 });
+  });
+
+  it('signs no proof when every detected entity was unmasked', async () => {
+    const env = enforcedEnv();
+    const text = 'Schreiben Sie an korben@example.de.';
+    const { sessionId } = (await postJson('/hocr', { text }, env)).body;
+    const pseudonymized = await postJson('/pseudonymize', { text, sessionId, entities: [], unmask: [{ start: 17, end: 34 }] }, env);
+
+    assert.equal(pseudonymized.status, 200);
+    assert.equal(pseudonymized.body.pseudonymizedText, text);
+    assert.equal(pseudonymized.body.proof, null);
+  });
+
+  it('blocks personal data the pseudonymization left visible', async () => {
+    const env = enforcedEnv();
+    const text = 'Herr Dallas, schreiben Sie an korben@example.de.';
+    const detected = (await postJson('/hocr', { text }, env)).body;
+    const email = text.indexOf('korben@example.de');
+    const pseudonymized = await postJson('/pseudonymize', {
+      text,
+      sessionId: detected.sessionId,
+      entities: detected.entities.filter(entity => entity.start !== email).map(({ start, end, type }) => ({ start, end, type })),
+      unmask: [{ start: email, end: email + 17 }]
+    }, env);
+    const { pseudonymizedText, proof } = pseudonymized.body;
+    const start = pseudonymizedText.indexOf('korben@example.de');
+
+    for (const path of ['/improve', '/improve/stream']) {
+      const { status, body } = await postJson(path, { text: pseudonymizedText, proof }, env);
+
+      assert.equal(status, 422);
+      assert.equal(body.code, 'pii_detected');
+      assert.deepEqual(body.findings, [{ type: 'email', start, end: start + 17 }]);
+      assert.doesNotMatch(JSON.stringify(body), /korben@example/);
+    }
+  });
+
+  it('fails closed without PROOF_SECRET', async () => {
+    const { status, body } = await postJson('/improve', { text: 'Hallo' }, createEnv({ PRIVACY_MODE: 'enforced' }));
+
+    assert.equal(status, 500);
+    assert.equal(body.code, 'privacy_not_configured');
+  });
+});
+
+describe('POST /pipeline', () => {
+  it('never sends the original values to the LLM and restores them afterwards', async () => {
+    restoreFetch = stubServices();
+    const { status, body } = await postJson('/pipeline', { text: SAMPLE_TEXT }, remoteEnv());
+
+    assert.equal(status, 200);
+    assert.equal(body.restore.restoredText, SAMPLE_TEXT);
+    assert.equal(body.restore.report.complete, true);
+
+    const llmRequests = restoreFetch.requests.filter(request => request.url !== CIB_POP_URL);
+    assert.ok(llmRequests.length > 0);
+    for (const request of llmRequests) {
+      assert.doesNotMatch(await request.text(), /Korben|Dallas|Microsoft/);
+    }
+  });
+});
+
+describe('/batch', () => {
+  /**
+   * Queue that keeps the sent messages, for delivery with worker.queue
+   */
+  function createQueue() {
+    return {
+      sent: [],
+      async sendBatch(messages) {
+        this.sent.push(...messages);
+      }
+    };
+  }
+
+  /**
+   * Deliver queue messages to the worker
+   * @returns {Array} The outcome of every message: 'ack' or 'retry'
+   */
+  async function deliver(messages, env) {
+    const outcomes = [];
+    await worker.queue({
+      messages: messages.map((message, index) => ({
+        body: message.body,
+        ack: () => { outcomes[index] = 'ack'; },
+        retry: () => { outcomes[index] = 'retry'; }
+      }))
+    }, env);
+    return outcomes;
+  }
+
+  it('processes every item as a queue message and stores its result apart', async () => {
+    const queue = createQueue();
+    const env = createEnv({ BATCH_QUEUE: queue });
+    const { status, body } = await postJson('/batch', {
+      stopAfter: 'pseudonymize',
+      items: [{ id: 'a', text: SAMPLE_TEXT }, { id: 'b', text: '' }]
+    }, env);
+
+    assert.equal(status, 202);
+    assert.equal(body.status, 'queued');
+    assert.deepEqual(body.counts, { total: 2, pending: 1, succeeded: 0, failed: 1 });
+    assert.deepEqual(queue.sent.map(message => message.body), [{ tenantId: null, jobId: body.jobId, index: 0 }]);
+
+    const store = getStore(env, 'batch');
+    assert.equal((await store.get(`${body.jobId}:input:0`)).text, SAMPLE_TEXT);
+    assert.doesNotMatch(JSON.stringify(await store.get(body.jobId)), /Korben/);
+
+    assert.deepEqual(await deliver(queue.sent, env), ['ack']);
+    assert.equal(await store.get(`${body.jobId}:input:0`), null);
+
+    const job = await getJson(body.statusUrl, env);
+    assert.equal(job.body.status, 'completed');
+    assert.deepEqual(job.body.counts, { total: 2, pending: 0, succeeded: 1, failed: 1 });
+    assert.equal(job.body.items[0].status, 'succeeded');
+    assert.doesNotMatch(job.body.items[0].result.pseudonymize.pseudonymizedText, /Korben/);
+    assert.equal(job.body.items[1].error.error, 'Text is required and must be a string');
+
+    // A message delivered again keeps the stored result
+    const { sessionId } = job.body.items[0].result;
+    assert.deepEqual(await deliver(queue.sent, env), ['ack']);
+    assert.equal((await getJson(body.statusUrl, env)).body.items[0].result.sessionId, sessionId);
+  });
+
+  it('reports an unknown job', async () => {
+    const { status } = await getJson(`/batch/${crypto.randomUUID()}`);
+    assert.equal(status, 404);
+  });
+});
+
+describe('surrogate mode', () => {
+  it('sends realistic fake values instead of placeholders and restores them', async () => {
+    restoreFetch = stubServices();
+    const { status, body } = await postJson('/pipeline', {
+      text: SAMPLE_TEXT,
+      surrogateTypes: ['first_name', 'last_name', 'company_name']
+    }, remoteEnv());
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.pseudonymize.surrogateTypes, ['first_name', 'last_name', 'company_name']);
+    assert.doesNotMatch(body.pseudonymize.pseudonymizedText, /Korben|Dallas|Microsoft|«/);
+    assert.equal(body.restore.restoredText, SAMPLE_TEXT);
+    assert.equal(body.restore.report.complete, true);
+
+    for (const request of restoreFetch.requests.filter(request => request.url !== CIB_POP_URL)) {
+      assert.doesNotMatch(await request.text(), /Korben|Dallas|Microsoft/);
+    }
+  });
+
+  it('lets surrogates pass the privacy scan of their session only', async () => {
+    const env = createEnv({ PRIVACY_MODE: 'enforced', PROOF_SECRET: 'proof-secret' });
+    const text = 'Schreiben Sie an korben@example.de.';
+    const pseudonymized = await postJson('/hocr', { text, surrogateTypes: 'email' }, env);
+    assert.match(pseudonymized.body.pseudonymizedText, /^Schreiben Sie an [a-z.]+@example\.(com|net|org)\.$/);
+
+    const { proof, pseudonymizedText, sessionId } = pseudonymized.body;
+    const improved = await postJson('/improve', { text: pseudonymizedText, proof, sessionId }, env);
+    assert.equal(improved.status, 200);
+
+    const restored = await postJson('/depseudonymize', { text: improved.body.improvedText, sessionId }, env);
+    assert.equal(restored.body.restoredText, text);
+
+    const withoutSession = await postJson('/improve', { text: pseudonymizedText, proof }, env);
+    assert.equal(withoutSession.status, 422);
+    assert.equal(withoutSession.body.code, 'pii_detected');
+  });
+
+  it('rejects unknown surrogate types', async () => {
+    const { status, body } = await postJson('/hocr', { text: SAMPLE_TEXT, surrogateTypes: ['first_name', 'hobby'] });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /surrogateTypes must be a list of/);
+  });
+});
+
+describe('without entity detector', () => {
+  it('refuses to run the pipeline and never calls the LLM', async () => {
+    restoreFetch = stubFetch(request => (request.url === CIB_POP_URL
+      ? new Response('unavailable', { status: 503 })
+      : jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Korben Dallas' } }] })));
+    const { status, body } = await postJson('/pipeline', { text: SAMPLE_TEXT }, { ...remoteEnv(), ENTITY_DETECTOR: 'cib-pop' });
+
+    assert.equal(status, 503);
+    assert.equal(body.code, 'detector_unavailable');
+    assert.deepEqual(restoreFetch.requests.map(request => request.url), [CIB_POP_URL]);
+  });
+
+  it('rejects requests when CIB POP is required but not configured', async () => {
+    const { status, body } = await postJson('/hocr', { text: SAMPLE_TEXT }, createEnv({ CIB_POP_URL: '', ENTITY_DETECTOR: 'cib-pop' }));
+
+    assert.equal(status, 500);
+    assert.equal(body.error, 'CIB Pop credentials not configured');
+  });
+});
+
+describe('POST /pseudonymize and /depseudonymize', () => {
+  it('restores the values of a session', async () => {
+    const env = createEnv();
+    const text = 'Korben Dallas arbeitet bei Microsoft.';
+    const pseudonymized = await postJson('/pseudonymize', {
+      text,
+      entities: [
+        { start: 0, end: 6, type: 'first_name' },
+        { start: 7, end: 13, type: 'last_name' },
+        { start: 27, end: 36, type: 'company_name' }
+      ]
+    }, env);
+
+    assert.equal(pseudonymized.status, 200);
+    assert.equal(pseudonymized.body.pseudonymizedText, '«FIRST_NAME_1» «LAST_NAME_1» arbeitet bei «COMPANY_NAME_1».');
+
+    const restored = await postJson('/depseudonymize', {
+      text: '«LAST_NAME_1», «FIRST_NAME_1» ist bei «COMPANY_NAME_1» angestellt.',
+      sessionId: pseudonymized.body.sessionId,
+      sourceText: pseudonymized.body.pseudonymizedText
+    }, env);
+
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.restoredText, 'Dallas, Korben ist bei Microsoft angestellt.');
+    assert.equal(restored.body.report.complete, true);
+  });
+
+  it('rejects overlapping entities', async () => {
+    const { status, body } = await postJson('/pseudonymize', {
+      text: 'Korben Dallas',
+      entities: [{ start: 0, end: 8, type: 'first_name' }, { start: 7, end: 13, type: 'last_name' }]
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Entities must not overlap');
+  });
+
+  it('rejects an unknown session', async () => {
+    const { status } = await postJson('/depseudonymize', { text: '«FIRST_NAME_1»', sessionId: 'unknown' });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('GET /audit', () => {
+  it('records /hocr and /improve calls without the texts', async () => {
+    const env = createEnv({ TENANT_ID: 'audit-calls' });
+    const pseudonymized = await postJson('/hocr', { text: 'Herr Dallas wohnt in 40210 Düsseldorf.' }, env);
+    await postJson('/improve', { text: pseudonymized.body.pseudonymizedText }, env);
+
+    const { status, body } = await getJson('/audit', env);
+
+    assert.equal(status, 200);
+    assert.equal(body.tenant, 'audit-calls');
+    assert.deepEqual(body.events.map(event => [event.endpoint, event.outcome]), [['/hocr', 'success'], ['/improve', 'success']]);
+
+    const [hocr, improve] = body.events;
+    assert.equal(hocr.detector, 'cib-pop');
+    assert.equal(hocr.entityCounts.last_name, 1);
+    assert.equal(hocr.llm, null);
+    assert.equal(improve.llm.provider, 'openai');
+    assert.equal(improve.llm.textHash, `sha256:${createHash('sha256').update(pseudonymized.body.pseudonymizedText).digest('hex')}`);
+    assert.doesNotMatch(JSON.stringify(body), /Dallas|40210|Düsseldorf/);
+  });
+
+  it('records refused texts without an LLM request', async () => {
+    const env = createEnv({ TENANT_ID: 'audit-refused', PRIVACY_MODE: 'enforced', PROOF_SECRET: 'proof-secret' });
+    await postJson('/improve', { text: 'Hallo' }, env);
+
+    const { body } = await getJson('/audit', env);
+
+    assert.deepEqual(body.events.map(event => [event.status, event.outcome, event.llm]), [[403, 'pseudonymization_required', null]]);
+  });
+
+  it('filters by date and exports NDJSON', async () => {
+    const env = createEnv({ TENANT_ID: 'audit-export' });
+    await postJson('/hocr', { text: 'Herr Dallas' }, env);
+
+    const { status, headers, body } = await getJson('/audit?format=ndjson', env);
+    assert.equal(status, 200);
+    assert.equal(headers.get('Content-Type'), 'application/x-ndjson');
+    assert.equal(body.trim().split('\n').map(line => JSON.parse(line).endpoint).join(), '/hocr');
+
+    assert.equal((await getJson('/audit?from=2020-01-01&to=2020-01-31', env)).body.count, 0);
+    assert.equal((await getJson('/audit?from=tomorrow', env)).status, 400);
+  });
+
+  it('lets only auditor tenants read the audit log of other tenants', async () => {
+    const env = createEnv({
+      AUTH_DISABLED: 'false',
+      TENANTS: JSON.stringify({ acme: { tokenSecret: 'acme-secret' }, audit: { tokenSecret: 'audit-secret', auditor: true } })
+    });
+    const headers = async tenant => ({ Authorization: `Bearer ${await createSignedToken(tenant, `${tenant}-secret`)}` });
+
+    assert.equal((await getJson('/audit', env, await headers('acme'))).status, 200);
+    assert.equal((await getJson('/audit?tenant=audit', env, await headers('acme'))).status, 403);
+
+    const { status, body } = await getJson('/audit?tenant=acme', env, await headers('audit'));
+    assert.equal(status, 200);
+    assert.equal(body.tenant, 'acme');
+  });
+});
+
+describe('/cases', () => {
+  it('keeps the pseudonyms of a person across the documents of a case', async () => {
+    const env = createEnv({ TENANT_ID: 'cases-documents' });
+    const created = await postJson('/cases', { name: 'Akte 2024-17' }, env);
+    assert.equal(created.status, 201);
+    const caseId = created.body.case.id;
+
+    const first = await postJson('/hocr', { text: 'Sehr geehrter Herr Dallas,', caseId }, env);
+    await postJson('/hocr', { text: 'Anna Schmidt wohnt in Köln.', caseId }, env);
+    const third = await postJson('/hocr', { text: 'Korben Dallas hat angerufen.', caseId }, env);
+
+    assert.equal(first.body.caseId, caseId);
+    assert.equal(third.body.sessionId, first.body.sessionId);
+    assert.equal(first.body.pseudonymizedText, 'Sehr geehrter Herr «LAST_NAME_1»,');
+    assert.equal(third.body.pseudonymizedText, '«FIRST_NAME_1» «LAST_NAME_1» hat angerufen.');
+
+    const described = await getJson(`/cases/${caseId}`, env);
+    assert.equal(described.body.persons, 2);
+    assert.doesNotMatch(JSON.stringify(described.body), /Dallas|Korben|Schmidt|Köln/);
+  });
+
+  it('lists, deletes and forgets cases', async () => {
+    const env = createEnv({ TENANT_ID: 'cases-lifecycle' });
+    const { body } = await postJson('/cases', { name: 'Mandant A' }, env);
+    const caseId = body.case.id;
+
+    assert.deepEqual((await getJson('/cases', env)).body.cases.map(item => item.name), ['Mandant A']);
+    assert.equal((await getJson('/cases', createEnv({ TENANT_ID: 'cases-other' }))).body.cases.length, 0);
+
+    assert.equal((await deleteJson(`/cases/${caseId}`, env)).status, 200);
+    assert.equal((await getJson('/cases', env)).body.cases.length, 0);
+    assert.equal((await postJson('/hocr', { text: 'Herr Dallas', caseId }, env)).status, 404);
+    assert.equal((await postJson('/pseudonymize', { text: 'Herr Dallas', entities: [], caseId }, env)).status, 404);
+  });
+
+  it('rejects cases without name and beyond MAX_CASES', async () => {
+    const env = createEnv({ TENANT_ID: 'cases-limit', MAX_CASES: '1' });
+
+    assert.equal((await postJson('/cases', { name: ' ' }, env)).status, 400);
+    assert.equal((await postJson('/cases', { name: 'Eins' }, env)).status, 201);
+    assert.equal((await postJson('/cases', { name: 'Zwei' }, env)).status, 409);
+  });
+});
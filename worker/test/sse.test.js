@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readServerSentEvents, formatServerSentEvent } from '../src/sse.js';
+
+/**
+ * Stream the given parts as separate reads
+ */
+function streamOf(parts) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      parts.forEach(part => controller.enqueue(encoder.encode(part)));
+      controller.close();
+    }
+  });
+}
+
+/**
+ * Collect the events of a stream
+ */
+async function readAll(stream) {
+  const events = [];
+  for await (const event of readServerSentEvents(stream)) {
+    events.push(event);
+  }
+  return events;
+}
+
+describe('readServerSentEvents', () => {
+  it('reads events split across reads', async () => {
+    const text = formatServerSentEvent('token', { text: 'Hallo' }) + formatServerSentEvent('done', { success: true });
+    const events = await readAll(streamOf([text.slice(0, 10), text.slice(10, 30), text.slice(30)]));
+
+    assert.deepEqual(events, [
+      { event: 'token', data: '{"text":"Hallo"}' },
+      { event: 'done', data: '{"success":true}' }
+    ]);
+  });
+
+  it('keeps a CRLF pair split across reads a single line break', async () => {
+    const events = await readAll(streamOf(['event: token\r', '\ndata: {"text":"a"}\r\n\r', '\ndata: [DONE]\r']));
+
+    assert.deepEqual(events, [
+      { event: 'token', data: '{"text":"a"}' },
+      { event: 'message', data: '[DONE]' }
+    ]);
+  });
+
+  it('reads CR line breaks', async () => {
+    const events = await readAll(streamOf(['data: a\r\rdata: b\r\r']));
+    assert.deepEqual(events, [{ event: 'message', data: 'a' }, { event: 'message', data: 'b' }]);
+  });
+});
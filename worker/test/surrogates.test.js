@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSurrogateTypes, createSurrogate, findSurrogates } from '../src/surrogates.js';
+import { isValidIban } from '../src/detector.js';
+import { openVaultSession, mintSurrogate } from '../src/vault.js';
+import { restorePseudonyms } from '../src/restore.js';
+import { checkPlaceholders } from '../src/guardrail.js';
+import { scanForPersonalData } from '../src/privacy.js';
+
+const FEMALE_NAME = /^(Andrea|Anke|Anna|Birgit|Carina|Charlotte|Clara|Claudia|Doris|Emilia|Greta|Hannah|Heike|Ida|Jana|Johanna|Julia|Katharina|Laura|Lea|Lena|Marie|Melanie|Miriam|Monika|Nadine|Nicole|Paula|Petra|Sabine|Sandra|Silke|Sophie|Stefanie|Susanne|Svenja|Tanja|Ursula|Vanessa|Yvonne)$/;
+
+/**
+ * Days since the epoch of a date in the format DD.MM.YYYY
+ */
+function toDays(date) {
+  const [day, month, year] = date.split('.').map(Number);
+  return Date.UTC(year, month - 1, day) / 86400000;
+}
+
+describe('createSurrogate', () => {
+  it('picks a first name of the same gender', () => {
+    for (let i = 0; i < 20; i++) {
+      assert.match(createSurrogate('first_name', 'Leila'), FEMALE_NAME);
+      assert.match(createSurrogate('first_name', 'Maria'), FEMALE_NAME);
+      assert.doesNotMatch(createSurrogate('first_name', 'Korben'), FEMALE_NAME);
+      assert.doesNotMatch(createSurrogate('first_name', 'Luca'), FEMALE_NAME);
+    }
+  });
+
+  it('keeps capitals and the legal form of companies', () => {
+    assert.match(createSurrogate('last_name', 'DALLAS'), /^[A-ZÄÖÜ]+$/);
+    assert.match(createSurrogate('company_name', 'Versatel Deutschland GmbH & Co. KG'), /^\p{Lu}\p{Ll}+ \p{Lu}\p{Ll}+ GmbH & Co\. KG$/u);
+    assert.doesNotMatch(createSurrogate('company_name', 'Microsoft'), /GmbH|AG/);
+  });
+
+  it('creates IBANs of the same country and format with valid check digits', () => {
+    for (let i = 0; i < 20; i++) {
+      const iban = createSurrogate('iban', 'DE89 3704 0044 0532 0130 00');
+      assert.match(iban, /^DE\d{2}( \d{4}){4} \d{2}$/);
+      assert.equal(isValidIban(iban), true);
+      assert.match(createSurrogate('iban', 'GB82WEST12345698765432'), /^GB\d{2}[A-Z]{4}\d{14}$/);
+    }
+  });
+
+  it('shifts dates by the given number of days and keeps their format', () => {
+    assert.equal(createSurrogate('date_of_birth', '12.03.1980', { dateShiftDays: 30 }), '11.04.1980');
+    assert.equal(createSurrogate('date_of_birth', '1. März 1975', { dateShiftDays: -1 }), '28. Februar 1975');
+    assert.equal(createSurrogate('date_of_birth', '1975-12-31', { dateShiftDays: 1 }), '1976-01-01');
+    assert.equal(createSurrogate('date_of_birth', '31.02.1980', { dateShiftDays: 1 }), null);
+  });
+
+  it('keeps the format of numbers, phone numbers and e-mail addresses', () => {
+    assert.match(createSurrogate('phone_number', '+49 (0)171 1234567'), /^\+49 \(0\)[1-9]\d{2} \d{7}$/);
+    assert.match(createSurrogate('phone_number', '0221 4711815'), /^0[1-9]\d{2} \d{7}$/);
+    assert.match(createSurrogate('postcode', '01067'), /^0\d{4}$/);
+    assert.match(createSurrogate('license_plate', 'K-AB 1234'), /^[A-Z]-[A-Z]{2} [1-9]\d{3}$/);
+    assert.match(createSurrogate('email', 'korben.dallas@example.de'), /^[a-z]+\.[a-z]+@example\.(com|net|org)$/);
+  });
+
+  it('returns null for types without surrogates', () => {
+    assert.equal(createSurrogate('unknown_type', 'x'), null);
+  });
+});
+
+describe('resolveSurrogateTypes', () => {
+  it('uses the types of the request or SURROGATE_TYPES', () => {
+    assert.deepEqual(resolveSurrogateTypes({}), { types: [] });
+    assert.deepEqual(resolveSurrogateTypes({ SURROGATE_TYPES: 'first_name, last_name, bogus' }), { types: ['first_name', 'last_name'] });
+    assert.deepEqual(resolveSurrogateTypes({ SURROGATE_TYPES: 'first_name' }, ['iban']), { types: ['iban'] });
+    assert.deepEqual(resolveSurrogateTypes({ SURROGATE_TYPES: 'first_name' }, ''), { types: [] });
+    assert.deepEqual(resolveSurrogateTypes({}, 'city,postcode'), { types: ['city', 'postcode'] });
+  });
+
+  it('rejects unknown types', () => {
+    assert.match(resolveSurrogateTypes({}, ['first_name', 'bogus']).error, /surrogateTypes must be a list of/);
+    assert.match(resolveSurrogateTypes({}, 42).error, /surrogateTypes/);
+  });
+});
+
+describe('findSurrogates', () => {
+  it('finds whole words with their inflection suffix', () => {
+    assert.deepEqual(findSurrogates('Beckers Brief an Becker, nicht Beckermann', ['Becker']), [
+      { value: 'Becker', start: 0, end: 7, suffix: 's' },
+      { value: 'Becker', start: 17, end: 23, suffix: undefined }
+    ]);
+  });
+});
+
+describe('mintSurrogate', () => {
+  it('gives the same value the same surrogate and avoids values of the text', async () => {
+    const session = await openVaultSession({});
+    const text = 'Korben Dallas, Becker, Hoffmann, Schulz';
+
+    const surrogate = mintSurrogate(session, 'last_name', 'Dallas', text);
+    assert.equal(mintSurrogate(session, 'last_name', 'Dallas'), surrogate);
+    assert.deepEqual(session.surrogates[surrogate], { type: 'last_name', original: 'Dallas' });
+    assert.doesNotMatch(surrogate, /^(Dallas|Becker|Hoffmann|Schulz)$/);
+  });
+
+  it('shifts all dates of a session by the same number of days', async () => {
+    const session = await openVaultSession({});
+    const first = mintSurrogate(session, 'date_of_birth', '01.01.1980');
+    const second = mintSurrogate(session, 'date_of_birth', '11.01.1980');
+
+    assert.equal(toDays(second) - toDays(first), 10);
+    assert.notEqual(first, '01.01.1980');
+    assert.equal(mintSurrogate(session, 'date_of_birth', 'unbekannt'), null);
+  });
+});
+
+describe('restoring surrogates', () => {
+  it('restores surrogates and tokens in one pass', async () => {
+    const session = await openVaultSession({});
+    const firstName = mintSurrogate(session, 'first_name', 'Korben');
+    const lastName = mintSurrogate(session, 'last_name', 'Dallas');
+    session.entries['«CITY_1»'] = { type: 'city', original: `${lastName}stadt` };
+    const source = `${firstName} ${lastName} aus «CITY_1»`;
+
+    const { text, report } = restorePseudonyms(`${lastName}s Brief: ${firstName} ${lastName} aus «CITY_1»`, session, source);
+
+    assert.equal(text, `Dallas’ Brief: Korben Dallas aus ${lastName}stadt`);
+    assert.deepEqual(report.duplicated.map(entry => [entry.token, entry.type]), [[lastName, 'last_name']]);
+    assert.deepEqual(report.fuzzyMatches, [{ token: lastName, matched: `${lastName}s` }]);
+  });
+
+  it('reports lost surrogates in the guardrail check', async () => {
+    const session = await openVaultSession({});
+    const lastName = mintSurrogate(session, 'last_name', 'Dallas');
+    const surrogates = Object.keys(session.surrogates);
+
+    assert.equal(checkPlaceholders(`Herr ${lastName}`, `Sehr geehrter Herr ${lastName}`, surrogates).valid, true);
+    assert.deepEqual(checkPlaceholders(`Herr ${lastName}`, 'Sehr geehrter Herr', surrogates).missing, [lastName]);
+  });
+
+  it('does not report surrogates in the privacy scan', async () => {
+    const session = await openVaultSession({});
+    const iban = mintSurrogate(session, 'iban', 'DE89 3704 0044 0532 0130 00');
+    const text = `IBAN ${iban}, Mail an korben@example.de`;
+
+    assert.deepEqual(scanForPersonalData(text, {}, Object.keys(session.surrogates)).map(finding => finding.type), ['email']);
+    assert.deepEqual(scanForPersonalData(text, {}).map(finding => finding.type), ['iban', 'email']);
+  });
+});